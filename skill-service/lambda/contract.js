@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+
+// The contract with the weather service. schema/weather-response.schema.json is a copy of the
+// service's (weather-service/schema), kept in step by `npm run sync-schema` and checked by
+// `npm run check-schema`. Responses that break it - another major version, or missing or
+// mistyped fields - are only spoken, never drawn in APL.
+
+// The contract version the skill speaks; sent with every request. Responses of a later minor
+// version of it ("1.2") only add optional fields, so the skill reads them too
+const CONTRACT_VERSION = 1;
+
+const RESPONSE_SCHEMA = JSON.parse(fs.readFileSync(path.resolve(__dirname, 'schema', 'weather-response.schema.json'), 'utf8'));
+
+const TYPES = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null
+};
+
+// Checks a weather service response body; returns what's wrong with it (empty if the skill
+// can use all of it)
+function validateWeatherResponse(data) {
+  if (TYPES.object(data) && majorVersion(data.version) !== CONTRACT_VERSION) {
+    return [`unknown contract version ${JSON.stringify(data.version)}`];
+  }
+  return validate(data, RESPONSE_SCHEMA);
+}
+
+// The major part of a response's version: 1 for 1 or "1.2", else null
+function majorVersion(version) {
+  if (Number.isInteger(version)) {
+    return version;
+  }
+  const match = typeof version === 'string' && /^(\d+)\.\d+$/.exec(version);
+  return match ? Number(match[1]) : null;
+}
+
+// Validates a value against the subset of JSON Schema the schema files use (the same as the
+// service's contract.mjs): type, const, enum, pattern, minLength, maxLength, minimum, maximum,
+// required, properties, items and local $refs
+function validate(value, schema, root = schema, pointer = '') {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], root);
+    if (!target) {
+      throw new Error(`Unknown schema reference ${schema.$ref}`);
+    }
+    return validate(value, target, root, pointer);
+  }
+
+  const at = pointer || '/';
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((type) => TYPES[type](value))) {
+    return [`${at}: must be ${types.join(' or ')}`];
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [`${at}: must be ${JSON.stringify(schema.const)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${at}: must match ${schema.pattern}`);
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be at most ${schema.maximum}`);
+  }
+  if (TYPES.object(value)) {
+    (schema.required || [])
+      .filter((key) => !(key in value))
+      .forEach((key) => errors.push(`${at}: is missing "${key}"`));
+    Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined)
+      .forEach(([key, property]) => errors.push(...validate(value[key], property, root, `${pointer}/${key}`)));
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, root, `${pointer}/${index}`)));
+  }
+  return errors;
+}
+
+module.exports = {
+  CONTRACT_VERSION,
+  validateWeatherResponse
+};
@@ -0,0 +1,187 @@
+const Alexa = require('ask-sdk-core');
+const { getProfileParams, getReturnTime } = require('./preferences.js');
+
+// Most members the weather service accepts in one household
+const MAX_HOUSEHOLD_MEMBERS = 6;
+
+// Age groups by age in years (upper bound exclusive); older than all of them is a senior
+const AGE_GROUPS = [
+  { below: 13, ageGroup: 'child' },
+  { below: 18, ageGroup: 'teen' },
+  { below: 65, ageGroup: 'adult' }
+];
+
+// "Alexa, tell what to wear to add Emma to my family" / "Emma is 6"
+const AddFamilyMemberIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'AddFamilyMemberIntent';
+  },
+  async handle(handlerInput) {
+    const { attributesManager, responseBuilder, requestEnvelope } = handlerInput;
+    const name = getNameSlot(requestEnvelope, 'name');
+
+    if (!name) {
+      const speakOutput = handlerInput.t('family.prompt');
+      return responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .getResponse();
+    }
+
+    const attributes = await attributesManager.getPersistentAttributes();
+    const household = attributes.household || [];
+    const existing = findMember(household, name);
+
+    if (!existing && household.length >= MAX_HOUSEHOLD_MEMBERS) {
+      return responseBuilder
+        .speak(handlerInput.t('family.full', { max: MAX_HOUSEHOLD_MEMBERS }))
+        .getResponse();
+    }
+
+    const age = Number(Alexa.getSlotValue(requestEnvelope, 'age'));
+    const member = existing || { name };
+    if (Number.isFinite(age) && age >= 0) {
+      member.ageGroup = getAgeGroup(age);
+    }
+    member.ageGroup = member.ageGroup || 'adult';
+    attributes.household = existing ? household : [...household, member];
+    attributesManager.setPersistentAttributes(attributes);
+    await attributesManager.savePersistentAttributes();
+
+    const speakOutput = existing
+      ? handlerInput.t('family.updated', { name })
+      : handlerInput.t('family.added', { name });
+    return responseBuilder
+      .speak(speakOutput)
+      .getResponse();
+  }
+};
+
+// "Alexa, tell what to wear to remove Emma from my family"
+const RemoveFamilyMemberIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'RemoveFamilyMemberIntent';
+  },
+  async handle(handlerInput) {
+    const { attributesManager, responseBuilder, requestEnvelope } = handlerInput;
+    const name = getNameSlot(requestEnvelope, 'name');
+    const attributes = await attributesManager.getPersistentAttributes();
+    const household = attributes.household || [];
+    const match = name && findMember(household, name);
+
+    if (!match) {
+      return responseBuilder
+        .speak(handlerInput.t('family.notFound'))
+        .getResponse();
+    }
+
+    attributes.household = household.filter((member) => member !== match);
+    attributesManager.setPersistentAttributes(attributes);
+    await attributesManager.savePersistentAttributes();
+
+    return responseBuilder
+      .speak(handlerInput.t('family.removed', { name: match.name }))
+      .getResponse();
+  }
+};
+
+// "Alexa, tell what to wear I'm Emma" - links the recognized voice to a family member, so
+// "what should I wear" gets their recommendation
+const IdentifyPersonIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'IdentifyPersonIntent';
+  },
+  async handle(handlerInput) {
+    const { attributesManager, responseBuilder, requestEnvelope } = handlerInput;
+    const person = requestEnvelope.context.System.person;
+    const name = getNameSlot(requestEnvelope, 'name');
+
+    if (!person || !person.personId) {
+      return responseBuilder
+        .speak(handlerInput.t('family.noVoice'))
+        .getResponse();
+    }
+    if (!name) {
+      const speakOutput = handlerInput.t('family.askName');
+      return responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .getResponse();
+    }
+
+    const attributes = await attributesManager.getPersistentAttributes();
+    const household = attributes.household || [];
+    let member = findMember(household, name);
+
+    if (!member && household.length >= MAX_HOUSEHOLD_MEMBERS) {
+      return responseBuilder
+        .speak(handlerInput.t('family.full', { max: MAX_HOUSEHOLD_MEMBERS }))
+        .getResponse();
+    }
+    if (!member) {
+      member = { name, ageGroup: 'adult' };
+      household.push(member);
+    }
+
+    // A voice belongs to one member only
+    household.forEach((other) => {
+      if (other.personId === person.personId) delete other.personId;
+    });
+    member.personId = person.personId;
+    attributes.household = household;
+    attributesManager.setPersistentAttributes(attributes);
+    await attributesManager.savePersistentAttributes();
+
+    return responseBuilder
+      .speak(handlerInput.t('family.identified', { name: member.name }))
+      .getResponse();
+  }
+};
+
+// Reads a first-name slot, capitalized the way it's spoken back, or null if empty
+function getNameSlot(requestEnvelope, slotName) {
+  const value = Alexa.getSlotValue(requestEnvelope, slotName);
+  if (!value || !value.trim()) {
+    return null;
+  }
+  return value.trim().replace(/\b\w/g, (letter) => letter.toUpperCase());
+}
+
+// Finds a family member by name, ignoring case
+function findMember(household, name) {
+  return household.find((member) => member.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+// Maps an age in years to the weather service's age group
+function getAgeGroup(age) {
+  const group = AGE_GROUPS.find(({ below }) => age < below);
+  return group ? group.ageGroup : 'senior';
+}
+
+// Weather service query parameters for the whole household: one descriptor per member, with
+// their schedule (commute times) if they have one
+function getHouseholdParams(attributes) {
+  const household = (attributes && attributes.household) || [];
+
+  if (!household.length) {
+    return {};
+  }
+  return {
+    household: JSON.stringify(household.map((member) => ({
+      ...getProfileParams(member),
+      ...(member.commute
+        ? { windows: `${member.commute.leaveTime},${getReturnTime(member.commute.leaveTime, member.commute.returnTime)}` }
+        : {})
+    })))
+  };
+}
+
+module.exports = {
+  AddFamilyMemberIntentHandler,
+  RemoveFamilyMemberIntentHandler,
+  IdentifyPersonIntentHandler,
+  getHouseholdParams
+};
@@ -4,14 +4,36 @@
  * session persistence, api calls, and more.
  * */
 const Alexa = require('ask-sdk-core');
-const { SkillIntentHandler } = require('./skill.js');
+const persistenceAdapter = require('ask-sdk-s3-persistence-adapter');
+const {
+    SkillIntentHandler,
+    ForecastIntentHandler,
+    CommuteIntentHandler,
+    HouseholdIntentHandler,
+    PlaceIntentHandler,
+    PackingListIntentHandler,
+    HourSelectedHandler
+} = require('./skill.js');
+const { ThermalProfileIntentHandler, CommuteTimesIntentHandler } = require('./preferences.js');
+const {
+    AddWardrobeItemIntentHandler,
+    RemoveWardrobeItemIntentHandler,
+    ListWardrobeIntentHandler
+} = require('./wardrobe.js');
+const {
+    AddFamilyMemberIntentHandler,
+    RemoveFamilyMemberIntentHandler,
+    IdentifyPersonIntentHandler
+} = require('./household.js');
+const { AddPackingListIntentHandler, DeclinePackingListIntentHandler } = require('./packing.js');
+const { LocalisationRequestInterceptor } = require('./messages.js');
 
 const LaunchRequestHandler = {
     canHandle(handlerInput) {
         return Alexa.getRequestType(handlerInput.requestEnvelope) === 'LaunchRequest';
     },
     handle(handlerInput) {
-        const speakOutput = 'Welcome, you can say Hello or Help. Which would you like to try?';
+        const speakOutput = handlerInput.t('welcome');
 
         return handlerInput.responseBuilder
             .speak(speakOutput)
@@ -26,7 +48,7 @@ const HelloWorldIntentHandler = {
             && Alexa.getIntentName(handlerInput.requestEnvelope) === 'HelloWorldIntent';
     },
     handle(handlerInput) {
-        const speakOutput = 'Hello World!';
+        const speakOutput = handlerInput.t('hello');
 
         return handlerInput.responseBuilder
             .speak(speakOutput)
@@ -41,7 +63,7 @@ const HelpIntentHandler = {
             && Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.HelpIntent';
     },
     handle(handlerInput) {
-        const speakOutput = 'You can say hello to me! How can I help?';
+        const speakOutput = handlerInput.t('help');
 
         return handlerInput.responseBuilder
             .speak(speakOutput)
@@ -57,7 +79,7 @@ const CancelAndStopIntentHandler = {
                 || Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.StopIntent');
     },
     handle(handlerInput) {
-        const speakOutput = 'Goodbye!';
+        const speakOutput = handlerInput.t('goodbye');
 
         return handlerInput.responseBuilder
             .speak(speakOutput)
@@ -75,7 +97,7 @@ const FallbackIntentHandler = {
             && Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.FallbackIntent';
     },
     handle(handlerInput) {
-        const speakOutput = 'Sorry, I don\'t know about that. Please try again.';
+        const speakOutput = handlerInput.t('fallback');
 
         return handlerInput.responseBuilder
             .speak(speakOutput)
@@ -109,7 +131,7 @@ const IntentReflectorHandler = {
     },
     handle(handlerInput) {
         const intentName = Alexa.getIntentName(handlerInput.requestEnvelope);
-        const speakOutput = `You just triggered ${intentName}`;
+        const speakOutput = handlerInput.t('reflector', { intent: intentName });
 
         return handlerInput.responseBuilder
             .speak(speakOutput)
@@ -127,7 +149,7 @@ const ErrorHandler = {
         return true;
     },
     handle(handlerInput, error) {
-        const speakOutput = 'Sorry, I had trouble doing what you asked. Please try again.';
+        const speakOutput = handlerInput.t('error');
         console.log(`~~~~ Error handled: ${JSON.stringify(error)}`);
 
         return handlerInput.responseBuilder
@@ -148,12 +170,33 @@ exports.handler = Alexa.SkillBuilders.custom()
         HelloWorldIntentHandler,
         HelpIntentHandler,
         SkillIntentHandler,
+        ForecastIntentHandler,
+        CommuteIntentHandler,
+        HouseholdIntentHandler,
+        PlaceIntentHandler,
+        PackingListIntentHandler,
+        AddPackingListIntentHandler,
+        DeclinePackingListIntentHandler,
+        HourSelectedHandler,
+        ThermalProfileIntentHandler,
+        CommuteTimesIntentHandler,
+        AddWardrobeItemIntentHandler,
+        RemoveWardrobeItemIntentHandler,
+        ListWardrobeIntentHandler,
+        AddFamilyMemberIntentHandler,
+        RemoveFamilyMemberIntentHandler,
+        IdentifyPersonIntentHandler,
         CancelAndStopIntentHandler,
         FallbackIntentHandler,
         SessionEndedRequestHandler,
         IntentReflectorHandler)
+    .addRequestInterceptors(
+        LocalisationRequestInterceptor)
     .addErrorHandlers(
         ErrorHandler)
     .withCustomUserAgent('sample/hello-world/v1.2')
     .withApiClient(new Alexa.DefaultApiClient()) // Required for device location API
+    .withPersistenceAdapter(
+        new persistenceAdapter.S3PersistenceAdapter({ bucketName: process.env.S3_PERSISTENCE_BUCKET })
+    ) // Stores per-user preferences, keyed by Alexa userId
     .lambda();
\ No newline at end of file
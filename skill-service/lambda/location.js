@@ -0,0 +1,86 @@
+// Permissions for the user's location: the device's own position (Alexa Geolocation, on phones
+// and Echo Auto) and the device address (Device Address API, the account's address on phones)
+const GEOLOCATION_PERMISSION = 'alexa::devices:all:geolocation:read';
+const ADDRESS_PERMISSION = 'read::alexa:device:all:address:country_and_postal_code';
+
+// A position older or less precise than this isn't where the user is now; the device address
+// is used instead
+const MAX_GEOLOCATION_AGE_MS = 5 * 60 * 1000;
+const MAX_GEOLOCATION_ACCURACY_METERS = 10000;
+
+// Where the user is, as weather service parameters. Devices that report their position, with the
+// user's permission, send lat/lon (the service skips geocoding); otherwise it's the postal code
+// and country of the device address. Resolves with { params, postalCode } (postalCode is null
+// for a position), or { error } naming the message to speak: "locationPermission" when neither
+// permission was given, "noPostalCode" when the address has none
+async function getUserLocation(handlerInput) {
+  const { requestEnvelope, serviceClientFactory } = handlerInput;
+  const coordinate = getGeolocation(requestEnvelope);
+  if (coordinate) {
+    return {
+      params: { lat: coordinate.latitudeInDegrees.toFixed(6), lon: coordinate.longitudeInDegrees.toFixed(6) },
+      postalCode: null
+    };
+  }
+
+  const permissions = requestEnvelope.context.System.user.permissions;
+  if (!(permissions && permissions.consentToken)) {
+    return { error: 'locationPermission' };
+  }
+
+  const deviceId = requestEnvelope.context.System.device.deviceId;
+  const client = serviceClientFactory.getDeviceAddressServiceClient();
+  const address = await client.getCountryAndPostalCode(deviceId);
+  if (!address.postalCode) {
+    return { error: 'noPostalCode' };
+  }
+
+  return {
+    // The country lets the service tell apart postal codes used in several countries
+    params: { zip: address.postalCode, ...(address.countryCode ? { country: address.countryCode } : {}) },
+    postalCode: address.postalCode
+  };
+}
+
+// The device's current position, if it has one and the user shared it: the Geolocation interface
+// is supported, its permission granted, location services are on, and the position is recent
+// and precise enough. Otherwise null
+function getGeolocation(requestEnvelope) {
+  const { context } = requestEnvelope;
+  const permissions = context.System.user.permissions;
+  const scope = permissions && permissions.scopes && permissions.scopes[GEOLOCATION_PERMISSION];
+  if (!context.System.device.supportedInterfaces.Geolocation || !scope || scope.status !== 'GRANTED') {
+    return null;
+  }
+
+  const geolocation = context.Geolocation;
+  if (!geolocation || !geolocation.coordinate) {
+    console.log('Geolocation granted, but the device sent no position');
+    return null;
+  }
+  const services = geolocation.locationServices;
+  if (services && (services.access !== 'ENABLED' || services.status !== 'RUNNING')) {
+    console.log(`Location services are ${services.access} and ${services.status}; using the device address`);
+    return null;
+  }
+
+  const ageMs = Date.parse(requestEnvelope.request.timestamp) - Date.parse(geolocation.timestamp);
+  const { accuracyInMeters } = geolocation.coordinate;
+  if (ageMs > MAX_GEOLOCATION_AGE_MS || accuracyInMeters > MAX_GEOLOCATION_ACCURACY_METERS) {
+    console.log(`Position is ${Math.round(ageMs / 1000)} s old and accurate to ${accuracyInMeters} m; using the device address`);
+    return null;
+  }
+  return geolocation.coordinate;
+}
+
+// The permissions to ask for in the consent card: the position too, where the device has one
+function getLocationPermissions(requestEnvelope) {
+  return requestEnvelope.context.System.device.supportedInterfaces.Geolocation
+    ? [GEOLOCATION_PERMISSION, ADDRESS_PERMISSION]
+    : [ADDRESS_PERMISSION];
+}
+
+module.exports = {
+  getUserLocation,
+  getLocationPermissions
+};
@@ -0,0 +1,313 @@
+// What the skill itself says, per Alexa locale. The clothing recommendations come from the
+// weather service, which gets the locale too and answers in the same language.
+
+// Locale for messages of a language the skill doesn't have a region for (e.g. es-MX, de-AT)
+const LANGUAGE_LOCALES = {
+  en: 'en-US',
+  es: 'es-US',
+  de: 'de-DE'
+};
+
+const DEFAULT_LOCALE = 'en-US';
+
+// Message tables by locale; each only needs what differs from its language's table, and
+// anything missing falls back to en-US
+const MESSAGES = {
+  'en-US': {
+    welcome: 'Welcome, you can say Hello or Help. Which would you like to try?',
+    hello: 'Hello World!',
+    help: 'You can say hello to me! How can I help?',
+    goodbye: 'Goodbye!',
+    fallback: 'Sorry, I don\'t know about that. Please try again.',
+    reflector: 'You just triggered {intent}',
+    error: 'Sorry, I had trouble doing what you asked. Please try again.',
+    askDate: 'Which day would you like to dress for?',
+    askPlace: 'Which city would you like to dress for?',
+    askTripDate: 'When does your trip start?',
+    timelineExpired: 'Ask me what to wear again, then tap an hour.',
+    noCommute: 'I don\'t know your commute yet. Say something like I leave at 8 and come back at 6.',
+    noFamily: 'You haven\'t added anyone to your family yet. You can say add Emma to my family, or Emma is 6.',
+    locationPermission: 'Please enable location permissions in the Alexa app.',
+    noPostalCode: 'I couldn\'t get your postal code.',
+    // Place shown on the APL card when the weather is for the device's position
+    currentLocation: 'Your location',
+    serviceError: 'I\'m sorry, something went wrong.',
+    serviceUnavailable: 'I\'m having trouble reaching the fashion service right now.',
+    // When the weather service fails without a message the skill can use, by error code
+    serviceErrors: {
+      invalidLocation: 'I couldn\'t find the weather for your postal code. Check your device address in the Alexa app.',
+      upstreamUnavailable: 'The weather service isn\'t answering right now. Please try again in a few minutes.',
+      upstreamMalformed: 'The weather service sent back a forecast I couldn\'t read. Please try again later.',
+      upstreamTimeout: 'The weather service is taking too long to answer. Please try again in a moment.'
+    },
+    addressCard: {
+      title: 'Check your device address',
+      notFound: 'I couldn\'t find the postal code {postalCode}. In the Alexa app, open Devices, choose this device and check its address.',
+      ambiguous: 'The postal code {postalCode} matches more than one place. In the Alexa app, open Devices, choose this device and check the country in its address.'
+    },
+    preferences: {
+      prompt: 'You can say things like I run cold, I run hot, I don\'t like shorts, or I always bike.',
+      RUN_COLD: 'Got it, you run cold. I\'ll suggest warmer clothes from now on.',
+      RUN_HOT: 'Got it, you run hot. I\'ll suggest lighter clothes from now on.',
+      NO_SHORTS: 'Noted, no shorts. I\'ll suggest light pants instead.',
+      BIKES: 'Noted, you bike. I\'ll add advice for the ride.',
+      RESET: 'Okay, I\'ve cleared your comfort preferences.',
+      member: 'Got it, I\'ll remember that for {name}.'
+    },
+    commute: {
+      prompt: 'Tell me when you leave and when you come back, like I leave at 8 and come back at 6.',
+      saved: 'Got it. Ask me what to wear for your commute and I\'ll cover both trips.',
+      savedMember: 'Got it. When you ask what everyone should wear, I\'ll dress {name} for those times.'
+    },
+    wardrobe: {
+      prompt: 'Tell me what you own, like a rain shell, a fleece, or a down parka.',
+      full: 'Your wardrobe is full. Remove something before adding more.',
+      added: 'Added your {item}. I\'ll pick from your own clothes from now on.',
+      notFound: 'I couldn\'t find that in your wardrobe.',
+      removed: 'Removed your {item}.',
+      empty: 'Your wardrobe is empty. You can say things like I own a rain shell.',
+      one: 'Your wardrobe has your {item}.',
+      many: 'Your wardrobe has {count} items: {items}.'
+    },
+    family: {
+      prompt: 'Who should I add? You can say add Emma to my family, or Emma is 6.',
+      full: 'Your family already has {max} people. Remove someone before adding more.',
+      updated: 'Updated {name}.',
+      added: 'Added {name}. Ask me what {name} should wear, or what everyone should wear.',
+      notFound: 'I couldn\'t find them in your family.',
+      removed: 'Removed {name}.',
+      noVoice: 'I can\'t tell who\'s speaking. Set up voice recognition in the Alexa app, then try again. You can still ask what a family member should wear by name.',
+      askName: 'What\'s your name?',
+      identified: 'Hi {name}. When you ask what to wear, I\'ll dress you with your own settings.',
+      unknown: 'I don\'t know {name} yet. You can say add {name} to my family.'
+    },
+    // Packing lists for trips (see packing.js)
+    packing: {
+      cardTitle: 'Packing list for {place}',
+      cardTitleHere: 'Packing list',
+      offer: 'I sent the list to the Alexa app. Should I add it to your to-do list too?',
+      listItem: 'Pack {item}',
+      added: 'Done, the packing list is on your to-do list.',
+      partial: 'I added {added} of the {total} items to your to-do list. The whole packing list is in the Alexa app.',
+      noList: 'I couldn\'t find your to-do list. The packing list is in the Alexa app.',
+      listPermission: 'To add it to your to-do list, allow access to your lists in the Alexa app. The packing list is there too.',
+      listError: 'Sorry, I couldn\'t add it to your to-do list. The packing list is in the Alexa app.',
+      empty: 'There\'s nothing on the packing list to add.',
+      declined: 'Okay. The packing list is in the Alexa app.'
+    }
+  },
+  'en-GB': {
+    preferences: {
+      NO_SHORTS: 'Noted, no shorts. I\'ll suggest light trousers instead.'
+    }
+  },
+  'es-US': {
+    welcome: 'Te doy la bienvenida. Puedes decir hola o ayuda. ¿Qué quieres probar?',
+    hello: '¡Hola, mundo!',
+    help: '¡Puedes saludarme! ¿En qué te puedo ayudar?',
+    goodbye: '¡Adiós!',
+    fallback: 'Lo siento, no sé de eso. Inténtalo de nuevo.',
+    reflector: 'Acabas de activar {intent}',
+    error: 'Lo siento, tuve problemas para hacer lo que pediste. Inténtalo de nuevo.',
+    askDate: '¿Para qué día te quieres vestir?',
+    askPlace: '¿Para qué ciudad te quieres vestir?',
+    askTripDate: '¿Cuándo empieza tu viaje?',
+    timelineExpired: 'Vuelve a preguntarme qué ponerte y luego toca una hora.',
+    noCommute: 'Todavía no conozco tu trayecto. Di algo como salgo a las 8 y regreso a las 6.',
+    noFamily: 'Todavía no has agregado a nadie a tu familia. Puedes decir agrega a Emma a mi familia, o Emma tiene 6 años.',
+    locationPermission: 'Activa los permisos de ubicación en la app de Alexa.',
+    noPostalCode: 'No pude obtener tu código postal.',
+    currentLocation: 'Tu ubicación',
+    serviceError: 'Lo siento, algo salió mal.',
+    serviceUnavailable: 'Tengo problemas para comunicarme con el servicio de ropa en este momento.',
+    serviceErrors: {
+      invalidLocation: 'No encontré el clima de tu código postal. Revisa la dirección de tu dispositivo en la app de Alexa.',
+      upstreamUnavailable: 'El servicio del clima no responde en este momento. Inténtalo de nuevo en unos minutos.',
+      upstreamMalformed: 'El servicio del clima envió un pronóstico que no pude leer. Inténtalo más tarde.',
+      upstreamTimeout: 'El servicio del clima está tardando demasiado en responder. Inténtalo de nuevo en un momento.'
+    },
+    addressCard: {
+      title: 'Revisa la dirección de tu dispositivo',
+      notFound: 'No encontré el código postal {postalCode}. En la app de Alexa, abre Dispositivos, elige este dispositivo y revisa su dirección.',
+      ambiguous: 'El código postal {postalCode} coincide con más de un lugar. En la app de Alexa, abre Dispositivos, elige este dispositivo y revisa el país de su dirección.'
+    },
+    preferences: {
+      prompt: 'Puedes decir cosas como soy friolento, soy caluroso, no me gustan los pantalones cortos o siempre voy en bicicleta.',
+      RUN_COLD: 'Entendido, eres friolento. Desde ahora te sugeriré ropa más abrigada.',
+      RUN_HOT: 'Entendido, eres caluroso. Desde ahora te sugeriré ropa más ligera.',
+      NO_SHORTS: 'Anotado, nada de pantalones cortos. Te sugeriré pantalones ligeros.',
+      BIKES: 'Anotado, vas en bicicleta. Agregaré consejos para el camino.',
+      RESET: 'Listo, borré tus preferencias de comodidad.',
+      member: 'Entendido, lo recordaré para {name}.'
+    },
+    commute: {
+      prompt: 'Dime cuándo sales y cuándo regresas, por ejemplo salgo a las 8 y regreso a las 6.',
+      saved: 'Entendido. Pregúntame qué ponerte para tu trayecto y cubriré la ida y la vuelta.',
+      savedMember: 'Entendido. Cuando preguntes qué deberían ponerse todos, vestiré a {name} para esos horarios.'
+    },
+    wardrobe: {
+      prompt: 'Dime qué ropa tienes, como una chaqueta impermeable, un forro polar o una parka de plumas.',
+      full: 'Tu ropero está lleno. Quita algo antes de agregar más.',
+      added: 'Agregué tu {item}. Desde ahora elegiré de tu propia ropa.',
+      notFound: 'No encontré eso en tu ropero.',
+      removed: 'Quité tu {item}.',
+      empty: 'Tu ropero está vacío. Puedes decir cosas como tengo una chaqueta impermeable.',
+      one: 'En tu ropero está tu {item}.',
+      many: 'Tu ropero tiene {count} prendas: {items}.'
+    },
+    family: {
+      prompt: '¿A quién agrego? Puedes decir agrega a Emma a mi familia, o Emma tiene 6 años.',
+      full: 'Tu familia ya tiene {max} personas. Quita a alguien antes de agregar más.',
+      updated: 'Actualicé a {name}.',
+      added: 'Agregué a {name}. Pregúntame qué debería ponerse {name}, o qué deberían ponerse todos.',
+      notFound: 'No encontré a esa persona en tu familia.',
+      removed: 'Quité a {name}.',
+      noVoice: 'No puedo saber quién habla. Configura el reconocimiento de voz en la app de Alexa e inténtalo de nuevo. Igual puedes preguntar qué debería ponerse alguien de tu familia por su nombre.',
+      askName: '¿Cómo te llamas?',
+      identified: 'Hola, {name}. Cuando preguntes qué ponerte, usaré tus propias preferencias.',
+      unknown: 'Todavía no conozco a {name}. Puedes decir agrega a {name} a mi familia.'
+    },
+    // Packing lists for trips (see packing.js)
+    packing: {
+      cardTitle: 'Lista de equipaje para {place}',
+      cardTitleHere: 'Lista de equipaje',
+      offer: 'Te envié la lista a la app de Alexa. ¿Quieres que también la agregue a tu lista de tareas?',
+      listItem: 'Empacar {item}',
+      added: 'Listo, la lista de equipaje está en tu lista de tareas.',
+      partial: 'Agregué {added} de las {total} cosas a tu lista de tareas. La lista de equipaje completa está en la app de Alexa.',
+      noList: 'No encontré tu lista de tareas. La lista de equipaje está en la app de Alexa.',
+      listPermission: 'Para agregarla a tu lista de tareas, permite el acceso a tus listas en la app de Alexa. La lista de equipaje también está ahí.',
+      listError: 'Lo siento, no pude agregarla a tu lista de tareas. La lista de equipaje está en la app de Alexa.',
+      empty: 'No hay nada en la lista de equipaje que añadir.',
+      declined: 'De acuerdo. La lista de equipaje está en la app de Alexa.'
+    }
+  },
+  'de-DE': {
+    welcome: 'Willkommen! Du kannst Hallo oder Hilfe sagen. Was möchtest du ausprobieren?',
+    hello: 'Hallo Welt!',
+    help: 'Du kannst Hallo zu mir sagen! Wie kann ich helfen?',
+    goodbye: 'Tschüss!',
+    fallback: 'Das weiß ich leider nicht. Versuch es bitte noch einmal.',
+    reflector: 'Du hast {intent} ausgelöst',
+    error: 'Entschuldigung, das hat leider nicht geklappt. Versuch es bitte noch einmal.',
+    askDate: 'Für welchen Tag möchtest du dich anziehen?',
+    askPlace: 'Für welche Stadt möchtest du dich anziehen?',
+    askTripDate: 'Wann beginnt deine Reise?',
+    timelineExpired: 'Frag mich noch einmal, was du anziehen sollst, und tippe dann auf eine Uhrzeit.',
+    noCommute: 'Ich kenne deinen Arbeitsweg noch nicht. Sag zum Beispiel: Ich gehe um 8 los und komme um 6 zurück.',
+    noFamily: 'Du hast noch niemanden zu deiner Familie hinzugefügt. Sag zum Beispiel: Füge Emma zu meiner Familie hinzu, oder Emma ist 6.',
+    locationPermission: 'Bitte erlaube den Zugriff auf den Standort in der Alexa-App.',
+    noPostalCode: 'Ich konnte deine Postleitzahl nicht abrufen.',
+    currentLocation: 'Dein Standort',
+    serviceError: 'Entschuldigung, da ist etwas schiefgelaufen.',
+    serviceUnavailable: 'Ich erreiche den Kleidungsdienst gerade nicht.',
+    serviceErrors: {
+      invalidLocation: 'Ich konnte das Wetter für deine Postleitzahl nicht finden. Prüfe die Geräteadresse in der Alexa-App.',
+      upstreamUnavailable: 'Der Wetterdienst antwortet gerade nicht. Bitte versuche es in ein paar Minuten noch einmal.',
+      upstreamMalformed: 'Der Wetterdienst hat eine Vorhersage geschickt, die ich nicht lesen konnte. Bitte versuche es später noch einmal.',
+      upstreamTimeout: 'Der Wetterdienst braucht zu lange für eine Antwort. Bitte versuche es gleich noch einmal.'
+    },
+    addressCard: {
+      title: 'Prüfe deine Geräteadresse',
+      notFound: 'Ich konnte die Postleitzahl {postalCode} nicht finden. Öffne in der Alexa-App Geräte, wähle dieses Gerät und prüfe seine Adresse.',
+      ambiguous: 'Die Postleitzahl {postalCode} passt zu mehr als einem Ort. Öffne in der Alexa-App Geräte, wähle dieses Gerät und prüfe das Land in seiner Adresse.'
+    },
+    preferences: {
+      prompt: 'Du kannst zum Beispiel sagen: Mir ist schnell kalt, mir ist schnell warm, ich mag keine Shorts oder ich fahre immer Rad.',
+      RUN_COLD: 'Alles klar, dir ist schnell kalt. Ich schlage dir ab jetzt wärmere Kleidung vor.',
+      RUN_HOT: 'Alles klar, dir ist schnell warm. Ich schlage dir ab jetzt leichtere Kleidung vor.',
+      NO_SHORTS: 'Notiert, keine Shorts. Ich schlage stattdessen eine leichte Hose vor.',
+      BIKES: 'Notiert, du fährst Rad. Ich gebe dir Tipps für die Fahrt.',
+      RESET: 'Okay, ich habe deine Vorlieben gelöscht.',
+      member: 'Alles klar, das merke ich mir für {name}.'
+    },
+    commute: {
+      prompt: 'Sag mir, wann du losgehst und wann du zurückkommst, zum Beispiel: Ich gehe um 8 los und komme um 6 zurück.',
+      saved: 'Alles klar. Frag mich, was du für deinen Arbeitsweg anziehen sollst, dann denke ich an Hin- und Rückweg.',
+      savedMember: 'Alles klar. Wenn du fragst, was alle anziehen sollen, ziehe ich {name} für diese Zeiten an.'
+    },
+    wardrobe: {
+      prompt: 'Sag mir, was du besitzt, zum Beispiel eine Regenjacke, eine Fleecejacke oder einen Daunenparka.',
+      full: 'Dein Kleiderschrank ist voll. Entferne etwas, bevor du mehr hinzufügst.',
+      added: '{item} ist jetzt in deinem Kleiderschrank. Ich wähle ab jetzt aus deiner eigenen Kleidung.',
+      notFound: 'Das habe ich in deinem Kleiderschrank nicht gefunden.',
+      removed: '{item} ist nicht mehr in deinem Kleiderschrank.',
+      empty: 'Dein Kleiderschrank ist leer. Du kannst zum Beispiel sagen: Ich habe eine Regenjacke.',
+      one: 'In deinem Kleiderschrank ist {item}.',
+      many: 'In deinem Kleiderschrank sind {count} Sachen: {items}.'
+    },
+    family: {
+      prompt: 'Wen soll ich hinzufügen? Sag zum Beispiel: Füge Emma zu meiner Familie hinzu, oder Emma ist 6.',
+      full: 'Deine Familie hat schon {max} Personen. Entferne jemanden, bevor du weitere hinzufügst.',
+      updated: '{name} ist aktualisiert.',
+      added: '{name} ist hinzugefügt. Frag mich, was {name} anziehen soll, oder was alle anziehen sollen.',
+      notFound: 'Diese Person habe ich in deiner Familie nicht gefunden.',
+      removed: '{name} ist entfernt.',
+      noVoice: 'Ich kann nicht erkennen, wer spricht. Richte die Spracherkennung in der Alexa-App ein und versuch es noch einmal. Du kannst trotzdem mit Namen fragen, was jemand aus deiner Familie anziehen soll.',
+      askName: 'Wie heißt du?',
+      identified: 'Hallo {name}. Wenn du fragst, was du anziehen sollst, nehme ich deine eigenen Einstellungen.',
+      unknown: '{name} kenne ich noch nicht. Du kannst sagen: Füge {name} zu meiner Familie hinzu.'
+    },
+    // Packing lists for trips (see packing.js)
+    packing: {
+      cardTitle: 'Packliste für {place}',
+      cardTitleHere: 'Packliste',
+      offer: 'Ich habe die Liste an die Alexa-App geschickt. Soll ich sie auch zu deiner To-do-Liste hinzufügen?',
+      listItem: 'Einpacken: {item}',
+      added: 'Erledigt, die Packliste steht auf deiner To-do-Liste.',
+      partial: 'Ich habe {added} von {total} Sachen zu deiner To-do-Liste hinzugefügt. Die ganze Packliste ist in der Alexa-App.',
+      noList: 'Ich habe deine To-do-Liste nicht gefunden. Die Packliste ist in der Alexa-App.',
+      listPermission: 'Damit ich sie zu deiner To-do-Liste hinzufügen kann, erlaube in der Alexa-App den Zugriff auf deine Listen. Dort ist auch die Packliste.',
+      listError: 'Leider konnte ich sie nicht zu deiner To-do-Liste hinzufügen. Die Packliste ist in der Alexa-App.',
+      empty: 'Auf der Packliste steht nichts, was ich hinzufügen könnte.',
+      declined: 'Okay. Die Packliste ist in der Alexa-App.'
+    }
+  }
+};
+
+// Resolves a request locale to one with messages: the locale itself, else its language's, else en-US
+function resolveLocale(locale) {
+  if (MESSAGES[locale]) {
+    return locale;
+  }
+  return LANGUAGE_LOCALES[String(locale || '').slice(0, 2)] || DEFAULT_LOCALE;
+}
+
+// Looks up a dotted key ("wardrobe.added") in a message table
+function lookup(table, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), table);
+}
+
+// The messages of a locale: t(key, params) fills in {placeholders}, and formatList joins
+// names the way the language does ("a, b and c")
+function createMessages(requestLocale) {
+  const locale = resolveLocale(requestLocale);
+  const tables = [...new Set([locale, LANGUAGE_LOCALES[locale.slice(0, 2)], DEFAULT_LOCALE])].map((name) => MESSAGES[name]);
+
+  const t = (key, params = {}) => {
+    const table = tables.find((candidate) => lookup(candidate, key) !== undefined);
+    if (!table) {
+      console.warn(`Missing message "${key}" for ${locale}`);
+      return key;
+    }
+    return lookup(table, key).replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+  };
+  const formatList = (names) => new Intl.ListFormat(locale, { type: 'conjunction' }).format(names);
+
+  return { locale, t, formatList };
+}
+
+// Gives every handler the messages of the request's locale, as handlerInput.t and handlerInput.formatList
+const LocalisationRequestInterceptor = {
+  process(handlerInput) {
+    const { t, formatList } = createMessages(handlerInput.requestEnvelope.request.locale);
+    handlerInput.t = t;
+    handlerInput.formatList = formatList;
+  }
+};
+
+module.exports = {
+  LocalisationRequestInterceptor,
+  createMessages,
+  resolveLocale
+};
@@ -0,0 +1,122 @@
+const Alexa = require('ask-sdk-core');
+
+// Permissions for the user's Alexa lists: reading them finds the to-do list, writing adds to it
+const LIST_PERMISSIONS = ['read::alexa:household:list', 'write::alexa:household:list'];
+
+// The built-in to-do list, by its name in the Lists API
+const TODO_LIST_NAME = 'Alexa to-do list';
+
+// Items added at once; the Lists API throttles a skill that sends too many together
+const ADD_BATCH_SIZE = 4;
+
+// A packing list from the weather service (its packing mode) goes to the Alexa app as a card,
+// and the skill offers to add it to the user's to-do list. The list waits in the session for
+// the answer. Returns the speech with the offer after it
+function offerPackingList(handlerInput, responseData, speech) {
+  const { attributesManager, responseBuilder } = handlerInput;
+  const lines = responseData.packing.items.map((entry) => entry.text);
+  const title = responseData.locationName
+    ? handlerInput.t('packing.cardTitle', { place: responseData.locationName })
+    : handlerInput.t('packing.cardTitleHere');
+  const offer = handlerInput.t('packing.offer');
+
+  attributesManager.setSessionAttributes({
+    ...attributesManager.getSessionAttributes(),
+    packingList: { title, items: lines }
+  });
+  responseBuilder
+    .withSimpleCard(title, lines.join('\n'))
+    .reprompt(offer);
+  // The service's SSML comes wrapped in <speak>; the offer goes inside it
+  return /<\/speak>\s*$/.test(speech)
+    ? speech.replace(/<\/speak>\s*$/, ` ${offer}</speak>`)
+    : `${speech} ${offer}`;
+}
+
+// "Yes" to the offer: adds the packing list to the to-do list, one item per line
+const AddPackingListIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.YesIntent'
+      && Boolean(handlerInput.attributesManager.getSessionAttributes().packingList);
+  },
+  async handle(handlerInput) {
+    const { attributesManager, responseBuilder, serviceClientFactory } = handlerInput;
+    const { items } = takePackingList(attributesManager);
+    if (!items.length) {
+      return responseBuilder.speak(handlerInput.t('packing.empty')).getResponse();
+    }
+
+    try {
+      const client = serviceClientFactory.getListManagementServiceClient();
+      const { lists } = await client.getListsMetadata();
+      const todoList = (lists || []).find((list) => list.state === 'active'
+        && list.name === TODO_LIST_NAME);
+      if (!todoList) {
+        return responseBuilder.speak(handlerInput.t('packing.noList')).getResponse();
+      }
+
+      const failures = [];
+      for (let i = 0; i < items.length; i += ADD_BATCH_SIZE) {
+        const results = await Promise.allSettled(items.slice(i, i + ADD_BATCH_SIZE).map((item) =>
+          client.createListItem(todoList.listId, {
+            value: handlerInput.t('packing.listItem', { item }),
+            status: 'active'
+          })));
+        failures.push(...results.filter((result) => result.status === 'rejected').map((result) => result.reason));
+      }
+      if (failures.length > 0 && failures.length === items.length) {
+        throw failures[0];
+      }
+      if (failures.length > 0) {
+        console.error(`Added ${items.length - failures.length} of ${items.length} packing list items:`, failures[0]);
+        return responseBuilder
+          .speak(handlerInput.t('packing.partial', { added: items.length - failures.length, total: items.length }))
+          .getResponse();
+      }
+      return responseBuilder
+        .speak(handlerInput.t('packing.added'))
+        .getResponse();
+    } catch (err) {
+      // Without the lists permissions, the Lists API answers 401 or 403
+      if (err.statusCode === 401 || err.statusCode === 403) {
+        return responseBuilder
+          .speak(handlerInput.t('packing.listPermission'))
+          .withAskForPermissionsConsentCard(LIST_PERMISSIONS)
+          .getResponse();
+      }
+      console.error('Error adding the packing list:', err);
+      return responseBuilder.speak(handlerInput.t('packing.listError')).getResponse();
+    }
+  }
+};
+
+// "No" to the offer: the list stays in the Alexa app only
+const DeclinePackingListIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.NoIntent'
+      && Boolean(handlerInput.attributesManager.getSessionAttributes().packingList);
+  },
+  handle(handlerInput) {
+    takePackingList(handlerInput.attributesManager);
+    return handlerInput.responseBuilder
+      .speak(handlerInput.t('packing.declined'))
+      .getResponse();
+  }
+};
+
+// The packing list waiting in the session, removed from it
+function takePackingList(attributesManager) {
+  const sessionAttributes = attributesManager.getSessionAttributes();
+  const { packingList } = sessionAttributes;
+  delete sessionAttributes.packingList;
+  attributesManager.setSessionAttributes(sessionAttributes);
+  return packingList;
+}
+
+module.exports = {
+  AddPackingListIntentHandler,
+  DeclinePackingListIntentHandler,
+  offerPackingList
+};
@@ -0,0 +1,207 @@
+const Alexa = require('ask-sdk-core');
+
+// How far (°F) "I run cold" / "I run hot" shifts the temperature categories
+const COMFORT_OFFSET = 5;
+
+// Values of the THERMAL_PREFERENCE slot type (by slot value ID) and how each updates the
+// profile; each confirmation is the message "preferences.<ID>" (see messages.js)
+const THERMAL_PREFERENCES = {
+  RUN_COLD: (profile) => ({ ...profile, comfortOffset: COMFORT_OFFSET }),
+  RUN_HOT: (profile) => ({ ...profile, comfortOffset: -COMFORT_OFFSET }),
+  NO_SHORTS: (profile) => ({ ...profile, dislikesShorts: true }),
+  BIKES: (profile) => ({ ...profile, bikes: true }),
+  RESET: () => ({})
+};
+
+// "Alexa, tell what to wear I run cold" - or "Emma runs cold" for a family member (see household.js)
+const ThermalProfileIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetThermalProfileIntent';
+  },
+  async handle(handlerInput) {
+    const { attributesManager, responseBuilder, requestEnvelope } = handlerInput;
+    const preferenceId = getResolvedSlotId(requestEnvelope, 'preference');
+    const applyPreference = THERMAL_PREFERENCES[preferenceId];
+
+    if (!applyPreference) {
+      const speakOutput = handlerInput.t('preferences.prompt');
+      return responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .getResponse();
+    }
+
+    const attributes = await attributesManager.getPersistentAttributes();
+    const owner = getProfileOwner(requestEnvelope, attributes);
+    if (!owner) {
+      return speakUnknownMember(handlerInput);
+    }
+
+    owner.thermalProfile = applyPreference(owner.thermalProfile || {});
+    attributesManager.setPersistentAttributes(attributes);
+    await attributesManager.savePersistentAttributes();
+
+    return responseBuilder
+      .speak(owner === attributes
+        ? handlerInput.t(`preferences.${preferenceId}`)
+        : handlerInput.t('preferences.member', { name: owner.name }))
+      .getResponse();
+  }
+};
+
+// AMAZON.TIME values for vague times of day, as the clock time we plan around
+const TIMES_OF_DAY = {
+  MO: '08:00',
+  AF: '13:00',
+  EV: '18:00',
+  NI: '21:00'
+};
+
+// "Alexa, tell what to wear I leave at 8 and come back at 6" - or "Emma leaves at 7:30 and comes
+// back at 3", which becomes her schedule for household recommendations
+const CommuteTimesIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetCommuteTimesIntent';
+  },
+  async handle(handlerInput) {
+    const { attributesManager, responseBuilder, requestEnvelope } = handlerInput;
+    const leaveTime = getTimeSlot(requestEnvelope, 'leaveTime');
+    const returnTime = getTimeSlot(requestEnvelope, 'returnTime');
+
+    if (!leaveTime || !returnTime) {
+      const speakOutput = handlerInput.t('commute.prompt');
+      return responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .getResponse();
+    }
+
+    const attributes = await attributesManager.getPersistentAttributes();
+    const owner = getProfileOwner(requestEnvelope, attributes);
+    if (!owner) {
+      return speakUnknownMember(handlerInput);
+    }
+
+    owner.commute = { leaveTime, returnTime: getReturnTime(leaveTime, returnTime) };
+    attributesManager.setPersistentAttributes(attributes);
+    await attributesManager.savePersistentAttributes();
+
+    const speakOutput = owner === attributes
+      ? handlerInput.t('commute.saved')
+      : handlerInput.t('commute.savedMember', { name: owner.name });
+    return responseBuilder
+      .speak(speakOutput)
+      .getResponse();
+  }
+};
+
+// Reads an AMAZON.TIME slot as "HH:MM", or null if it's empty or not a time
+function getTimeSlot(requestEnvelope, slotName) {
+  const value = Alexa.getSlotValue(requestEnvelope, slotName);
+
+  if (value && TIMES_OF_DAY[value]) {
+    return TIMES_OF_DAY[value];
+  }
+  return value && /^\d{2}:\d{2}$/.test(value) ? value : null;
+}
+
+// AMAZON.TIME takes "come back at 6" as 06:00. A return at or before the leave time is in the
+// afternoon or evening when that's later ("leave at 8 and come back at 6"), and otherwise the
+// next day (out at 22:00, back at 06:00 after a night shift), which the weather service
+// works out from the order of the commute windows
+function getReturnTime(leaveTime, returnTime) {
+  if (returnTime > leaveTime) {
+    return returnTime;
+  }
+  const afternoonHour = Number(returnTime.slice(0, 2)) + 12;
+  const afternoon = `${afternoonHour}${returnTime.slice(2)}`;
+  return afternoonHour < 24 && afternoon > leaveTime ? afternoon : returnTime;
+}
+
+// Returns the entity-resolved ID of a custom slot value, or null if it didn't match
+function getResolvedSlotId(requestEnvelope, slotName) {
+  const slot = Alexa.getSlot(requestEnvelope, slotName);
+  const resolution = slot && slot.resolutions && slot.resolutions.resolutionsPerAuthority
+    && slot.resolutions.resolutionsPerAuthority[0];
+
+  if (!resolution || resolution.status.code !== 'ER_SUCCESS_MATCH') {
+    return null;
+  }
+  return resolution.values[0].value.id;
+}
+
+// The stored profile a request is about: the family member named in the person slot
+// ("what should Emma wear"), else the member Alexa recognized as the speaker, else the
+// account's own. Returns null if the named person isn't in the household.
+function getProfileOwner(requestEnvelope, attributes) {
+  const household = attributes.household || [];
+  const name = Alexa.getSlotValue(requestEnvelope, 'person');
+
+  if (name) {
+    return household.find((member) => member.name.toLowerCase() === name.toLowerCase()) || null;
+  }
+  const person = requestEnvelope.context.System.person;
+  const speaker = person && household.find((member) => member.personId === person.personId);
+  return speaker || attributes;
+}
+
+// Answer for a person slot naming someone who isn't in the household
+function speakUnknownMember(handlerInput) {
+  const spoken = Alexa.getSlotValue(handlerInput.requestEnvelope, 'person');
+  const name = spoken.charAt(0).toUpperCase() + spoken.slice(1);
+  return handlerInput.responseBuilder
+    .speak(handlerInput.t('family.unknown', { name }))
+    .getResponse();
+}
+
+// Weather service query parameters for the stored thermal profile (the account's, or a
+// family member's, which also has a name and age group)
+function getProfileParams(attributes) {
+  const profile = (attributes && attributes.thermalProfile) || {};
+  const params = {};
+  const preferences = [];
+
+  if (profile.comfortOffset) {
+    params.comfortOffset = String(profile.comfortOffset);
+  }
+  if (profile.dislikesShorts) {
+    preferences.push('noShorts');
+  }
+  if (profile.bikes) {
+    preferences.push('bikes');
+  }
+  if (preferences.length) {
+    params.preferences = preferences.join(',');
+  }
+  if (attributes && attributes.name) {
+    params.name = attributes.name;
+  }
+  if (attributes && attributes.ageGroup) {
+    params.ageGroup = attributes.ageGroup;
+  }
+  return params;
+}
+
+// Reads the user's persistent attributes, treating storage problems as "no preferences"
+async function loadPersistentAttributes(attributesManager) {
+  try {
+    return await attributesManager.getPersistentAttributes();
+  } catch (error) {
+    console.error('Error loading persistent attributes:', error);
+    return {};
+  }
+}
+
+module.exports = {
+  ThermalProfileIntentHandler,
+  CommuteTimesIntentHandler,
+  getResolvedSlotId,
+  getTimeSlot,
+  getReturnTime,
+  getProfileParams,
+  getProfileOwner,
+  speakUnknownMember,
+  loadPersistentAttributes
+};
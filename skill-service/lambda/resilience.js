@@ -0,0 +1,188 @@
+const https = require('https');
+
+// Resilient GETs to the weather service, with the same policy as the service's own upstream
+// calls (weather-service/upstream.mjs); keep the two in step. Each skill request gets a session
+// with a total deadline; every attempt has its own timeout, cut short by the deadline; failures
+// that look transient (network errors, timeouts, 408, 429 and 5xx) are retried after a random,
+// exponentially growing delay ("full jitter"); and a circuit breaker per host fails calls at
+// once for a while after enough failures in a row. Breakers live in module scope, so they
+// survive warm invocations.
+//
+// The defaults leave the service (6 seconds for its own upstream calls) time to answer within
+// the 8 seconds Alexa waits for the skill. config.json can override them under "resilience".
+const DEFAULTS = {
+  timeoutMs: 7000,
+  deadlineMs: 7500,
+  retries: 1,
+  retryDelayMs: 200,
+  failureThreshold: 5,
+  resetSeconds: 30
+};
+
+// Statuses that mean "try again": the host is overloaded or failed, not the request
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Circuit breaker for one host. Closed, it lets calls through and counts failures in a row;
+// at the threshold it opens and fails calls at once. After the reset time it lets one call
+// through (half-open): a success closes it again, a failure opens it for another reset time.
+class CircuitBreaker {
+  constructor(name, failureThreshold, resetSeconds) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetSeconds * 1000;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  // "closed", "open" or "half-open"
+  state(now = Date.now()) {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    return now - this.openedAt < this.resetMs ? 'open' : 'half-open';
+  }
+
+  allows(now = Date.now()) {
+    return this.state(now) !== 'open';
+  }
+
+  succeeded() {
+    if (this.openedAt !== null) {
+      console.log(`Circuit for ${this.name} closed`);
+    }
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  failed(now = Date.now()) {
+    this.failures++;
+    if (this.state(now) === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state(now) !== 'open') {
+        console.warn(`Circuit for ${this.name} opened after ${this.failures} failures in a row`);
+      }
+      this.openedAt = now;
+    }
+  }
+}
+
+// Circuit breakers by host; module scope, so they survive warm invocations
+const breakers = new Map();
+
+// A failed call; code is "timeout" (no answer in time) or "unavailable" (the circuit is open
+// or the request failed)
+class UpstreamError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+  }
+}
+
+// One GET attempt; resolves with the status and body, fails on network errors and when the
+// whole response doesn't arrive within timeoutMs
+function getOnce(url, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        clearTimeout(timer);
+        resolve({ statusCode: res.statusCode, body: data });
+      });
+    });
+    const timer = setTimeout(() => request.destroy(new UpstreamError(`Request to ${url} timed out`, 'timeout')), timeoutMs);
+    request.on('error', (e) => {
+      clearTimeout(timer);
+      reject(e.code === 'timeout' ? e : new UpstreamError(`Request to ${url} failed: ${e.message}`, 'unavailable'));
+    });
+  });
+}
+
+// Creates the session for one skill request; options override the defaults
+function createSession(options = {}) {
+  const { timeoutMs, deadlineMs, retries, retryDelayMs, failureThreshold, resetSeconds } = { ...DEFAULTS, ...options };
+  const startedAt = Date.now();
+  const calls = [];
+  const remaining = () => startedAt + deadlineMs - Date.now();
+
+  // GETs a URL with timeouts, retries and the host's circuit breaker. Resolves with the status
+  // and body, even a non-2xx one once the retries are used up; fails with an UpstreamError
+  // when no response arrived
+  async function get(url) {
+    const { host } = new URL(url);
+    if (!breakers.has(host)) {
+      breakers.set(host, new CircuitBreaker(host, failureThreshold, resetSeconds));
+    }
+    const breaker = breakers.get(host);
+    const call = { host, attempts: 0, ms: 0, outcome: null };
+    calls.push(call);
+    const started = Date.now();
+
+    try {
+      for (let retry = 0; ; retry++) {
+        if (!breaker.allows()) {
+          call.outcome = 'circuit open';
+          throw new UpstreamError(`Circuit for ${host} is open; not calling ${url}`, 'unavailable');
+        }
+        const left = remaining();
+        if (left <= 0) {
+          call.outcome = call.outcome || 'deadline';
+          throw new UpstreamError(`Deadline passed before calling ${url}`, 'timeout');
+        }
+
+        call.attempts++;
+        let failure;
+        try {
+          const response = await getOnce(url, Math.min(timeoutMs, left));
+          call.outcome = `status ${response.statusCode}`;
+          if (!RETRYABLE_STATUSES.includes(response.statusCode)) {
+            breaker.succeeded();
+            return response;
+          }
+          breaker.failed();
+          if (retry >= retries) {
+            return response;
+          }
+          failure = new UpstreamError(`Request to ${url} failed with status ${response.statusCode}`, 'unavailable');
+        } catch (e) {
+          failure = e;
+          call.outcome = e.code === 'timeout' ? 'timeout' : 'error';
+          breaker.failed();
+          if (retry >= retries) {
+            throw failure;
+          }
+        }
+
+        // Full jitter: anywhere from no delay to the (doubling) maximum; give up if the
+        // deadline would pass meanwhile
+        const delay = Math.random() * retryDelayMs * 2 ** retry;
+        if (delay >= remaining()) {
+          throw failure;
+        }
+        console.warn(`Retrying ${url} in ${Math.round(delay)} ms after ${call.outcome}`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    } finally {
+      call.ms = Date.now() - started;
+    }
+  }
+
+  // What the session's calls did, for the logs: the deadline, the time taken so far, each call
+  // (host, attempts, time and outcome) and the state of the circuit of every host called
+  function report() {
+    const hosts = [...new Set(calls.map((call) => call.host))];
+    return {
+      deadlineMs,
+      elapsedMs: Date.now() - startedAt,
+      calls,
+      circuits: Object.fromEntries(hosts.map((host) => [host, breakers.get(host).state()]))
+    };
+  }
+
+  return { get, report };
+}
+
+module.exports = {
+  UpstreamError,
+  createSession
+};
@@ -1,7 +1,21 @@
 const Alexa = require('ask-sdk-core');
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const {
+  getResolvedSlotId,
+  getTimeSlot,
+  getReturnTime,
+  getProfileParams,
+  getProfileOwner,
+  speakUnknownMember,
+  loadPersistentAttributes
+} = require('./preferences.js');
+const { getWardrobeParams } = require('./wardrobe.js');
+const { getHouseholdParams } = require('./household.js');
+const { CONTRACT_VERSION, validateWeatherResponse } = require('./contract.js');
+const { UpstreamError, createSession } = require('./resilience.js');
+const { getUserLocation, getLocationPermissions } = require('./location.js');
+const { offerPackingList } = require('./packing.js');
 
 function loadConfig() {
   try {
@@ -18,97 +32,473 @@ function loadConfig() {
 
 const config = loadConfig();
 
+// Weather service error codes (see weather-service/errors.mjs) the skill has its own message for
+const SERVICE_ERROR_CODES = ['invalidLocation', 'upstreamUnavailable', 'upstreamMalformed', 'upstreamTimeout'];
+
+// The error to assume from the HTTP status when an error body can't be used
+const ERRORS_BY_STATUS = {
+  404: { code: 'invalidLocation', reason: 'notFound' },
+  409: { code: 'invalidLocation', reason: 'ambiguous' },
+  502: { code: 'upstreamUnavailable' },
+  503: { code: 'upstreamUnavailable' },
+  504: { code: 'upstreamTimeout' }
+};
+
+// Argument of the UserEvent a tapped hour on the timeline sends (see HourSelectedHandler)
+const HOUR_SELECTED_EVENT = 'hourSelected';
+
+// Colors of the timeline's hours, by how they feel (the weather service's temperature categories)
+const CATEGORY_COLORS = {
+  'extreme cold': '#2C3E9E',
+  'very cold': '#3F6FD1',
+  cold: '#4F9BE0',
+  cool: '#3FA7A3',
+  mild: '#5FAE5C',
+  warm: '#D9A22E',
+  hot: '#E07A2F',
+  'very hot': '#C93030'
+};
+
 const SkillIntentHandler = {
   canHandle(handlerInput) {
     return handlerInput.requestEnvelope.request.type === 'IntentRequest'
       && handlerInput.requestEnvelope.request.intent.name === 'HowManyLayersIntent';
   },
   async handle(handlerInput) {
-    const { requestEnvelope, serviceClientFactory, responseBuilder } = handlerInput;
-    const consentToken = (requestEnvelope.context.System.user.permissions && requestEnvelope.context.System.user.permissions.consentToken) || null;
+    return respondWithRecommendation(handlerInput, getActivityParams(handlerInput.requestEnvelope));
+  }
+};
 
-    if (!consentToken) {
+// "What should I wear tomorrow / this weekend" - the date slot is an AMAZON.DATE value
+const ForecastIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'WhatToWearOnDateIntent';
+  },
+  async handle(handlerInput) {
+    const date = Alexa.getSlotValue(handlerInput.requestEnvelope, 'date');
+
+    if (!date) {
+      const speakOutput = handlerInput.t('askDate');
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .getResponse();
+    }
+
+    return respondWithRecommendation(handlerInput, { date, ...getActivityParams(handlerInput.requestEnvelope) });
+  }
+};
+
+// "What should I wear in Chicago (tomorrow)" - the place slot is an AMAZON.City value, and the
+// optional date an AMAZON.DATE. When several places have the name, the skill asks which one
+// and keeps the candidates in the session, so the answer ("Maine") picks one of them
+const PlaceIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'WhatToWearInPlaceIntent';
+  },
+  async handle(handlerInput) {
+    const { requestEnvelope, responseBuilder } = handlerInput;
+    const answer = Alexa.getSlotValue(requestEnvelope, 'place');
+
+    if (!answer) {
+      const speakOutput = handlerInput.t('askPlace');
       return responseBuilder
-        .speak("Please enable location permissions in the Alexa app.")
-        .withAskForPermissionsConsentCard(["read::alexa:device:all:address:country_and_postal_code"])
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .addElicitSlotDirective('place')
         .getResponse();
     }
 
-    try {
-      const deviceId = requestEnvelope.context.System.device.deviceId;
-      const client = serviceClientFactory.getDeviceAddressServiceClient();
-      const address = await client.getCountryAndPostalCode(deviceId);
+    const date = Alexa.getSlotValue(requestEnvelope, 'date');
+    return respondWithRecommendation(handlerInput, {
+      ...(date ? { date } : {}),
+      ...getActivityParams(requestEnvelope)
+    }, getPlaceLocation(handlerInput, answer));
+  }
+};
 
-      if (!address.postalCode) {
-        return responseBuilder.speak("I couldn't get your zip code.").getResponse();
-      }
+// "What should I pack for Chicago from Friday to Monday" - a packing list for a trip. The date
+// slot (AMAZON.DATE) is the trip's first day, or all of it ("next weekend"); the optional
+// endDate its last day, and the optional place (AMAZON.City) where it goes, the user's own
+// location otherwise. The list is spoken, sent as a card, and offered for the to-do list (see
+// packing.js)
+const PackingListIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'PackingListIntent';
+  },
+  async handle(handlerInput) {
+    const { requestEnvelope, responseBuilder } = handlerInput;
+    const date = Alexa.getSlotValue(requestEnvelope, 'date');
 
-      const zipCode = address.postalCode;
-      const responseData = await callHowManyLayersAPI(zipCode);
-      const spokenMessage = responseData.response || "I'm sorry, something went wrong.";
-
-      // Check if device supports APL - corrected check
-      if (requestEnvelope.context.System.device.supportedInterfaces['Alexa.Presentation.APL']) {
-        // Log the data for debugging
-        console.log('Weather background type:', responseData.apl.background);
-        console.log('Full response data:', JSON.stringify(responseData));
-
-        // Create APL document with explicit weather background
-        const weatherBackground = responseData.apl.background || 'sunny'; // Default to sunny if undefined
-
-        return responseBuilder
-          .speak(spokenMessage)
-          .addDirective({
-            type: 'Alexa.Presentation.APL.RenderDocument',
-            document: getAPLDocument(weatherBackground),
-            datasources: {
-              weatherData: {
-                weatherBackground: weatherBackground,
-                timeOfDay: responseData.apl.timeOfDay,
-                clothingItems: responseData.apl.clothingRecommendations || [],
-                temperature: responseData.temperature || '',
-                condition: responseData.weatherDescription || '',
-                location: responseData.locationName || zipCode,
-                spokenText: spokenMessage
-              }
-            }
-          })
-          .getResponse();
+    if (!date) {
+      const speakOutput = handlerInput.t('askTripDate');
+      return responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .addElicitSlotDirective('date', requestEnvelope.request.intent)
+        .getResponse();
+    }
+
+    // The service takes a single last day; an end like "next week" is left to the date slot
+    const endDate = Alexa.getSlotValue(requestEnvelope, 'endDate');
+    const place = Alexa.getSlotValue(requestEnvelope, 'place');
+    return respondWithRecommendation(handlerInput, {
+      packing: 'true',
+      date,
+      ...(endDate && /^\d{4}-\d{2}-\d{2}$/.test(endDate) ? { endDate } : {}),
+      ...getActivityParams(requestEnvelope)
+    }, place ? getPlaceLocation(handlerInput, place) : null);
+  }
+};
+
+// "What should I wear for my commute" - both trips, at the stored commute times unless the
+// user gives times ("... if I leave at 7 and come back at 5")
+const CommuteIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'CommuteIntent';
+  },
+  async handle(handlerInput) {
+    const { requestEnvelope, attributesManager, responseBuilder } = handlerInput;
+    const attributes = await loadPersistentAttributes(attributesManager);
+    const owner = getProfileOwner(requestEnvelope, attributes);
+    if (!owner) {
+      return speakUnknownMember(handlerInput);
+    }
+    const commute = owner.commute || {};
+    const leaveTime = getTimeSlot(requestEnvelope, 'leaveTime') || commute.leaveTime;
+    const returnTime = getTimeSlot(requestEnvelope, 'returnTime') || commute.returnTime;
+
+    if (!leaveTime || !returnTime) {
+      const speakOutput = handlerInput.t('noCommute');
+      return responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .getResponse();
+    }
+
+    const date = Alexa.getSlotValue(requestEnvelope, 'date');
+    return respondWithRecommendation(handlerInput, {
+      windows: `${leaveTime},${getReturnTime(leaveTime, returnTime)}`,
+      ...(date ? { date } : {}),
+      ...getActivityParams(requestEnvelope)
+    });
+  }
+};
+
+// "What should everyone wear" - one recommendation per family member, each at their own times
+const HouseholdIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'HouseholdIntent';
+  },
+  async handle(handlerInput) {
+    const attributes = await loadPersistentAttributes(handlerInput.attributesManager);
+    const householdParams = getHouseholdParams(attributes);
+
+    if (!householdParams.household) {
+      return handlerInput.responseBuilder
+        .speak(handlerInput.t('noFamily'))
+        .getResponse();
+    }
+
+    return respondWithRecommendation(handlerInput, householdParams);
+  }
+};
+
+// "What should I wear for running" - the optional activity slot is an ACTIVITY value
+function getActivityParams(requestEnvelope) {
+  const activity = getResolvedSlotId(requestEnvelope, 'activity');
+  return activity ? { activity: activity.toLowerCase() } : {};
+}
+
+// Finds where the user is (unless the request is for another place, given as a location like
+// the ones getUserLocation returns), calls the weather service and renders the answer
+async function respondWithRecommendation(handlerInput, params, place = null) {
+  const { requestEnvelope, serviceClientFactory, responseBuilder } = handlerInput;
+
+  try {
+    const location = place || await getUserLocation(handlerInput);
+    if (location.error === 'locationPermission') {
+      return responseBuilder
+        .speak(handlerInput.t('locationPermission'))
+        .withAskForPermissionsConsentCard(getLocationPermissions(requestEnvelope))
+        .getResponse();
+    }
+    if (location.error) {
+      return responseBuilder.speak(handlerInput.t(location.error)).getResponse();
+    }
+
+    const attributes = await loadPersistentAttributes(handlerInput.attributesManager);
+    // The person asked about (or recognized); the wardrobe is the account owner's
+    const owner = getProfileOwner(requestEnvelope, attributes);
+    if (!owner) {
+      return speakUnknownMember(handlerInput);
+    }
+
+    const deviceId = requestEnvelope.context.System.device.deviceId;
+    const units = await getUnitSystem(serviceClientFactory, deviceId);
+    const { statusCode, body: responseData } = await callHowManyLayersAPI(location.params, {
+      version: String(CONTRACT_VERSION),
+      units,
+      // The service answers in the language the user speaks to Alexa in
+      locale: Alexa.getLocale(requestEnvelope),
+      ...getProfileParams(owner),
+      ...(owner === attributes ? getWardrobeParams(attributes) : {}),
+      ...params
+    });
+    if (statusCode >= 400) {
+      return speakServiceError(handlerInput, statusCode, responseData, location.postalCode);
+    }
+
+    // A response that breaks the contract (see contract.js) is only spoken, as plain text
+    const contractErrors = validateWeatherResponse(responseData);
+    if (contractErrors.length) {
+      console.warn('Weather service response breaks the contract:', contractErrors.join('; '));
+    }
+    const valid = !contractErrors.length;
+
+    // The plain text is shown on screen; Alexa speaks the SSML version when the service sends one
+    const spokenMessage = (responseData && typeof responseData.response === 'string' && responseData.response)
+      || handlerInput.t('serviceError');
+    const answer = (valid && responseData.ssml) || escapeSsml(spokenMessage);
+    // A packing list also goes to the Alexa app, with an offer to add it to the to-do list
+    const speech = valid && responseData.packing ? offerPackingList(handlerInput, responseData, answer) : answer;
+
+    // Check if device supports APL (error responses carry no APL data)
+    if (valid && requestEnvelope.context.System.device.supportedInterfaces['Alexa.Presentation.APL'] && responseData.apl) {
+      // Log the data for debugging
+      console.log('Weather background type:', responseData.apl.background);
+      console.log('Full response data:', JSON.stringify(responseData));
+
+      const locationName = responseData.locationName || location.postalCode || handlerInput.t('currentLocation');
+      const hours = responseData.hourly || [];
+      // The hours after now stay in the session, with only what a tapped hour needs (see
+      // HourSelectedHandler). Without a reprompt, the session stays open as long as the card is on screen
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      if (hours.length) {
+        sessionAttributes.timeline = {
+          location: locationName,
+          temperatureUnit: responseData.temperatureUnit,
+          hours: hours.map(({ label, temperature, effectiveTemp, category, wet, windy, weatherDescription, advice, apl }) =>
+            ({ label, temperature, effectiveTemp, category, wet, windy, weatherDescription, advice, apl }))
+        };
       } else {
-        // Device doesn't support screens, just return voice response
-        return responseBuilder
-          .speak(spokenMessage)
-          .getResponse();
+        delete sessionAttributes.timeline;
       }
-    } catch (err) {
-      console.error('Error occurred:', err);
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+
+      return responseBuilder
+        .speak(speech)
+        .addDirective(renderWeatherCard(responseData.apl, {
+          temperature: responseData.temperature ?? '',
+          temperatureUnit: responseData.temperatureUnit || '°F',
+          // The weather description in the user's language (weatherDescription stays English)
+          condition: responseData.apl.weatherCondition || responseData.weatherDescription || '',
+          location: locationName,
+          spokenText: spokenMessage,
+          timeline: getTimeline(hours, -1)
+        }))
+        .getResponse();
+    } else {
+      // Device doesn't support screens, just return voice response
+      return responseBuilder
+        .speak(speech)
+        .getResponse();
+    }
+  } catch (err) {
+    console.error('Error occurred:', err);
+    const timedOut = err instanceof UpstreamError && err.code === 'timeout';
+    return responseBuilder
+      .speak(handlerInput.t(timedOut ? 'serviceErrors.upstreamTimeout' : 'serviceUnavailable'))
+      .getResponse();
+  }
+}
+
+// A tapped hour on the timeline (an APL UserEvent): speaks the hour's advice and shows the hour's
+// own card (its weather, clothing and outfit), with the timeline still on it and the hour highlighted
+const HourSelectedHandler = {
+  canHandle(handlerInput) {
+    const { request } = handlerInput.requestEnvelope;
+    return request.type === 'Alexa.Presentation.APL.UserEvent'
+      && Array.isArray(request.arguments)
+      && request.arguments[0] === HOUR_SELECTED_EVENT;
+  },
+  handle(handlerInput) {
+    const { requestEnvelope, attributesManager, responseBuilder } = handlerInput;
+    const { timeline } = attributesManager.getSessionAttributes();
+    const index = Number(requestEnvelope.request.arguments[1]);
+    const hour = timeline && timeline.hours[index];
+
+    // The card outlived the session that had its hours
+    if (!hour) {
       return responseBuilder
-        .speak("I'm having trouble reaching the fashion service right now.")
+        .speak(handlerInput.t('timelineExpired'))
         .getResponse();
     }
+
+    return responseBuilder
+      .speak(escapeSsml(hour.advice))
+      .addDirective(renderWeatherCard(hour.apl, {
+        temperature: hour.temperature ?? '',
+        temperatureUnit: timeline.temperatureUnit || '°F',
+        condition: hour.apl.weatherCondition || '',
+        location: `${timeline.location} · ${hour.label}`,
+        spokenText: hour.advice,
+        timeline: getTimeline(timeline.hours, index)
+      }))
+      .getResponse();
   }
 };
 
-// Updated to use the URL from configuration
-function callHowManyLayersAPI(zipCode) {
-  const url = `${config.apiEndpoint}?zip=${zipCode}`;
-
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          resolve(json);
-        } catch (e) {
-          reject(e);
-        }
-      });
-    }).on('error', (e) => {
-      reject(e);
+// The RenderDocument directive of the weather card. apl is the weather service's display data
+// (for the answer, or for an hour of the timeline), and card the rest of what the card shows
+function renderWeatherCard(apl, card) {
+  // Create APL document with explicit weather background
+  const weatherBackground = apl.background || 'sunny'; // Default to sunny if undefined
+
+  return {
+    type: 'Alexa.Presentation.APL.RenderDocument',
+    document: getAPLDocument(weatherBackground),
+    datasources: {
+      weatherData: {
+        weatherBackground: weatherBackground,
+        timeOfDay: apl.timeOfDay,
+        clothingItems: apl.clothingRecommendations || [],
+        // The outfit head to feet (e.g. { zone: "Torso", item: "Long Sleeve + Fleece + Rain Shell" })
+        outfitZones: apl.outfitZones || [],
+        layerSummary: apl.layerSummary || '',
+        // Household mode: one column per family member ({ name, when, layerSummary, outfitZones })
+        members: apl.members || [],
+        // Name of the most severe official weather alert, if any (e.g. "Winter Storm Warning")
+        alert: apl.alert || '',
+        // Air quality and pollen worth flagging, if any (e.g. "Air quality: unhealthy (AQI 160)")
+        airQuality: apl.airQuality || '',
+        ...card
+      }
+    }
+  };
+}
+
+// The timeline's hours as the card shows them: the time, how warm it feels on the color of
+// its category, and icons for rain (or snow) and strong wind. selected is the index of the
+// hour on screen, -1 for none
+function getTimeline(hours, selected) {
+  return hours.map((hour, index) => ({
+    label: hour.label,
+    temperature: `${hour.effectiveTemp}°`,
+    color: CATEGORY_COLORS[hour.category] || CATEGORY_COLORS.mild,
+    icons: [
+      hour.wet ? (/Snow/.test(hour.weatherDescription) ? '❄️' : '🌧️') : '',
+      hour.windy ? '💨' : ''
+    ].join(''),
+    selected: index === selected
+  }));
+}
+
+// Reads the device's temperature unit from the Alexa settings API, defaulting to imperial
+async function getUnitSystem(serviceClientFactory, deviceId) {
+  try {
+    const upsClient = serviceClientFactory.getUpsServiceClient();
+    const temperatureUnit = await upsClient.getSystemTemperatureUnit(deviceId);
+    return temperatureUnit === 'CELSIUS' ? 'metric' : 'imperial';
+  } catch (error) {
+    console.error('Error reading temperature unit setting:', error);
+    return 'imperial';
+  }
+}
+
+// Plain text is spoken as SSML, where &, <, >, quotes and apostrophes are reserved
+function escapeSsml(text) {
+  const escapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+  return String(text).replace(/[&<>"']/g, (char) => escapes[char]);
+}
+
+// Speaks a failed weather service call. The service's own message is used when its body keeps
+// the contract; otherwise (e.g. an API Gateway timeout) the skill picks one by the HTTP status.
+// Location errors also get a card, since they're fixed in the Alexa app
+function speakServiceError(handlerInput, statusCode, data, zipCode) {
+  const { responseBuilder } = handlerInput;
+  const contractErrors = validateWeatherResponse(data);
+  if (contractErrors.length) {
+    console.warn(`Weather service failed with status ${statusCode} and an unusable body:`, contractErrors.join('; '));
+  }
+  const valid = !contractErrors.length;
+  const error = (valid && data.error) || ERRORS_BY_STATUS[statusCode] || { code: 'internal' };
+  console.error(`Weather service failed with status ${statusCode}:`, JSON.stringify(error));
+
+  const message = valid
+    ? data.response
+    : handlerInput.t(SERVICE_ERROR_CODES.includes(error.code) ? `serviceErrors.${error.code}` : 'serviceError');
+  responseBuilder.speak((valid && data.ssml) || escapeSsml(message));
+
+  // An ambiguous place name: the service asked which place the user meant; the answer comes
+  // back in the place slot (see PlaceIntentHandler), with the intent's other slots (e.g. date) kept
+  if (valid && Array.isArray(error.candidates) && error.candidates.length) {
+    handlerInput.attributesManager.setSessionAttributes({
+      ...handlerInput.attributesManager.getSessionAttributes(),
+      placeCandidates: error.candidates
     });
+    return responseBuilder
+      .reprompt(data.ssml || escapeSsml(message))
+      .addElicitSlotDirective('place', handlerInput.requestEnvelope.request.intent)
+      .getResponse();
+  }
+
+  if (error.code === 'invalidLocation' && zipCode) {
+    const reason = error.reason === 'ambiguous' ? 'ambiguous' : 'notFound';
+    responseBuilder.withSimpleCard(handlerInput.t('addressCard.title'), handlerInput.t(`addressCard.${reason}`, { postalCode: zipCode }));
+  }
+  return responseBuilder.getResponse();
+}
+
+// The location of a named place, as a weather service parameter. An answer to "which one?"
+// after an ambiguous name picks one of the candidates kept in the session
+function getPlaceLocation(handlerInput, answer) {
+  const { attributesManager } = handlerInput;
+  const sessionAttributes = attributesManager.getSessionAttributes();
+  const candidate = pickPlaceCandidate(sessionAttributes.placeCandidates, answer);
+  delete sessionAttributes.placeCandidates;
+  attributesManager.setSessionAttributes(sessionAttributes);
+  return { params: { place: candidate ? candidate.name : answer }, postalCode: null };
+}
+
+// The place candidate (see PlaceIntentHandler) the user picked by naming what sets it apart,
+// e.g. "Maine" or "Portland Maine" for "Portland, Maine"; null when the answer fits none or several
+function pickPlaceCandidate(candidates, answer) {
+  const normalize = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const spoken = normalize(answer);
+  const matches = (candidates || []).filter((candidate) => {
+    const qualifiers = candidate.name.split(',').slice(1).map(normalize).filter(Boolean);
+    return qualifiers.length && qualifiers.some((qualifier) => spoken.includes(qualifier));
   });
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Updated to use the URL from configuration; locationParams are the postal code or position
+// (see location.js), and extra params (e.g. date) are passed through. The call has timeouts,
+// retries and a circuit breaker (see resilience.js). Resolves with the HTTP status and the
+// parsed body (null when the body isn't JSON)
+async function callHowManyLayersAPI(locationParams, params = {}) {
+  const query = new URLSearchParams({ ...locationParams, ...params });
+  const url = `${config.apiEndpoint}?${query}`;
+  const session = createSession(config.resilience);
+
+  try {
+    const { statusCode, body: data } = await session.get(url);
+    let body = null;
+    try {
+      body = JSON.parse(data);
+    } catch (e) {
+      console.warn(`Weather service sent a body that isn't JSON (status ${statusCode})`);
+    }
+    return { statusCode, body };
+  } finally {
+    console.log('Weather service call:', JSON.stringify(session.report()));
+  }
 }
 
 // Function that returns the APL document - with spoken text display
@@ -122,6 +512,7 @@ function getAPLDocument(weatherType) {
     foggy: { start: "#8e9eab", end: "#eef2f3" },
     stormy: { start: "#373B44", end: "#4286f4" },
     night: { start: "#141E30", end: "#243B55" },
+    warning: { start: "#B31217", end: "#3A0A0C" },
     // Default colors as fallback
     default: { start: "#4CA1FF", end: "#76CDF3" }
   };
@@ -138,6 +529,7 @@ function getAPLDocument(weatherType) {
     foggy: '🌫️',
     stormy: '⚡',
     night: '🌙',
+    warning: '⚠️',
     default: '🌤️'
   };
 
@@ -261,7 +653,7 @@ function getAPLDocument(weatherType) {
                     },
                     {
                       type: 'Text',
-                      text: "${weatherData.temperature}°F",
+                      text: "${weatherData.temperature}${weatherData.temperatureUnit}",
                       style: 'textStyleTitle',
                       paddingTop: '10dp'
                     },
@@ -270,14 +662,146 @@ function getAPLDocument(weatherType) {
                       text: "${weatherData.condition}",
                       style: 'textStyleWeather',
                       paddingTop: '5dp'
+                    },
+                    // Official weather alert banner
+                    {
+                      type: 'Text',
+                      when: "${weatherData.alert != ''}",
+                      text: "⚠️ ${weatherData.alert}",
+                      style: 'textStyleWeather',
+                      fontWeight: 700,
+                      paddingTop: '5dp'
+                    },
+                    // Air quality and pollen line
+                    {
+                      type: 'Text',
+                      when: "${weatherData.airQuality != ''}",
+                      text: "😷 ${weatherData.airQuality}",
+                      style: 'textStyleBase',
+                      fontSize: '20dp',
+                      paddingTop: '5dp'
+                    }
+                  ]
+                },
+                // Household mode: a column per family member, with their outfit zone by zone
+                {
+                  type: 'Container',
+                  when: "${weatherData.members.length > 0}",
+                  width: '100%',
+                  height: '55%',
+                  paddingLeft: '30dp',
+                  paddingRight: '30dp',
+                  paddingTop: '10dp',
+                  items: [
+                    {
+                      type: 'Sequence',
+                      scrollDirection: 'horizontal',
+                      width: '100%',
+                      height: '100%',
+                      data: "${weatherData.members}",
+                      numbered: false,
+                      items: [
+                        {
+                          type: 'Container',
+                          direction: 'column',
+                          width: '260dp',
+                          height: '100%',
+                          margin: '8dp',
+                          padding: '12dp',
+                          backgroundColor: 'rgba(255, 255, 255, 0.2)',
+                          borderRadius: '20dp',
+                          items: [
+                            {
+                              type: 'Text',
+                              text: "<b>${data.name}</b> · ${data.when}",
+                              style: 'textStyleWeather'
+                            },
+                            {
+                              type: 'Text',
+                              text: "${data.layerSummary}",
+                              style: 'textStyleBase',
+                              fontSize: '18dp',
+                              paddingBottom: '8dp'
+                            },
+                            {
+                              type: 'Sequence',
+                              grow: 1,
+                              data: "${data.outfitZones}",
+                              numbered: false,
+                              items: [
+                                {
+                                  type: 'Text',
+                                  text: "${data.emoji} ${data.item}",
+                                  style: 'textStyleBase',
+                                  fontSize: '16dp',
+                                  paddingTop: '4dp'
+                                }
+                              ]
+                            }
+                          ]
+                        }
+                      ]
+                    }
+                  ]
+                },
+                // The outfit zone by zone, under how many layers to wear
+                {
+                  type: 'Container',
+                  when: "${weatherData.outfitZones.length > 0 && weatherData.members.length == 0}",
+                  width: '100%',
+                  paddingLeft: '50dp',
+                  paddingRight: '50dp',
+                  paddingTop: '10dp',
+                  items: [
+                    {
+                      type: 'Text',
+                      text: "${weatherData.layerSummary}",
+                      style: 'textStyleWeather',
+                      fontWeight: 700
+                    },
+                    {
+                      type: 'Sequence',
+                      scrollDirection: 'horizontal',
+                      width: '100%',
+                      height: '70dp',
+                      data: "${weatherData.outfitZones}",
+                      numbered: false,
+                      items: [
+                        {
+                          type: 'Container',
+                          direction: 'row',
+                          alignItems: 'center',
+                          height: '60dp',
+                          margin: '5dp',
+                          paddingLeft: '15dp',
+                          paddingRight: '15dp',
+                          backgroundColor: 'rgba(255, 255, 255, 0.2)',
+                          borderRadius: '30dp',
+                          items: [
+                            {
+                              type: 'Text',
+                              text: "${data.emoji}",
+                              fontSize: '32dp'
+                            },
+                            {
+                              type: 'Text',
+                              text: "<b>${data.zone}</b> ${data.item}",
+                              style: 'textStyleBase',
+                              fontSize: '18dp',
+                              paddingLeft: '10dp'
+                            }
+                          ]
+                        }
+                      ]
                     }
                   ]
                 },
                 // Recommended clothing items with emojis
                 {
                   type: 'Container',
+                  when: "${weatherData.members.length == 0}",
                   width: '100%',
-                  height: '40%', // Slightly reduced height
+                  height: '30%', // Leaves room for the outfit zones
                   paddingLeft: '50dp',
                   paddingRight: '50dp',
                   paddingTop: '20dp',
@@ -319,6 +843,72 @@ function getAPLDocument(weatherType) {
                     }
                   ]
                 },
+                // Hourly timeline: the hours after now, colored by how they feel; a tapped hour
+                // sends a UserEvent with its index (see HourSelectedHandler)
+                {
+                  type: 'Container',
+                  when: "${weatherData.timeline.length > 0}",
+                  width: '100%',
+                  paddingLeft: '50dp',
+                  paddingRight: '50dp',
+                  items: [
+                    {
+                      type: 'Sequence',
+                      scrollDirection: 'horizontal',
+                      width: '100%',
+                      height: '100dp',
+                      data: "${weatherData.timeline}",
+                      numbered: false,
+                      items: [
+                        {
+                          type: 'TouchWrapper',
+                          onPress: {
+                            type: 'SendEvent',
+                            arguments: [HOUR_SELECTED_EVENT, "${index}"]
+                          },
+                          item: {
+                            type: 'Frame',
+                            width: '84dp',
+                            height: '90dp',
+                            margin: '5dp',
+                            backgroundColor: "${data.color}",
+                            borderRadius: '16dp',
+                            borderColor: '#FFFFFF',
+                            borderWidth: "${data.selected ? 3 : 0}",
+                            item: {
+                              type: 'Container',
+                              width: '100%',
+                              height: '100%',
+                              alignItems: 'center',
+                              justifyContent: 'center',
+                              direction: 'column',
+                              items: [
+                                {
+                                  type: 'Text',
+                                  text: "${data.label}",
+                                  style: 'textStyleBase',
+                                  fontSize: '16dp'
+                                },
+                                {
+                                  type: 'Text',
+                                  text: "${data.temperature}",
+                                  style: 'textStyleBase',
+                                  fontSize: '24dp',
+                                  fontWeight: 700
+                                },
+                                {
+                                  type: 'Text',
+                                  text: "${data.icons}",
+                                  fontSize: '18dp'
+                                }
+                              ]
+                            }
+                          }
+                        }
+                      ]
+                    }
+                  ]
+                },
                 // Spoken text display
                 {
                   type: 'Container',
@@ -361,5 +951,11 @@ function getAPLDocument(weatherType) {
 }
 
 module.exports = {
-  SkillIntentHandler
+  SkillIntentHandler,
+  ForecastIntentHandler,
+  CommuteIntentHandler,
+  HouseholdIntentHandler,
+  PlaceIntentHandler,
+  PackingListIntentHandler,
+  HourSelectedHandler
 };
\ No newline at end of file
@@ -0,0 +1,21 @@
+const fs = require('fs');
+const path = require('path');
+
+// The skill's copy of the weather service's response schema (see contract.js). The service's
+// file is the source; `npm run check-schema` fails when the copy differs from it, and
+// `npm run sync-schema` copies it over
+const SOURCE = path.resolve(__dirname, '..', '..', 'weather-service', 'schema', 'weather-response.schema.json');
+const COPY = path.resolve(__dirname, 'schema', 'weather-response.schema.json');
+
+const source = fs.readFileSync(SOURCE, 'utf8');
+const copy = fs.existsSync(COPY) ? fs.readFileSync(COPY, 'utf8') : null;
+
+if (process.argv.includes('--write')) {
+  if (copy !== source) {
+    fs.writeFileSync(COPY, source);
+    console.log(`Copied ${SOURCE} to ${COPY}`);
+  }
+} else if (copy !== source) {
+  console.error(`${COPY} differs from the weather service's ${SOURCE}; run npm run sync-schema`);
+  process.exit(1);
+}
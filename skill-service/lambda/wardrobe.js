@@ -0,0 +1,126 @@
+const Alexa = require('ask-sdk-core');
+const { getResolvedSlotId } = require('./preferences.js');
+
+// Most items the weather service accepts in one wardrobe
+const MAX_WARDROBE_ITEMS = 60;
+
+// "Alexa, tell what to wear I own a red rain shell"
+const AddWardrobeItemIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'AddWardrobeItemIntent';
+  },
+  async handle(handlerInput) {
+    const { attributesManager, responseBuilder, requestEnvelope } = handlerInput;
+    const item = getWardrobeItemSlot(requestEnvelope);
+
+    if (!item) {
+      const speakOutput = handlerInput.t('wardrobe.prompt');
+      return responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .getResponse();
+    }
+
+    const attributes = await attributesManager.getPersistentAttributes();
+    const wardrobe = (attributes.wardrobe || []).filter((owned) => owned.name !== item.name);
+
+    if (wardrobe.length >= MAX_WARDROBE_ITEMS) {
+      return responseBuilder
+        .speak(handlerInput.t('wardrobe.full'))
+        .getResponse();
+    }
+
+    attributes.wardrobe = [...wardrobe, item];
+    attributesManager.setPersistentAttributes(attributes);
+    await attributesManager.savePersistentAttributes();
+
+    return responseBuilder
+      .speak(handlerInput.t('wardrobe.added', { item: item.name }))
+      .getResponse();
+  }
+};
+
+// "Alexa, tell what to wear I don't have the fleece anymore"
+const RemoveWardrobeItemIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'RemoveWardrobeItemIntent';
+  },
+  async handle(handlerInput) {
+    const { attributesManager, responseBuilder, requestEnvelope } = handlerInput;
+    const item = getWardrobeItemSlot(requestEnvelope);
+    const attributes = await attributesManager.getPersistentAttributes();
+    const wardrobe = attributes.wardrobe || [];
+
+    // Match the exact name first, then any item of the same type
+    const match = item && (wardrobe.find((owned) => owned.name === item.name)
+      || wardrobe.find((owned) => owned.type === item.type));
+
+    if (!match) {
+      return responseBuilder
+        .speak(handlerInput.t('wardrobe.notFound'))
+        .getResponse();
+    }
+
+    attributes.wardrobe = wardrobe.filter((owned) => owned !== match);
+    attributesManager.setPersistentAttributes(attributes);
+    await attributesManager.savePersistentAttributes();
+
+    return responseBuilder
+      .speak(handlerInput.t('wardrobe.removed', { item: match.name }))
+      .getResponse();
+  }
+};
+
+// "Alexa, ask what to wear what's in my wardrobe"
+const ListWardrobeIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListWardrobeIntent';
+  },
+  async handle(handlerInput) {
+    const { attributesManager, responseBuilder } = handlerInput;
+    const attributes = await attributesManager.getPersistentAttributes();
+    const names = (attributes.wardrobe || []).map((owned) => owned.name);
+
+    let speakOutput = handlerInput.t('wardrobe.empty');
+    if (names.length === 1) {
+      speakOutput = handlerInput.t('wardrobe.one', { item: names[0] });
+    } else if (names.length > 1) {
+      speakOutput = handlerInput.t('wardrobe.many', { count: names.length, items: handlerInput.formatList(names) });
+    }
+
+    return responseBuilder
+      .speak(speakOutput)
+      .getResponse();
+  }
+};
+
+// Reads the item slot as { name, type }: the user's own words plus the WARDROBE_ITEM type it resolved to
+function getWardrobeItemSlot(requestEnvelope) {
+  const id = getResolvedSlotId(requestEnvelope, 'item');
+  const value = Alexa.getSlotValue(requestEnvelope, 'item');
+
+  if (!id || !value) {
+    return null;
+  }
+  return { name: value.toLowerCase(), type: id.toLowerCase() };
+}
+
+// Weather service query parameters for the stored wardrobe
+function getWardrobeParams(attributes) {
+  const wardrobe = (attributes && attributes.wardrobe) || [];
+
+  if (!wardrobe.length) {
+    return {};
+  }
+  return { wardrobe: JSON.stringify(wardrobe.map(({ name, type }) => ({ name, type }))) };
+}
+
+module.exports = {
+  AddWardrobeItemIntentHandler,
+  RemoveWardrobeItemIntentHandler,
+  ListWardrobeIntentHandler,
+  getWardrobeParams
+};
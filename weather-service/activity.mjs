@@ -0,0 +1,75 @@
+/**
+ * @fileoverview
+ * Activities for the clothing recommendation Lambda.
+ * The default advice assumes someone standing around; an activity shifts the effective
+ * temperature for the heat the body makes (exertion) and the extra wind from moving, so the
+ * usual temperature categories apply. Advice specific to an activity lives in clothing-rules.json,
+ * and how the recommendation names it ("For running, ...") in the message catalogs (see messages.mjs).
+ */
+
+export const DEFAULT_ACTIVITY = "casual";
+
+/**
+ * Known activities.
+ * - exertionWarmth: °F added to the apparent temperature for body heat
+ * - movementSpeed: mph of relative wind from moving, added to the wind speed for wind chill
+ */
+export const ACTIVITIES = {
+  casual: {
+    name: "casual",
+    exertionWarmth: 0,
+    movementSpeed: 0
+  },
+  commuting: {
+    name: "commuting",
+    exertionWarmth: 3,
+    movementSpeed: 3
+  },
+  hiking: {
+    name: "hiking",
+    exertionWarmth: 10,
+    movementSpeed: 3
+  },
+  running: {
+    name: "running",
+    exertionWarmth: 18,
+    movementSpeed: 6
+  },
+  cycling: {
+    name: "cycling",
+    exertionWarmth: 10,
+    movementSpeed: 14
+  }
+};
+
+// Accepted spellings of the `activity` query parameter
+const ACTIVITY_ALIASES = {
+  casual: "casual",
+  none: "casual",
+  commuting: "commuting",
+  commute: "commuting",
+  walking: "commuting",
+  walk: "commuting",
+  hiking: "hiking",
+  hike: "hiking",
+  running: "running",
+  run: "running",
+  jogging: "running",
+  jog: "running",
+  cycling: "cycling",
+  cycle: "cycling",
+  biking: "cycling",
+  bike: "cycling"
+};
+
+/**
+ * Resolves a requested activity, falling back to casual.
+ *
+ * @function resolveActivity
+ * @param {string|undefined} requested - The requested activity (e.g. "running", "bike")
+ * @returns {Object} One of ACTIVITIES
+ */
+export function resolveActivity(requested) {
+  const name = ACTIVITY_ALIASES[String(requested || "").trim().toLowerCase()] || DEFAULT_ACTIVITY;
+  return ACTIVITIES[name];
+}
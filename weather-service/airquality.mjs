@@ -0,0 +1,139 @@
+/**
+ * @fileoverview
+ * Air quality and pollen for the clothing recommendation Lambda, from Open-Meteo's
+ * air-quality API (US AQI, PM2.5, ozone and pollen counts) at the geocoded point.
+ * Readings are normalized into the model below and rated: the AQI by the US EPA categories,
+ * pollen by grass, tree and weed levels. The clothing rules turn the ratings into advice
+ * (a mask on unhealthy days, sunglasses when pollen is high).
+ *
+ * Open-Meteo only has pollen for Europe; elsewhere the pollen levels are null.
+ *
+ * Configuration (environment variables):
+ * - OPEN_METEO_AIR_QUALITY_URL: base URL override, e.g. to point the service at a local stand-in
+ */
+
+const OPEN_METEO_AIR_QUALITY_URL = process.env.OPEN_METEO_AIR_QUALITY_URL
+    || "https://air-quality-api.open-meteo.com/v1/air-quality";
+
+// Days of hourly air quality to request (the API forecasts up to 5)
+const FORECAST_DAYS = 5;
+
+// US EPA AQI categories: upper bound of each (inclusive)
+const AQI_CATEGORIES = [
+  { max: 50, name: "good" },
+  { max: 100, name: "moderate" },
+  { max: 150, name: "unhealthy for sensitive groups" },
+  { max: 200, name: "unhealthy" },
+  { max: 300, name: "very unhealthy" },
+  { max: Infinity, name: "hazardous" }
+];
+
+/**
+ * Pollen groups and the grains/m³ at which each becomes moderate or high.
+ * Open-Meteo reports each plant separately; a group's count is its highest plant.
+ */
+const POLLEN_GROUPS = {
+  grass: { plants: ["grass_pollen"], moderate: 20, high: 50 },
+  tree: { plants: ["alder_pollen", "birch_pollen", "olive_pollen"], moderate: 15, high: 90 },
+  weed: { plants: ["mugwort_pollen", "ragweed_pollen"], moderate: 10, high: 50 }
+};
+
+const VARIABLES = ["us_aqi", "pm2_5", "ozone", ...Object.values(POLLEN_GROUPS).flatMap((group) => group.plants)];
+
+/**
+ * Air quality for an hour, or the worst of several hours.
+ *
+ * @typedef {Object} AirQuality
+ * @property {number|null} usAqi - US Air Quality Index
+ * @property {string|null} category - EPA category of the AQI ("good" ... "hazardous")
+ * @property {number|null} pm25 - Fine particulate matter, µg/m³
+ * @property {number|null} ozone - Ozone, µg/m³
+ * @property {Object<string, {count: number|null, level: string|null}>} pollen - Per group
+ *   (grass, tree, weed): grains/m³ and "low", "moderate" or "high" (null where unknown)
+ */
+
+/**
+ * Fetches current and hourly air quality for a point.
+ *
+ * @async
+ * @function fetchAirQuality
+ * @param {{latitude: number, longitude: number}} location - The point to check
+ * @param {UpstreamSession} upstream - The request's upstream calls (see upstream.mjs)
+ * @returns {Promise<{utcOffsetSeconds: number, current: AirQuality, hourly: Array<AirQuality & {time: string}>}>}
+ *   The readings; hourly times are local to the location ("YYYY-MM-DDTHH:MM"), like the forecast's
+ * @throws {ServiceError} upstreamUnavailable, upstreamTimeout or upstreamMalformed when Open-Meteo
+ *   can't be reached or answers with an error or something other than JSON (see errors.mjs)
+ */
+export async function fetchAirQuality({ latitude, longitude }, upstream) {
+  const url = `${OPEN_METEO_AIR_QUALITY_URL}?latitude=${latitude}&longitude=${longitude}`
+      + `&current=${VARIABLES.join(",")}&hourly=${VARIABLES.join(",")}`
+      + `&timezone=auto&forecast_days=${FORECAST_DAYS}`;
+  const data = await upstream.getJson(url);
+
+  const hourly = data.hourly || {};
+  return {
+    utcOffsetSeconds: data.utc_offset_seconds ?? 0,
+    current: rateReading(data.current || {}),
+    hourly: (hourly.time || []).map((time, i) => ({
+      time,
+      ...rateReading(Object.fromEntries(VARIABLES.map((name) => [name, hourly[name]?.[i]])))
+    }))
+  };
+}
+
+/**
+ * Normalizes and rates one set of Open-Meteo readings.
+ *
+ * @function rateReading
+ * @param {Object} reading - Values keyed by Open-Meteo variable name
+ * @returns {AirQuality} The rated reading
+ */
+function rateReading(reading) {
+  const usAqi = reading.us_aqi ?? null;
+  const pollen = {};
+  for (const [group, { plants, moderate, high }] of Object.entries(POLLEN_GROUPS)) {
+    const counts = plants.map((plant) => reading[plant]).filter((count) => typeof count === "number");
+    const count = counts.length ? Math.max(...counts) : null;
+    let level = null;
+    if (count !== null) {
+      level = count >= high ? "high" : (count >= moderate ? "moderate" : "low");
+    }
+    pollen[group] = { count, level };
+  }
+
+  return {
+    usAqi,
+    category: usAqi === null ? null : AQI_CATEGORIES.find((category) => usAqi <= category.max).name,
+    pm25: reading.pm2_5 ?? null,
+    ozone: reading.ozone ?? null,
+    pollen
+  };
+}
+
+/**
+ * The worst air quality over some hours: the highest AQI, particulates, ozone and pollen.
+ *
+ * @function worstAirQuality
+ * @param {Array<AirQuality>} readings - Hourly readings
+ * @returns {AirQuality|null} The combined reading, or null without readings
+ */
+export function worstAirQuality(readings) {
+  if (!readings.length) {
+    return null;
+  }
+  const highest = (values) => {
+    const known = values.filter((value) => typeof value === "number");
+    return known.length ? Math.max(...known) : null;
+  };
+
+  const combined = {
+    us_aqi: highest(readings.map((reading) => reading.usAqi)),
+    pm2_5: highest(readings.map((reading) => reading.pm25)),
+    ozone: highest(readings.map((reading) => reading.ozone))
+  };
+  // Group counts are already the highest plant, so rate them as the group's first plant
+  for (const [group, { plants }] of Object.entries(POLLEN_GROUPS)) {
+    combined[plants[0]] = highest(readings.map((reading) => reading.pollen[group].count));
+  }
+  return rateReading(combined);
+}
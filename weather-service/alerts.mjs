@@ -0,0 +1,283 @@
+/**
+ * @fileoverview
+ * Official weather alerts (winter storm warnings, heat advisories, flood watches, ...) for the
+ * clothing recommendation Lambda. An alerts provider returns the alerts in effect or coming up
+ * at a point, normalized into the alert model below. The handler speaks them before the
+ * recommendation, shows a warning background on the APL card, and hands the alert names to the
+ * clothing rules so the advice can be upgraded (e.g. "avoid travel").
+ *
+ * Configuration (environment variables):
+ * - ALERTS_PROVIDER: "nws" (default; US points only), "stub" or "none"
+ * - ALERTS_STUB_FILE: JSON file with the alerts the stub provider returns (an array of Alerts),
+ *   e.g. to try the alert speech and APL without waiting for real weather
+ * - ALERTS_CACHE_TTL_SECONDS: how long alerts are cached (default 5 minutes)
+ * - NWS_API_URL: base URL override, shared with the NWS weather provider
+ */
+
+import { readFileSync } from "node:fs";
+import { toLocalTime, localDate } from "./localtime.mjs";
+
+const DEFAULT_PROVIDER = "nws";
+
+const NWS_API_URL = process.env.NWS_API_URL || "https://api.weather.gov";
+
+// api.weather.gov rejects requests without an identifying User-Agent
+const NWS_HEADERS = {
+  "User-Agent": "alexa-what-to-wear (weather-layers-service)",
+  "Accept": "application/geo+json"
+};
+
+// IANA timezones of the places the NWS covers (the states and US territories), for a position
+// that came without a country
+const NWS_TIMEZONES = new Set([
+  "America/New_York", "America/Detroit", "America/Kentucky/Louisville", "America/Kentucky/Monticello",
+  "America/Indiana/Indianapolis", "America/Indiana/Vincennes", "America/Indiana/Winamac",
+  "America/Indiana/Marengo", "America/Indiana/Petersburg", "America/Indiana/Vevay",
+  "America/Indiana/Tell_City", "America/Indiana/Knox", "America/Chicago", "America/Menominee",
+  "America/North_Dakota/Center", "America/North_Dakota/New_Salem", "America/North_Dakota/Beulah",
+  "America/Denver", "America/Boise", "America/Phoenix", "America/Los_Angeles", "America/Anchorage",
+  "America/Juneau", "America/Sitka", "America/Metlakatla", "America/Yakutat", "America/Nome",
+  "America/Adak", "Pacific/Honolulu", "America/Puerto_Rico", "America/St_Thomas", "Pacific/Guam",
+  "Pacific/Saipan", "Pacific/Pago_Pago"
+]);
+
+// Alerts change quickly, so they're kept much shorter than forecasts
+export const ALERTS_TTL_SECONDS = Number(process.env.ALERTS_CACHE_TTL_SECONDS) || 5 * 60;
+
+// Most alerts to speak; the rest are only shown in the JSON response
+const MAX_SPOKEN_ALERTS = 2;
+
+// Most severe first
+const SEVERITIES = ["Extreme", "Severe", "Moderate", "Minor", "Unknown"];
+
+/**
+ * Normalized alert.
+ *
+ * @typedef {Object} Alert
+ * @property {string} event - Alert name, e.g. "Winter Storm Warning"
+ * @property {string} severity - "Extreme", "Severe", "Moderate", "Minor" or "Unknown"
+ * @property {string} headline - One-line summary from the issuer
+ * @property {string|null} instruction - What the issuer advises, if anything
+ * @property {string|null} onset - When the hazard starts (ISO timestamp), if known
+ * @property {string|null} ends - When the hazard ends (ISO timestamp), if known
+ * @property {string} source - Name of the provider that issued it
+ */
+
+/**
+ * National Weather Service alerts provider (api.weather.gov). Covers US points only.
+ */
+export const nwsAlertsProvider = {
+  name: "nws",
+
+  /**
+   * @param {{countryCode?: string, timezone?: string}} location - The geocoded location, or a
+   *   position with the timezone of its forecast when its country isn't known
+   * @returns {boolean} Whether the provider has alerts for the location
+   */
+  supports(location) {
+    if (location.countryCode) {
+      return location.countryCode === "US";
+    }
+    return NWS_TIMEZONES.has(location.timezone);
+  },
+
+  /**
+   * @async
+   * @param {{latitude: number, longitude: number}} location - The point to check
+   * @param {UpstreamSession} upstream - The request's upstream calls (see upstream.mjs)
+   * @returns {Promise<Array<Alert>>} The alerts in effect or coming up
+   * @throws {ServiceError} upstreamUnavailable, upstreamTimeout or upstreamMalformed when NWS
+   *   can't be reached or answers with an error or something other than JSON (see errors.mjs)
+   */
+  async getAlerts({ latitude, longitude }, upstream) {
+    const url = `${NWS_API_URL}/alerts/active?status=actual&point=${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+    const data = await upstream.getJson(url, NWS_HEADERS);
+
+    return (data.features || [])
+        .map((feature) => feature.properties)
+        .filter((alert) => alert.messageType !== "Cancel")
+        .map((alert) => ({
+          event: alert.event,
+          severity: SEVERITIES.includes(alert.severity) ? alert.severity : "Unknown",
+          headline: alert.headline || alert.event,
+          instruction: alert.instruction || null,
+          onset: alert.onset || alert.effective || null,
+          ends: alert.ends || alert.expires || null,
+          source: this.name
+        }));
+  }
+};
+
+/**
+ * Creates a provider that returns fixed alerts for every location.
+ *
+ * @function createStubAlertsProvider
+ * @param {Array<Alert>} alerts - The alerts to return
+ * @returns {Object} The provider
+ */
+export function createStubAlertsProvider(alerts) {
+  return {
+    name: "stub",
+    supports: () => true,
+    getAlerts: async () => alerts.map((alert) => ({
+      severity: "Unknown",
+      headline: alert.event,
+      instruction: null,
+      onset: null,
+      ends: null,
+      source: "stub",
+      ...alert
+    }))
+  };
+}
+
+/**
+ * Resolves the alerts provider configured by ALERTS_PROVIDER.
+ *
+ * @function getConfiguredAlertsProvider
+ * @returns {Object|null} The provider, or null when alerts are turned off
+ */
+export function getConfiguredAlertsProvider() {
+  const name = (process.env.ALERTS_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+  if (name === "none") {
+    return null;
+  }
+  if (name === "stub") {
+    const file = process.env.ALERTS_STUB_FILE;
+    return createStubAlertsProvider(file ? JSON.parse(readFileSync(file, "utf8")) : []);
+  }
+  if (name !== nwsAlertsProvider.name) {
+    console.warn(`Unknown ALERTS_PROVIDER "${name}"; using ${nwsAlertsProvider.name}`);
+  }
+  return nwsAlertsProvider;
+}
+
+/**
+ * Fetches the alerts for a location from the configured provider. Fails if the provider
+ * can't be reached, so the caller can tell "no alerts" apart from "couldn't check".
+ *
+ * @async
+ * @function fetchAlerts
+ * @param {{latitude: number, longitude: number, countryCode?: string, timezone?: string}} location - The
+ *   geocoded location (see nwsAlertsProvider.supports)
+ * @param {UpstreamSession} upstream - The request's upstream calls (see upstream.mjs)
+ * @returns {Promise<{provider: string|null, alerts: Array<Alert>}>} The alerts, most severe first, one per event
+ *   (provider is null when no provider covers the location)
+ */
+export async function fetchAlerts(location, upstream) {
+  const provider = getConfiguredAlertsProvider();
+  if (!provider || !provider.supports(location)) {
+    return { provider: null, alerts: [] };
+  }
+
+  // Updates of the same alert come as separate entries; keep the one lasting longest
+  const byEvent = new Map();
+  for (const alert of await provider.getAlerts(location, upstream)) {
+    const existing = byEvent.get(alert.event);
+    if (!existing || endsMs(alert) > endsMs(existing)) {
+      byEvent.set(alert.event, alert);
+    }
+  }
+
+  const alerts = [...byEvent.values()]
+      .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+  return { provider: provider.name, alerts };
+}
+
+/**
+ * End of an alert (ms since epoch), or Infinity if open-ended.
+ *
+ * @function endsMs
+ * @param {Alert} alert - The alert
+ * @returns {number} The end time
+ */
+function endsMs(alert) {
+  return alert.ends ? Date.parse(alert.ends) : Infinity;
+}
+
+/**
+ * The alerts that are in effect at some point between two times.
+ *
+ * @function alertsDuring
+ * @param {Array<Alert>} alerts - The alerts
+ * @param {number} startMs - Start of the period (ms since epoch)
+ * @param {number} endMs - End of the period (ms since epoch)
+ * @returns {Array<Alert>} The overlapping alerts
+ */
+export function alertsDuring(alerts, startMs, endMs) {
+  return alerts.filter((alert) => {
+    const onset = alert.onset ? Date.parse(alert.onset) : -Infinity;
+    return onset < endMs && endsMs(alert) > startMs;
+  });
+}
+
+/**
+ * Speaks the alerts, most severe first, with when they start (if later) and end.
+ * For example: "Weather alert: a winter storm warning is in effect from 6 PM until 9 AM tomorrow."
+ * Alert names are spoken as the provider issued them.
+ *
+ * @function describeAlerts
+ * @param {Array<Alert>} alerts - The alerts, most severe first
+ * @param {Object} zone - The location's timezone and UTC offset, e.g. the forecast (see localtime.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {number} [now] - Current time (ms since epoch)
+ * @returns {string} The sentence (empty without alerts)
+ */
+export function describeAlerts(alerts, zone, messages, now = Date.now()) {
+  if (!alerts.length) {
+    return "";
+  }
+
+  const spoken = alerts.slice(0, MAX_SPOKEN_ALERTS).map((alert) => {
+    const onset = alert.onset ? Date.parse(alert.onset) : null;
+    let phrase = messages.t("alerts.inEffect", { event: messages.indefinite(alert.event.toLowerCase()) });
+    if (onset && onset > now) {
+      phrase = messages.t("alerts.from", { alert: phrase, time: formatAlertTime(onset, zone, now, messages) });
+    }
+    if (alert.ends) {
+      phrase = messages.t("alerts.until", { alert: phrase, time: formatAlertTime(Date.parse(alert.ends), zone, now, messages) });
+    }
+    return phrase;
+  });
+
+  const more = alerts.length - spoken.length;
+  if (more > 0) {
+    spoken.push(more > 1 ? messages.t("alerts.more", { count: more }) : messages.t("alerts.oneMore"));
+  }
+
+  return messages.t(spoken.length === 1 ? "alerts.one" : "alerts.many", { alerts: messages.list(spoken) });
+}
+
+/**
+ * Formats a time at the location for speech, with the day if it isn't today
+ * (e.g. "6 PM", "9 AM tomorrow", "noon Thursday").
+ *
+ * @function formatAlertTime
+ * @param {number} timeMs - The time (ms since epoch)
+ * @param {Object} zone - The location's timezone and UTC offset (see localtime.mjs)
+ * @param {number} now - Current time (ms since epoch)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The spoken time
+ */
+function formatAlertTime(timeMs, zone, now, messages) {
+  const local = toLocalTime(timeMs, zone);
+  const hour = Number(local.slice(11, 13));
+  const minute = Number(local.slice(14, 16));
+
+  // Midnight belongs to the day that's ending ("until midnight" tonight, not tomorrow)
+  const day = localDate((hour === 0 && minute === 0) ? toLocalTime(timeMs - 60000, zone) : local);
+  const days = Math.round((Date.parse(day) - Date.parse(localDate(toLocalTime(now, zone)))) / 86400000);
+
+  let time;
+  if (hour === 12 && minute === 0) {
+    time = messages.t("time.noon");
+  } else if (hour === 0 && minute === 0) {
+    time = messages.t("time.midnight");
+  } else {
+    time = messages.formatTime(local.slice(11, 16));
+  }
+
+  if (days === 0) return time;
+  if (days === 1) return messages.t("time.tomorrow", { time });
+  return messages.t("time.onDay", { time, day: messages.weekday(day) });
+}
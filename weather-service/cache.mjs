@@ -0,0 +1,260 @@
+/**
+ * @fileoverview
+ * Cache for geocoding results and forecasts.
+ * Every backend stores JSON values with an absolute expiry time. An in-memory cache lives
+ * in module scope, so it survives warm Lambda invocations; an optional persistent backend
+ * (S3) sits behind it and shares entries across cold starts and concurrent instances.
+ * Cache failures are logged and treated as misses - they never fail a request.
+ * Backends keep expired entries until they're replaced (or pushed out of memory), so a
+ * caller can fall back to a stale value when loading a fresh one fails.
+ *
+ * Configuration (environment variables):
+ * - CACHE_BACKEND: "memory" (default), "s3" (memory in front of S3) or "none"
+ * - CACHE_S3_BUCKET / CACHE_S3_PREFIX: where the S3 backend keeps entries (prefix default "cache/")
+ * - CACHE_MAX_ENTRIES: how many entries the in-memory cache holds (default 500)
+ * - GEOCODE_CACHE_TTL_SECONDS: how long geocoding results are kept (default 30 days)
+ * - FORECAST_STALE_SECONDS: how long after expiry a forecast may still be used when the
+ *   providers are down (default 12 hours)
+ */
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+// A postal code's coordinates practically never change
+export const GEOCODE_TTL_SECONDS = Number(process.env.GEOCODE_CACHE_TTL_SECONDS) || 30 * 24 * 60 * 60;
+
+// An old forecast still beats no answer while the providers are down
+export const FORECAST_STALE_SECONDS = Number(process.env.FORECAST_STALE_SECONDS) || 12 * 60 * 60;
+
+/**
+ * In-memory cache with a maximum size. The least recently used entry is dropped first.
+ */
+export class MemoryCache {
+  /**
+   * @param {number} [maxEntries] - Most entries to hold
+   */
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+    this.name = "memory";
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<{value: *, expiresAt: number}|null>} The entry, expired or not, or null if missing
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    // Re-insert so the Map's order tracks recent use
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {number} expiresAt - Expiry time (ms since epoch)
+   * @returns {Promise<void>}
+   */
+  async set(key, value, expiresAt) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Persistent cache storing one JSON object per key in an S3 bucket. The AWS SDK is
+ * loaded on first use (it ships with the Lambda Node.js runtime).
+ */
+export class S3Cache {
+  /**
+   * @param {string} bucket - Bucket name
+   * @param {string} [prefix] - Key prefix for cache objects
+   */
+  constructor(bucket, prefix = "cache/") {
+    this.name = "s3";
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.client = null;
+  }
+
+  /**
+   * Loads the AWS SDK and creates the client on first use.
+   *
+   * @returns {Promise<Object>} The S3 client
+   */
+  async sdk() {
+    if (!this.client) {
+      const s3 = await import("@aws-sdk/client-s3");
+      this.commands = { GetObjectCommand: s3.GetObjectCommand, PutObjectCommand: s3.PutObjectCommand };
+      this.client = new s3.S3Client({});
+    }
+    return this.client;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {string} The S3 object key for it
+   */
+  objectKey(key) {
+    return `${this.prefix}${encodeURIComponent(key)}.json`;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<{value: *, expiresAt: number}|null>} The entry, expired or not, or null if missing
+   */
+  async get(key) {
+    const client = await this.sdk();
+    try {
+      const result = await client.send(new this.commands.GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return JSON.parse(await result.Body.transformToString());
+    } catch (err) {
+      if (err.name === "NoSuchKey") {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {number} expiresAt - Expiry time (ms since epoch)
+   * @returns {Promise<void>}
+   */
+  async set(key, value, expiresAt) {
+    const client = await this.sdk();
+    await client.send(new this.commands.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: JSON.stringify({ value, expiresAt }),
+      ContentType: "application/json"
+    }));
+  }
+}
+
+/**
+ * Layers of caches, fastest first. Reads stop at the first layer with the entry and copy it
+ * into the faster layers; writes go to every layer.
+ */
+export class TieredCache {
+  /**
+   * @param {Array<Object>} layers - Caches with get/set, fastest first
+   */
+  constructor(layers) {
+    this.layers = layers;
+  }
+
+  /**
+   * Returns the cached value for a key, or loads and stores it. With a stale period, an
+   * entry that expired less than that long ago is returned instead when loading fails in a
+   * way staleIf accepts.
+   *
+   * @async
+   * @param {string} key - Cache key
+   * @param {number|function(*): number} expiresAt - Expiry time (ms since epoch), or a function of the loaded value returning it
+   * @param {function(): Promise<*>} load - Loads the value on a miss
+   * @param {Object} [options]
+   * @param {number} [options.staleSeconds=0] - How long after expiry an entry may stand in for a failed load
+   * @param {function(Error): boolean} [options.staleIf] - Which load failures an entry may stand in for (default all)
+   * @returns {Promise<{value: *, hit: string|null, stale?: boolean}>} The value, the layer it came
+   *   from (null if loaded) and, for an expired entry standing in for a failed load, stale
+   */
+  async getOrLoad(key, expiresAt, load, { staleSeconds = 0, staleIf = () => true } = {}) {
+    const now = Date.now();
+    let stale = null;
+    for (let i = 0; i < this.layers.length; i++) {
+      const entry = await safely(() => this.layers[i].get(key), `${this.layers[i].name} get`);
+      if (entry && entry.expiresAt > now) {
+        await Promise.all(this.layers.slice(0, i).map((layer) =>
+          safely(() => layer.set(key, entry.value, entry.expiresAt), `${layer.name} set`)));
+        return { value: entry.value, hit: this.layers[i].name };
+      }
+      if (entry && !stale && entry.expiresAt + staleSeconds * 1000 > now) {
+        stale = { value: entry.value, hit: this.layers[i].name, stale: true };
+      }
+    }
+
+    let value;
+    try {
+      value = await load();
+    } catch (err) {
+      if (stale && staleIf(err)) {
+        console.warn(`Using the stale ${stale.hit} entry for ${key}:`, err.message);
+        return stale;
+      }
+      throw err;
+    }
+    const expiry = typeof expiresAt === "function" ? expiresAt(value) : expiresAt;
+    await Promise.all(this.layers.map((layer) =>
+      safely(() => layer.set(key, value, expiry), `${layer.name} set`)));
+    return { value, hit: null };
+  }
+}
+
+/**
+ * Runs a cache operation, logging failures instead of throwing them.
+ *
+ * @async
+ * @function safely
+ * @param {function(): Promise<*>} operation - The cache call
+ * @param {string} description - What it was, for the log
+ * @returns {Promise<*>} The result, or null on failure
+ */
+async function safely(operation, description) {
+  try {
+    return await operation();
+  } catch (err) {
+    console.warn(`Cache ${description} failed:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Builds the cache configured by CACHE_BACKEND.
+ *
+ * @function createCache
+ * @returns {TieredCache} The cache (with no layers when caching is off)
+ */
+export function createCache() {
+  const backend = (process.env.CACHE_BACKEND || "memory").toLowerCase();
+  const memory = new MemoryCache(Number(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES);
+
+  if (backend === "none") {
+    return new TieredCache([]);
+  }
+  if (backend === "s3") {
+    if (!process.env.CACHE_S3_BUCKET) {
+      console.warn("CACHE_BACKEND is s3 but CACHE_S3_BUCKET is not set; using the in-memory cache only");
+      return new TieredCache([memory]);
+    }
+    return new TieredCache([memory, new S3Cache(process.env.CACHE_S3_BUCKET, process.env.CACHE_S3_PREFIX)]);
+  }
+  if (backend !== "memory") {
+    console.warn(`Unknown CACHE_BACKEND "${backend}"; using the in-memory cache`);
+  }
+  return new TieredCache([memory]);
+}
+
+/**
+ * Expiry for a forecast: the start of the next local hour at the location, when providers
+ * publish a new hourly forecast and the "current" hour moves on. The UTC offset matters for
+ * places whose hours don't start on the UTC hour (e.g. UTC+5:30).
+ *
+ * @function nextHourBoundary
+ * @param {number} [utcOffsetSeconds=0] - Offset of the location's local time from UTC
+ * @param {number} [now] - Current time (ms since epoch)
+ * @returns {number} The start of the next local hour (ms since epoch)
+ */
+export function nextHourBoundary(utcOffsetSeconds = 0, now = Date.now()) {
+  const hourMs = 60 * 60 * 1000;
+  const offsetMs = utcOffsetSeconds * 1000;
+  return Math.floor((now + offsetMs) / hourMs) * hourMs + hourMs - offsetMs;
+}
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview
+ * The contract between the skill and the clothing recommendation Lambda: JSON Schemas for the
+ * request's query parameters and the response body (schema/), and the version of them this
+ * service speaks. Requests that break the contract are turned away before any lookup; a
+ * response that breaks it is still sent, since the skill falls back to speech, but logged.
+ *
+ * Only the part of JSON Schema the schema files use is implemented: type, const, enum,
+ * pattern, minLength, maxLength, minimum, maximum, required, properties, items and local
+ * $refs ("#/$defs/..."). The skill validates responses with the same subset (contract.js).
+ */
+
+import { readFileSync } from "node:fs";
+
+// Bump on changes that remove or change a field; adding optional fields keeps the version
+export const CONTRACT_VERSION = 1;
+
+const REQUEST_SCHEMA = loadSchema("weather-request.schema.json");
+const RESPONSE_SCHEMA = loadSchema("weather-response.schema.json");
+
+/**
+ * Reads a schema file from schema/.
+ *
+ * @function loadSchema
+ * @param {string} name - The file name
+ * @returns {Object} The schema
+ */
+function loadSchema(name) {
+  return JSON.parse(readFileSync(new URL(`./schema/${name}`, import.meta.url), "utf8"));
+}
+
+/**
+ * Checks a request's query parameters against the request schema.
+ *
+ * @function validateRequest
+ * @param {Object} params - Query string parameters
+ * @returns {Array<string>} What's wrong with them (empty if they're valid)
+ */
+export function validateRequest(params) {
+  return validate(params, REQUEST_SCHEMA);
+}
+
+/**
+ * Checks a response body against the response schema.
+ *
+ * @function validateResponse
+ * @param {Object} body - The parsed response body
+ * @returns {Array<string>} What's wrong with it (empty if it's valid)
+ */
+export function validateResponse(body) {
+  return validate(body, RESPONSE_SCHEMA);
+}
+
+const TYPES = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) => value !== null && typeof value === "object" && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null
+};
+
+/**
+ * Validates a value against a schema.
+ *
+ * @function validate
+ * @param {*} value - The value
+ * @param {Object} schema - The schema (or a part of it)
+ * @param {Object} [root] - The whole schema, which $refs point into
+ * @param {string} [path] - JSON Pointer of the value, for the error messages
+ * @returns {Array<string>} The errors, e.g. "/apl/background: must be string"
+ */
+export function validate(value, schema, root = schema, path = "") {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, "").split("/").reduce((node, key) => node?.[key], root);
+    if (!target) {
+      throw new Error(`Unknown schema reference ${schema.$ref}`);
+    }
+    return validate(value, target, root, path);
+  }
+
+  const at = path || "/";
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((type) => TYPES[type](value))) {
+    return [`${at}: must be ${types.join(" or ")}`];
+  }
+  if ("const" in schema && value !== schema.const) {
+    return [`${at}: must be ${JSON.stringify(schema.const)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`];
+  }
+
+  const errors = [];
+  if (typeof value === "string") {
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) errors.push(`${at}: must match ${schema.pattern}`);
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be at most ${schema.maximum}`);
+  }
+  if (TYPES.object(value)) {
+    (schema.required || [])
+        .filter((key) => !(key in value))
+        .forEach((key) => errors.push(`${at}: is missing "${key}"`));
+    Object.entries(schema.properties || {})
+        .filter(([key]) => value[key] !== undefined)
+        .forEach(([key, property]) => errors.push(...validate(value[key], property, root, `${path}/${key}`)));
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, root, `${path}/${index}`)));
+  }
+  return errors;
+}
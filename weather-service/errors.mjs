@@ -0,0 +1,171 @@
+/**
+ * @fileoverview
+ * Failures the clothing recommendation Lambda answers with. Each kind has a stable code,
+ * reported to clients in the response's `error` field, and the HTTP status it's answered
+ * with; the spoken message for it is errors.<code> in the message catalogs. Anything else
+ * that goes wrong is answered as "internal", with status 500.
+ *
+ * | Code                | Status  | When                                                      |
+ * |---------------------|---------|-----------------------------------------------------------|
+ * | invalidRequest      | 400     | The query parameters break the contract (see contract.mjs) |
+ * | outOfRange          | 400     | The requested day is past the forecast horizon            |
+ * | invalidLocation     | 404/409 | The postal code or place name matches no place, or several |
+ * | upstreamUnavailable | 503     | A weather provider failed or answered with an error       |
+ * | upstreamMalformed   | 502     | A weather provider answered with data that can't be used  |
+ * | upstreamTimeout     | 504     | A weather provider took too long to answer                |
+ * | internal            | 500     | Anything else                                             |
+ */
+
+// Errors from fetch() (undici) and abort signals that mean the other side was too slow
+const TIMEOUT_CAUSES = ["UND_ERR_CONNECT_TIMEOUT", "UND_ERR_HEADERS_TIMEOUT", "UND_ERR_BODY_TIMEOUT", "ETIMEDOUT"];
+
+/**
+ * A failure with a code and HTTP status to answer with. The message is English, for the logs.
+ */
+export class ServiceError extends Error {
+  /**
+   * @param {string} message - Explanation, in English
+   * @param {string} [code="internal"] - The error code (see the table above)
+   * @param {number} [statusCode=500] - HTTP status for the Lambda response
+   * @param {Error} [cause] - The underlying error, if any
+   */
+  constructor(message, code = "internal", statusCode = 500, cause = undefined) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ServiceError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+
+  /**
+   * The error as reported in the response's `error` field.
+   *
+   * @returns {{code: string}} The error code
+   */
+  toJSON() {
+    return { code: this.code };
+  }
+}
+
+/**
+ * A location that can't be resolved to a single place. The handler speaks the reason in the
+ * user's language (see the errors.location messages).
+ */
+export class LocationError extends ServiceError {
+  /**
+   * @param {string} message - Explanation, in English
+   * @param {number} [statusCode=404] - HTTP status for the Lambda response
+   * @param {string} [reason="notFound"] - "notFound" or "ambiguous"
+   * @param {string} [postalCode] - The postal code as the user gave it
+   */
+  constructor(message, statusCode = 404, reason = "notFound", postalCode = "") {
+    super(message, "invalidLocation", statusCode);
+    this.name = "LocationError";
+    this.reason = reason;
+    this.postalCode = postalCode;
+  }
+
+  /**
+   * @returns {{code: string, reason: string}} The error code and why the location is invalid
+   */
+  toJSON() {
+    return { code: this.code, reason: this.reason };
+  }
+}
+
+/**
+ * A place name that can't be resolved to a single place. For ambiguous names it lists the
+ * candidates, so the skill can ask which one the user meant (see the errors.place messages).
+ */
+export class PlaceError extends LocationError {
+  /**
+   * @param {string} message - Explanation, in English
+   * @param {number} statusCode - HTTP status for the Lambda response
+   * @param {string} reason - "notFound" or "ambiguous"
+   * @param {string} place - The place name as the user gave it
+   * @param {Array<{name: string, latitude: number, longitude: number}>} [candidates] - The places
+   *   it could be, named so the user can tell them apart (e.g. "Portland, Maine")
+   */
+  constructor(message, statusCode, reason, place, candidates = []) {
+    super(message, statusCode, reason);
+    this.name = "PlaceError";
+    this.place = place;
+    this.candidates = candidates;
+  }
+
+  /**
+   * @returns {{code: string, reason: string, candidates?: Array<Object>}} The error code, why
+   *   the place is invalid, and the candidates, if any
+   */
+  toJSON() {
+    return { ...super.toJSON(), ...(this.candidates.length ? { candidates: this.candidates } : {}) };
+  }
+}
+
+/**
+ * A weather provider (forecast or geocoding) that couldn't be reached or answered with an error.
+ */
+export class UpstreamUnavailableError extends ServiceError {
+  /**
+   * @param {string} message - Explanation, in English
+   * @param {Error} [cause] - The underlying error, if any
+   */
+  constructor(message, cause = undefined) {
+    super(message, "upstreamUnavailable", 503, cause);
+    this.name = "UpstreamUnavailableError";
+  }
+}
+
+/**
+ * A weather provider that answered with something other than the data it should have sent.
+ */
+export class UpstreamMalformedError extends ServiceError {
+  /**
+   * @param {string} message - Explanation, in English
+   * @param {Error} [cause] - The underlying error, if any
+   */
+  constructor(message, cause = undefined) {
+    super(message, "upstreamMalformed", 502, cause);
+    this.name = "UpstreamMalformedError";
+  }
+}
+
+/**
+ * A weather provider that took too long to answer.
+ */
+export class UpstreamTimeoutError extends ServiceError {
+  /**
+   * @param {string} message - Explanation, in English
+   * @param {Error} [cause] - The underlying error, if any
+   */
+  constructor(message, cause = undefined) {
+    super(message, "upstreamTimeout", 504, cause);
+    this.name = "UpstreamTimeoutError";
+  }
+}
+
+/**
+ * Classifies a failed fetch() of an upstream URL as a timeout or as the upstream being unavailable.
+ *
+ * @function upstreamFetchError
+ * @param {string} url - The URL that was fetched
+ * @param {Error} err - What fetch() threw
+ * @returns {UpstreamTimeoutError|UpstreamUnavailableError} The classified error
+ */
+export function upstreamFetchError(url, err) {
+  const timedOut = err.name === "TimeoutError" || TIMEOUT_CAUSES.includes(err.cause?.code);
+  return timedOut
+      ? new UpstreamTimeoutError(`Request to ${url} timed out`, err)
+      : new UpstreamUnavailableError(`Request to ${url} failed: ${err.message}`, err);
+}
+
+/**
+ * Whether an error means the upstream is down (unreachable, failing or too slow), as opposed
+ * to answering with something unusable.
+ *
+ * @function isUpstreamOutage
+ * @param {Error} err - The error
+ * @returns {boolean} True for UpstreamUnavailableError and UpstreamTimeoutError
+ */
+export function isUpstreamOutage(err) {
+  return err instanceof UpstreamUnavailableError || err instanceof UpstreamTimeoutError;
+}
@@ -1,10 +1,44 @@
 /**
  * @fileoverview
  * AWS Lambda for an Alexa skill that provides weather-based clothing recommendations.
- * - Input: event.zip (ZIP code)
- * - Output: JSON with a spoken response and APL display data for Echo Show devices.
+ * - Input: event.queryStringParameters.zip (postal code), optional country (ISO 3166-1 alpha-2)
+ *   and units ("imperial" or "metric"), plus an optional thermal profile (comfortOffset, preferences)
+ *   and wardrobe (the user's own clothes, as JSON), and an optional activity (running, cycling, ...)
+ * - Output: JSON with a spoken response, the outfit by body zone with its layer count (see
+ *   layers.mjs), APL display data for Echo Show devices, and for now, an hourly timeline of the
+ *   hours ahead with a recommendation for each. Official
+ *   weather alerts for the location (see alerts.mjs) lead the response; air quality and pollen
+ *   (see airquality.mjs) add to the advice.
+ * - Speech and APL text are in the language of the optional locale (en-US, en-GB, es-US or de-DE;
+ *   see messages.mjs).
+ * - With packing=true, the days of date (and endDate) are added up into a packing list for a
+ *   trip (see packing.mjs).
  */
 
+import { geocodeZip, geocodePlace, fetchForecast } from "./providers.mjs";
+import {
+  resolveUnitSystem,
+  convertWindSpeed,
+  convertPrecipitation,
+  displayTemperature,
+  speakTemperature
+} from "./units.mjs";
+import { parseProfile, parseHousehold } from "./profile.mjs";
+import { selectOutfit, describeOutfit } from "./wardrobe.mjs";
+import { dressZones } from "./layers.mjs";
+import { resolveActivity, DEFAULT_ACTIVITY } from "./activity.mjs";
+import { createCache, nextHourBoundary, GEOCODE_TTL_SECONDS, FORECAST_STALE_SECONDS } from "./cache.mjs";
+import { evaluateRules, renderSpeech, renderAplItems, summarizeConditions } from "./rules.mjs";
+import { fetchAlerts, alertsDuring, describeAlerts, ALERTS_TTL_SECONDS } from "./alerts.mjs";
+import { fetchAirQuality, worstAirQuality } from "./airquality.mjs";
+import { createMessages } from "./messages.mjs";
+import { composeSpeech } from "./ssml.mjs";
+import { CONTRACT_VERSION, validateRequest, validateResponse } from "./contract.mjs";
+import { ServiceError, LocationError, PlaceError, isUpstreamOutage } from "./errors.mjs";
+import { UpstreamSession } from "./upstream.mjs";
+import { buildPackingList, describePackingList } from "./packing.mjs";
+import { toLocalTime, localTimeToMs, localDate, isBetween, describeLocalTime } from "./localtime.mjs";
+
 // Configuration constants for triggering alerts
 const THRESHOLDS = {
   // Temperature category difference required to generate an alert (0-7 scale)
@@ -36,12 +70,12 @@ const THRESHOLDS = {
     HOT: 90            // 80-90°F, above 90°F is "very hot"
   },
 
-  // Wind adjustment thresholds and amounts (in °F)
-  WIND_CHILL: {
-    LIGHT: { threshold: 5, adjustment: 4 },    // 5-10 mph
-    MODERATE: { threshold: 11, adjustment: 8 }, // 11-20 mph
-    STRONG: { threshold: 21, adjustment: 12 },  // 21-30 mph
-    SEVERE: { threshold: 30, adjustment: 18 }   // > 30 mph
+  // Apparent temperature model (NWS formulas)
+  APPARENT_TEMP: {
+    WIND_CHILL_MAX_TEMP: 50,  // wind chill applies at or below 50°F...
+    WIND_CHILL_MIN_WIND: 3,   // ...with at least 3 mph of wind
+    HEAT_INDEX_MIN_TEMP: 80,  // heat index applies at or above 80°F
+    SOLAR_GAIN_MAX: 6         // °F added in full daytime sun (0% cloud cover)
   },
 
   // UV index thresholds
@@ -51,117 +85,212 @@ const THRESHOLDS = {
   }
 };
 
+// Apparent temperature model: "nws" (formulas below) or "provider" (the forecast's own value)
+const APPARENT_TEMP_MODEL = (process.env.APPARENT_TEMP_MODEL || "nws").toLowerCase();
+
+// Parts of the day reported in multi-day forecasts (local hours, end exclusive)
+const DAY_PERIODS = [
+  { name: "morning", startHour: 6, endHour: 12 },
+  { name: "afternoon", startHour: 12, endHour: 18 },
+  { name: "evening", startHour: 18, endHour: 23 }
+];
+
+// Categories in which gloves and a warm hat are wanted
+const COLD_CATEGORIES = ["extreme cold", "very cold", "cold"];
+
+// Hours after now in the hourly timeline (see buildHourlyTimeline)
+const HOURLY_TIMELINE_HOURS = 12;
+
+// Longest range of days a multi-day forecast covers
+const MAX_FORECAST_DAYS = 7;
+
+// Geocoding and forecast cache; module scope, so it survives warm invocations
+const cache = createCache();
+
+// Commute mode: length of a window given as a single time, and most windows per request
+const COMMUTE_WINDOW_MINUTES = 60;
+const MAX_COMMUTE_WINDOWS = 4;
+
 /**
- * Main handler function to be exported for AWS Lambda.
+ * Hazards a recommendation accounts for besides the weather itself.
+ *
+ * @typedef {Object} Hazards
+ * @property {Array<Object>} alerts - Official weather alerts in effect (see alerts.mjs), most severe first
+ * @property {Object|null} airQuality - Air quality and pollen (see airquality.mjs), if known
+ */
+const NO_HAZARDS = { alerts: [], airQuality: null };
+
+/**
+ * Main handler function to be exported for AWS Lambda. Requests and responses follow the
+ * contract in schema/ (see contract.mjs).
  *
  * @async
  * @function handler
- * @param {Object} event - The event payload from Alexa, expected to contain { zip: string }
- * @returns {Promise<Object>} Returns an object with a statusCode and a JSON body containing { response, ... }
+ * @param {Object} event - The API Gateway event, with query parameters
+ *   { zip | place | lat and lon, country?, units?, locale?, date?, endDate?, windows?, comfortOffset?, preferences?, wardrobe?,
+ *   activity?, ageGroup?, name?, household?, packing?, version? }
+ * @returns {Promise<Object>} Returns an object with a statusCode and a JSON body containing { version, response, ... }
  */
 export async function handler(event) {
+  // Language for speech and APL text; errors are spoken in it too
+  const messages = createMessages(event.queryStringParameters?.locale);
+
+  const requestErrors = validateRequest(event.queryStringParameters || {});
+  if (requestErrors.length) {
+      console.warn(`Request breaks the contract: ${requestErrors.join("; ")}`);
+      return errorResponse(400, { code: "invalidRequest" }, messages.t("errors.invalidRequest"), messages);
+  }
+
+  const response = await respond(event, messages);
+  const responseErrors = validateResponse(JSON.parse(response.body));
+  if (responseErrors.length) {
+      console.error(`Response breaks the contract: ${responseErrors.join("; ")}`);
+  }
+  return response;
+}
+
+/**
+ * Answers a request that follows the contract.
+ *
+ * @async
+ * @function respond
+ * @param {Object} event - The API Gateway event (see handler)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {Promise<Object>} Lambda response with statusCode and JSON body
+ */
+async function respond(event, messages) {
   try {
-      // 1) Extract ZIP code from the event
-      const zipCode = event.queryStringParameters?.zip || "98102";
+      // Unit system for speech and display; all math below stays in °F/mph/inches
+      const units = resolveUnitSystem(event.queryStringParameters?.units);
+
+      // Personal thermal profile: shifted category thresholds and clothing preferences
+      const profile = parseProfile(event.queryStringParameters, THRESHOLDS.TEMP_THRESHOLDS);
+
+      // Upstream calls share a deadline, and get timeouts, retries and circuit breakers (see upstream.mjs)
+      const upstream = new UpstreamSession();
+
+      // 1-2) Locate the request: a position (lat/lon) as it is, or a place name or postal code
+      //      (and its country, if known) geocoded to latitude/longitude, cached for a long time
+      const geocoded = await locate(event.queryStringParameters, upstream);
+      const { latitude, longitude, name } = geocoded.value;
+
+      // 3) Fetch the forecast (current + hourly + daily) from the first available provider,
+      //    cached until the next hour at the location, the official weather alerts and the air quality.
+      //    While the providers are down, an older forecast is used and the speech says so
+      const forecastLoad = cache.getOrLoad(
+          `forecast:${latitude.toFixed(3)},${longitude.toFixed(3)}`,
+          (loaded) => nextHourBoundary(loaded.utcOffsetSeconds),
+          () => fetchForecast({ latitude, longitude }, upstream),
+          { staleSeconds: FORECAST_STALE_SECONDS, staleIf: isUpstreamOutage }
+      );
+      const [forecasted, alertReport, airReport] = await Promise.all([
+          forecastLoad,
+          // A position may come without its country; then the forecast's timezone tells which
+          // alerts provider covers it, so the alerts wait for the forecast
+          geocoded.value.countryCode
+              ? loadAlerts(geocoded.value, upstream)
+              : forecastLoad.then((loaded) => loadAlerts({ ...geocoded.value, timezone: loaded.value.timezone }, upstream)),
+          loadAirQuality(geocoded.value, upstream)
+      ]);
+      const forecast = forecasted.stale ? { ...forecasted.value, stale: true } : forecasted.value;
+      // Where each lookup came from ("memory", "s3", "miss", "stale" for an old forecast, or
+      // "coordinates" when there was nothing to geocode) and what the upstream calls did
+      const lookupDiagnostics = {
+          cache: {
+              geocode: geocoded.hit || "miss",
+              forecast: forecasted.stale ? "stale" : forecasted.hit || "miss",
+              alerts: alertReport.hit || "miss",
+              airQuality: airReport.hit || "miss"
+          },
+          upstream: upstream.report()
+      };
 
-      // 2) Geocode: Convert ZIP to latitude/longitude via Open-Meteo's Geocoding API
-      const geoUrl = `https://geocoding-api.open-meteo.com/v1/search?name=${zipCode}&count=1&language=en&format=json`;
-      const geoResponse = await fetch(geoUrl);
-      const geoData = await geoResponse.json();
+      // 3b) Packing mode: what to pack for a trip over a date range
+      const requestedDate = event.queryStringParameters?.date;
+      if (event.queryStringParameters?.packing === "true") {
+          if (!requestedDate) {
+              throw new ServiceError("A packing list needs the trip's date", "invalidRequest", 400);
+          }
+          return buildPackingResponse(requestedDate, event.queryStringParameters?.endDate, forecast, name, units, messages, profile, alertReport, airReport, lookupDiagnostics);
+      }
 
-      if (!geoData || !geoData.results || !geoData.results.length) {
-          throw new Error("Could not find lat/long for that ZIP code.");
+      // 3c) Commute mode: one outfit for several time windows ("leave at 8, back at 6")
+      const requestedWindows = event.queryStringParameters?.windows;
+      if (requestedWindows) {
+          return buildCommuteResponse(requestedWindows, requestedDate, forecast, name, units, messages, profile, alertReport, airReport, lookupDiagnostics);
       }
-      const { latitude, longitude, name } = geoData.results[0];
-
-      // 3) Fetch weather from Open-Meteo (current + hourly + daily sunrise/sunset)
-      // UPDATED: Added temperature_unit=fahrenheit to get Fahrenheit values directly
-      const weatherUrl = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}`
-          + `&hourly=temperature_2m,relativehumidity_2m,precipitation,windspeed_10m,weathercode`
-          + `&daily=uv_index_max,sunrise,sunset&current_weather=true&timezone=auto`
-          + `&temperature_unit=fahrenheit&windspeed_unit=mph&precipitation_unit=inch`;
-      const weatherResponse = await fetch(weatherUrl);
-      const weatherData = await weatherResponse.json();
-
-      if (!weatherData || !weatherData.current_weather) {
-          throw new Error("No current_weather data from Open-Meteo.");
+
+      // 3d) Multi-day mode: a target day or date range ("tomorrow", "this weekend")
+      if (requestedDate) {
+          return buildMultiDayResponse(requestedDate, event.queryStringParameters?.endDate, forecast, name, units, messages, profile, alertReport, airReport, lookupDiagnostics);
       }
 
       // 4) Parse the current conditions
       const {
-          temperature: currentTemp, // Now in Fahrenheit from API
-          windspeed: currentWind,   // Now in mph from API
+          temperature: currentTemp, // Fahrenheit
+          windSpeed: currentWind,   // mph
           time: currentTime,
-          weathercode: currentWeatherCode
-      } = weatherData.current_weather;
-
-      // 5) Find matching index in hourly arrays to get humidity & precipitation
-      const hourlyTimes = weatherData.hourly.time || [];
-
-      // Create currentTimeObj once
-      const currentTimeObj = new Date(currentTime);
-
-      // Find the closest hour in the weather data
-      let idx = -1;
-      for (let i = 0; i < hourlyTimes.length; i++) {
-          const hourlyTime = new Date(hourlyTimes[i]);
-          // Find the closest hour (same day, closest or equal hour)
-          if (hourlyTime.getDate() === currentTimeObj.getDate() &&
-              hourlyTime.getMonth() === currentTimeObj.getMonth() &&
-              hourlyTime.getFullYear() === currentTimeObj.getFullYear() &&
-              hourlyTime.getHours() <= currentTimeObj.getHours()) {
-              idx = i;
-              // If exact hour match, break
-              if (hourlyTime.getHours() === currentTimeObj.getHours()) {
-                  break;
-              }
-          }
-      }
+          weatherCode: currentWeatherCode
+      } = forecast.current;
 
-      // If we've passed the last hour of the day, use the last hour
-      if (idx === -1 && hourlyTimes.length > 0) {
-          // Find the last hour from yesterday or earlier today
-          for (let i = hourlyTimes.length - 1; i >= 0; i--) {
-              const hourlyTime = new Date(hourlyTimes[i]);
-              if (hourlyTime <= currentTimeObj) {
-                  idx = i;
-                  break;
-              }
-          }
-      }
+      // 5) Find the hour we're in: the last forecast hour at or before the location's local time now.
+      //    Local times are compared as text (see localtime.mjs), whatever the Lambda's own timezone
+      const hourlyTimes = forecast.hourly.map((hour) => hour.time);
+      const now = localNow(forecast);
+      const idx = hourlyTimes.findLastIndex((time) => time <= now);
 
-      console.log(`Current time: ${currentTime}, matched to hourly index: ${idx}, time: ${idx >= 0 ? hourlyTimes[idx] : 'none'}`);
+      console.log(`Local time: ${now} (${forecast.timezone || "fixed offset"}), forecast time: ${currentTime}, matched to hourly index: ${idx}, time: ${idx >= 0 ? hourlyTimes[idx] : 'none'}`);
 
       const currentHumidity = (idx >= 0)
-          ? weatherData.hourly.relativehumidity_2m[idx]
+          ? forecast.hourly[idx].humidity
           : 50; // fallback
       const currentPrecip = (idx >= 0)
-          ? weatherData.hourly.precipitation[idx]
+          ? forecast.hourly[idx].precipitation
           : 0;  // fallback
 
       // 6) Get daily max UV index and sunrise/sunset times
-      const uvMax = (weatherData.daily && weatherData.daily.uv_index_max)
-          ? weatherData.daily.uv_index_max[0]
-          : 3; // fallback
-
-      const sunrise = (weatherData.daily && weatherData.daily.sunrise)
-          ? weatherData.daily.sunrise[0]
-          : null;
-      const sunset = (weatherData.daily && weatherData.daily.sunset)
-          ? weatherData.daily.sunset[0]
-          : null;
+      const today = forecast.daily.find((day) => day.date === localDate(now)) || forecast.daily[0] || {};
+      const uvMax = today.uvIndexMax ?? 3; // fallback
+      const sunrise = today.sunrise || null;
+      const sunset = today.sunset || null;
 
       // 7) Determine if current time is considered daytime (between sunrise & sunset)
-      // currentTimeObj is already defined above
-      const isDaytime = isTimeBetween(currentTimeObj, sunrise ? new Date(sunrise) : null, sunset ? new Date(sunset) : null);
+      const isDaytime = isBetween(now, sunrise, sunset);
 
       // 8) Convert the WMO weather code to a human-readable description
       const weatherDescription = getWeatherDescription(currentWeatherCode);
 
-      // 9) Compute "effective" temperature (wind chill + humidity adjustments)
-      const nowEff = computeEffectiveTemp(currentTemp, currentWind, currentHumidity);
+      // 9) Compute "effective" (apparent) temperature: wind chill, heat index and sunshine
+      const currentHour = (idx >= 0) ? forecast.hourly[idx] : {};
+      const nowApparent = computeApparentTemp({
+          temperature: currentTemp,
+          windSpeed: currentWind,
+          humidity: currentHumidity,
+          cloudCover: currentHour.cloudCover ?? null,
+          apparentTemperature: currentHour.apparentTemperature ?? null
+      }, isDaytime, profile.activity);
+      const nowEff = nowApparent.temperature;
+
+      // 9b) Household mode: a recommendation for each family member, at their own times
+      const household = parseHousehold(event.queryStringParameters?.household, THRESHOLDS.TEMP_THRESHOLDS);
+      if (household) {
+          return buildHouseholdResponse(household, {
+              temperature: currentTemp,
+              windSpeed: currentWind,
+              humidity: currentHumidity,
+              precipitation: currentPrecip,
+              cloudCover: currentHour.cloudCover ?? null,
+              apparentTemperature: currentHour.apparentTemperature ?? null,
+              uvIndex: uvMax,
+              weatherDescription,
+              isDaytime
+          }, forecast, name, units, messages, alertReport, airReport, lookupDiagnostics);
+      }
 
-      // 10) Generate clothing advice for now
+      // 10) Generate clothing advice for now, upgraded for any alert in effect later today too
+      //     and for the air quality
+      const activeAlerts = alertsDuring(alertReport.alerts, Date.now(), Infinity);
+      const hazards = { alerts: activeAlerts, airQuality: airReport.current };
       const nowRecommendation = getClothingRecommendation(
           nowEff,
           currentPrecip,
@@ -169,11 +298,14 @@ export async function handler(event) {
           currentHumidity,
           uvMax,
           weatherDescription,
-          isDaytime
+          isDaytime,
+          profile,
+          messages,
+          hazards
       );
 
       // 11) Check the rest of today for big changes
-      const laterSummary = analyzeLaterToday(idx, nowEff, weatherData);
+      const laterSummary = analyzeLaterToday(idx, nowEff, forecast, profile, messages);
 
       // 12) Generate APL visual content
       const visualData = generateAPLData(
@@ -183,73 +315,181 @@ export async function handler(event) {
           currentWind,
           currentHumidity,
           uvMax,
-          isDaytime
+          isDaytime,
+          units,
+          messages,
+          profile,
+          hazards
       );
 
-      // 13) Construct a spoken response for Alexa (omitting the ZIP code)
-      let spokenResponse = `It's about ${Math.round(currentTemp)} degrees right now with ${weatherDescription.toLowerCase()} conditions. ${nowRecommendation}`;
-      if (laterSummary) {
-          spokenResponse += ` ${laterSummary}`;
-      }
+      // 13) Construct a spoken response for Alexa (omitting the ZIP code), alerts first
+      const nowSpeech = messages.t("now", {
+          temperature: speakTemperature(currentTemp, units, messages),
+          conditions: messages.weather(weatherDescription, true)
+      });
+      const speech = composeSpeech([
+          ...withNotices([`${nowSpeech} ${nowRecommendation}`], activeAlerts, alertReport, forecast, messages),
+          laterSummary
+      ], messages.marks);
 
       // Return as JSON
       return {
           statusCode: 200,
           body: JSON.stringify({
-              response: spokenResponse,       // The Alexa speech
-              temperature: Math.round(currentTemp),
+              version: CONTRACT_VERSION,      // The contract version (see contract.mjs)
+              response: speech.text,          // The Alexa speech, as plain text
+              ssml: speech.ssml,              // The same speech as SSML
+              temperature: displayTemperature(currentTemp, units),
+              units: units.name,
+              temperatureUnit: units.temperatureSymbol,
+              locale: messages.locale,
               weatherDescription,
+              activity: profile.activity.name,
               recommendation: nowRecommendation,
+              layers: pickLayers(nowEff, currentPrecip, currentWind, currentHumidity, uvMax, weatherDescription, isDaytime, profile, messages, hazards),
               laterChanges: laterSummary,
+              hourly: buildHourlyTimeline(idx, forecast, units, messages, profile, alertReport, airReport),
               locationName: name,
+              alerts: activeAlerts,
+              airQuality: airReport.current,
               apl: visualData,                // APL data for Echo Show
               diagnostics: {
                   currentEffectiveTemp: nowEff,
-                  currentCategory: getTempCategory(nowEff),
-                  currentCategoryIndex: categoryIndex(getTempCategory(nowEff)),
+                  apparentTemperature: {
+                      model: APPARENT_TEMP_MODEL,
+                      formula: nowApparent.formula,
+                      solarAdjustment: nowApparent.solarAdjustment,
+                      activity: profile.activity.name,
+                      activityAdjustment: nowApparent.activityAdjustment,
+                      relativeWindSpeed: currentWind + profile.activity.movementSpeed
+                  },
+                  currentCategory: getTempCategory(nowEff, profile.thresholds),
+                  currentCategoryIndex: categoryIndex(getTempCategory(nowEff, profile.thresholds)),
+                  profile: {
+                      comfortOffset: profile.comfortOffset,
+                      dislikesShorts: profile.dislikesShorts,
+                      bikes: profile.bikes,
+                      thresholds: profile.thresholds,
+                      wardrobeItems: profile.wardrobe.length
+                  },
+                  outfit: pickOutfit(nowEff, currentPrecip, currentWind, uvMax, weatherDescription, isDaytime, profile),
+                  clothingRules: evaluateRules(buildFacts(nowEff, currentPrecip, currentWind, currentHumidity, uvMax, weatherDescription, isDaytime, profile,
+                      pickOutfit(nowEff, currentPrecip, currentWind, uvMax, weatherDescription, isDaytime, profile), hazards)).map((rule) => rule.id),
+                  provider: forecast.provider,
+                  alerts: { provider: alertReport.provider, status: alertReport.status },
+                  airQuality: { status: airReport.status },
+                  ...lookupDiagnostics,
+                  canonicalUnits: "imperial",
+                  clock: describeLocalTime(now, forecast),
                   currentTime: currentTime,
-                  hourlyTimesLength: weatherData.hourly.time?.length || 0,
+                  hourlyTimesLength: hourlyTimes.length,
                   currentTimeIdx: idx,
-                  startDate: currentTimeObj.toISOString(),
-                  hourlyTimeStart: weatherData.hourly.time?.[0] || "none",
-                  hourlyTimeEnd: weatherData.hourly.time?.[weatherData.hourly.time.length-1] || "none",
-                  laterAnalysis: getLaterAnalysisDetails(idx, weatherData, nowEff)
+                  startDate: idx >= 0 ? describeLocalTime(hourlyTimes[idx], forecast).utc : "none",
+                  hourlyTimeStart: hourlyTimes[0] || "none",
+                  hourlyTimeEnd: hourlyTimes[hourlyTimes.length-1] || "none",
+                  laterAnalysis: getLaterAnalysisDetails(idx, forecast, nowEff, profile, messages)
               }
           })
       };
 
   } catch (err) {
       console.error(err);
+
+      // Unknown or ambiguous locations get a specific, speakable message; for ambiguous place
+      // names, it asks which of the candidates the user meant
+      if (err instanceof PlaceError) {
+          const places = messages.list(err.candidates.map((candidate) => candidate.name), "disjunction");
+          return errorResponse(err.statusCode, err.toJSON(), messages.t(`errors.place.${err.reason}`, { place: err.place, places }), messages);
+      }
+      if (err instanceof LocationError) {
+          return errorResponse(err.statusCode, err.toJSON(), messages.t(`errors.location.${err.reason}`, { postalCode: err.postalCode }), messages);
+      }
+
+      // So do failures of the weather providers (see errors.mjs)
+      if (err instanceof ServiceError) {
+          return errorResponse(err.statusCode, err.toJSON(), messages.t(`errors.${err.code}`), messages);
+      }
+
       // Error fallback response
-      return {
-          statusCode: 500,
-          body: JSON.stringify({
-              response: "Sorry, I had trouble getting the weather information for that location."
-          })
-      };
+      return errorResponse(500, { code: "internal" }, messages.t("errors.generic"), messages);
+  }
+}
+
+/**
+ * Finds where a request is for. A position (lat/lon) is used as it is; otherwise a place name,
+ * or else a postal code, is geocoded (restricted to the country, if given) and cached for a
+ * long time.
+ *
+ * @async
+ * @function locate
+ * @param {Object} params - Query string parameters
+ * @param {UpstreamSession} upstream - The request's upstream calls (see upstream.mjs)
+ * @returns {Promise<{value: {latitude: number, longitude: number, name?: string, countryCode?: string}, hit: string|null}>}
+ *   The location, and the cache layer it came from ("coordinates" for a position)
+ * @throws {ServiceError} invalidRequest, when the request has no location
+ * @throws {LocationError} When the place name or postal code can't be resolved to one place
+ */
+async function locate(params = {}, upstream) {
+  const countryCode = params.country || null;
+  const coordinates = parseCoordinates(params);
+  if (coordinates) {
+    return { value: { ...coordinates, countryCode }, hit: "coordinates" };
   }
+  if (params.place) {
+    return cache.getOrLoad(
+        `place:${(countryCode || "*").toUpperCase()}:${params.place.trim().toLowerCase().replace(/\s+/g, " ")}`,
+        Date.now() + GEOCODE_TTL_SECONDS * 1000,
+        () => geocodePlace(params.place, countryCode, upstream)
+    );
+  }
+  if (params.zip) {
+    return cache.getOrLoad(
+        `geocode:${(countryCode || "*").toUpperCase()}:${params.zip.replace(/\s+/g, "").toUpperCase()}`,
+        Date.now() + GEOCODE_TTL_SECONDS * 1000,
+        () => geocodeZip(params.zip, countryCode, upstream)
+    );
+  }
+  throw new ServiceError("The request has no location: give zip, place, or lat and lon", "invalidRequest", 400);
 }
 
 /**
- * Determines whether the current time is between two other Date objects (e.g. sunrise & sunset).
- * Open-Meteo provides times in the requested timezone, so direct comparison is safe.
+ * Reads the user's position from the lat/lon parameters. The contract only checks their format,
+ * so the range is checked here, and both must be given.
  *
- * @function isTimeBetween
- * @param {Date} currentTime - The current time
- * @param {Date|null} sunrise - Sunrise time
- * @param {Date|null} sunset - Sunset time
- * @returns {boolean} True if currentTime is between sunrise and sunset, otherwise false
+ * @function parseCoordinates
+ * @param {Object} params - Query string parameters
+ * @returns {{latitude: number, longitude: number}|null} The position, or null without lat and lon
+ * @throws {ServiceError} invalidRequest, for only one of them or a position off the globe
  */
-function isTimeBetween(currentTime, sunrise, sunset) {
-  if (!sunrise || !sunset) {
-      // If we can't parse sunrise/sunset, default to true (daytime).
-      return true;
+function parseCoordinates(params = {}) {
+  if (params.lat === undefined && params.lon === undefined) {
+    return null;
+  }
+  const latitude = Number(params.lat);
+  const longitude = Number(params.lon);
+  if (params.lat === undefined || params.lon === undefined
+      || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new ServiceError(`Invalid position lat=${params.lat}, lon=${params.lon}`, "invalidRequest", 400);
   }
-  return currentTime >= sunrise && currentTime <= sunset;
+  return { latitude, longitude };
 }
 
 /**
- * Converts a WMO weather code into a human-readable description.
+ * The local time now at the forecast's location, from the clock rather than the forecast, which
+ * may be from the previous hour's cache or an older, stale one.
+ *
+ * @function localNow
+ * @param {Object} forecast - The normalized forecast (see providers.mjs), for its timezone
+ * @returns {string} Local time ("YYYY-MM-DDTHH:MM")
+ */
+function localNow(forecast) {
+  return toLocalTime(Date.now(), forecast);
+}
+
+/**
+ * Converts a WMO weather code into a human-readable description. Descriptions are English:
+ * the clothing rules and APL backgrounds match on them, and they're translated for speech
+ * and display (see messages.mjs).
  * Reference: https://www.nodc.noaa.gov/archive/arc0021/0002199/1.1/data/0-data/HTML/WMO-CODE/WMO4677.HTM
  *
  * @function getWeatherDescription
@@ -291,40 +531,128 @@ function getWeatherDescription(code) {
 }
 
 /**
- * Computes an approximate effective temperature (°F) by applying a basic wind chill and humidity factor.
- * All values are already in Fahrenheit from the API.
+ * Computes the apparent ("feels like") temperature used for every recommendation.
+ * With the default "nws" model:
+ * - NWS wind chill at or below 50°F with at least 3 mph of wind
+ * - NWS heat index (Rothfusz regression) at or above 80°F
+ * - the air temperature in between
+ * plus, in daytime, a solar gain scaled by how clear the sky is (when cloud cover is known).
+ * With APPARENT_TEMP_MODEL=provider, the forecast provider's own apparent temperature
+ * (e.g. Open-Meteo's apparent_temperature) is used whenever it is available.
+ * An activity adds the wind from moving to the wind chill and the body heat from exertion
+ * on top, so a runner at 40°F gets the categories (and advice) of a warmer day.
+ *
+ * @function computeApparentTemp
+ * @param {Object} conditions - { temperature (°F), windSpeed (mph), humidity (%), cloudCover?, apparentTemperature? }
+ * @param {boolean} isDaytime - Whether the sun is up
+ * @param {Object} activity - What the user will be doing (see activity.mjs)
+ * @returns {{temperature: number, formula: string, solarAdjustment: number, activityAdjustment: number}} The apparent temperature in °F and how it was derived (activityAdjustment is the exertion warmth)
+ */
+function computeApparentTemp(conditions, isDaytime, activity) {
+  const { temperature, humidity, cloudCover, apparentTemperature } = conditions;
+  const model = THRESHOLDS.APPARENT_TEMP;
+  const windSpeed = conditions.windSpeed + activity.movementSpeed;
+
+  if (APPARENT_TEMP_MODEL === "provider" && apparentTemperature !== null && apparentTemperature !== undefined) {
+      return {
+          temperature: apparentTemperature + activity.exertionWarmth,
+          formula: "provider",
+          solarAdjustment: 0,
+          activityAdjustment: activity.exertionWarmth
+      };
+  }
+
+  let apparent = temperature;
+  let formula = "air temperature";
+  if (temperature <= model.WIND_CHILL_MAX_TEMP && windSpeed >= model.WIND_CHILL_MIN_WIND) {
+      apparent = windChill(temperature, windSpeed);
+      formula = "wind chill";
+  } else if (temperature >= model.HEAT_INDEX_MIN_TEMP) {
+      apparent = heatIndex(temperature, humidity);
+      formula = "heat index";
+  }
+
+  // Sunshine makes it feel warmer; scale the gain by the share of clear sky
+  let solarAdjustment = 0;
+  if (isDaytime && cloudCover !== null && cloudCover !== undefined) {
+      solarAdjustment = model.SOLAR_GAIN_MAX * (1 - Math.min(Math.max(cloudCover, 0), 100) / 100);
+  }
+
+  // Exertion warms you up; the wind from moving is already in the wind chill above
+  return {
+      temperature: apparent + solarAdjustment + activity.exertionWarmth,
+      formula,
+      solarAdjustment,
+      activityAdjustment: activity.exertionWarmth
+  };
+}
+
+/**
+ * Apparent temperature as a plain number, for callers that don't need the derivation.
  *
  * @function computeEffectiveTemp
- * @param {number} tempF - The raw temperature in Fahrenheit
- * @param {number} windMph - The windspeed in mph
- * @param {number} humidity - Relative humidity as a percentage
- * @returns {number} An adjusted "effective" temperature in °F
+ * @param {Object} conditions - See computeApparentTemp
+ * @param {boolean} isDaytime - Whether the sun is up
+ * @param {Object} activity - What the user will be doing (see activity.mjs)
+ * @returns {number} The apparent temperature in °F
  */
-function computeEffectiveTemp(tempF, windMph, humidity) {
-  let eff = tempF;
+function computeEffectiveTemp(conditions, isDaytime, activity) {
+  return computeApparentTemp(conditions, isDaytime, activity).temperature;
+}
 
-  // Wind chill approximations using constants
-  if (windMph >= THRESHOLDS.WIND_CHILL.LIGHT.threshold &&
-      windMph < THRESHOLDS.WIND_CHILL.MODERATE.threshold) {
-      eff -= THRESHOLDS.WIND_CHILL.LIGHT.adjustment;
-  } else if (windMph >= THRESHOLDS.WIND_CHILL.MODERATE.threshold &&
-             windMph < THRESHOLDS.WIND_CHILL.STRONG.threshold) {
-      eff -= THRESHOLDS.WIND_CHILL.MODERATE.adjustment;
-  } else if (windMph >= THRESHOLDS.WIND_CHILL.STRONG.threshold &&
-             windMph < THRESHOLDS.WIND_CHILL.SEVERE.threshold) {
-      eff -= THRESHOLDS.WIND_CHILL.STRONG.adjustment;
-  } else if (windMph >= THRESHOLDS.WIND_CHILL.SEVERE.threshold) {
-      eff -= THRESHOLDS.WIND_CHILL.SEVERE.adjustment;
+/**
+ * NWS wind chill formula (valid at or below 50°F and 3 mph or more).
+ *
+ * @function windChill
+ * @param {number} tempF - Air temperature in °F
+ * @param {number} windMph - Wind speed in mph
+ * @returns {number} Wind chill in °F
+ */
+function windChill(tempF, windMph) {
+  const v = Math.pow(windMph, 0.16);
+  return 35.74 + 0.6215 * tempF - 35.75 * v + 0.4275 * tempF * v;
+}
+
+/**
+ * NWS heat index: Steadman's simple formula, switching to the Rothfusz regression
+ * (with the NWS low- and high-humidity adjustments) when the simple result is 80°F or more.
+ *
+ * @function heatIndex
+ * @param {number} tempF - Air temperature in °F
+ * @param {number} humidity - Relative humidity as a percentage
+ * @returns {number} Heat index in °F
+ */
+function heatIndex(tempF, humidity) {
+  const simple = 0.5 * (tempF + 61 + (tempF - 68) * 1.2 + humidity * 0.094);
+  if ((simple + tempF) / 2 < 80) {
+      return simple;
   }
 
-  // Humidity: if hot + high humidity => feels hotter, if cold + very low humidity => feels colder
-  if (tempF > 70 && humidity > 70) {
-      eff += 8;
-  } else if (tempF < 50 && humidity < 30) {
-      eff -= 3;
+  const t = tempF;
+  const rh = humidity;
+  let hi = -42.379 + 2.04901523 * t + 10.14333127 * rh
+      - 0.22475541 * t * rh - 0.00683783 * t * t - 0.05481717 * rh * rh
+      + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+  if (rh < 13 && t >= 80 && t <= 112) {
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+  } else if (rh > 85 && t >= 80 && t <= 87) {
+      hi += ((rh - 85) / 10) * ((87 - t) / 5);
   }
+  return hi;
+}
 
-  return eff;
+/**
+ * Whether a forecast hour falls between that day's sunrise and sunset.
+ *
+ * @function isDaytimeAt
+ * @param {string} time - Local time of the hour ("YYYY-MM-DDTHH:MM")
+ * @param {Object} forecast - The normalized forecast (see providers.mjs)
+ * @returns {boolean} True in daytime (or when sunrise/sunset are unknown)
+ */
+function isDaytimeAt(time, forecast) {
+  const day = forecast.daily.find((d) => d.date === localDate(time)) || {};
+  return isBetween(time, day.sunrise, day.sunset);
 }
 
 /**
@@ -337,11 +665,13 @@ function computeEffectiveTemp(tempF, windMph, humidity) {
  * @function analyzeLaterToday
  * @param {number} startIndex - The hourly array index corresponding to the current time
  * @param {number} nowEff - The current effective temperature
- * @param {Object} weatherData - The entire weather JSON from Open-Meteo
+ * @param {Object} forecast - The normalized forecast (see providers.mjs)
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
  * @returns {string} A short string describing later changes, or an empty string if none
  */
-function analyzeLaterToday(startIndex, nowEff, weatherData) {
-  const hourlyTimes = weatherData.hourly.time || [];
+function analyzeLaterToday(startIndex, nowEff, forecast, profile, messages) {
+  const hourlyTimes = forecast.hourly.map((hour) => hour.time);
 
   // Log for debugging
   console.log(`analyzeLaterToday: startIndex=${startIndex}, hourlyTimes.length=${hourlyTimes.length}`);
@@ -351,34 +681,20 @@ function analyzeLaterToday(startIndex, nowEff, weatherData) {
     return "";
   }
 
-  const hourlyTemps = weatherData.hourly.temperature_2m || [];
-  const hourlyWinds = weatherData.hourly.windspeed_10m || [];
-  const hourlyHumids = weatherData.hourly.relativehumidity_2m || [];
-  const hourlyPrecips = weatherData.hourly.precipitation || [];
-  const hourlyCodes = weatherData.hourly.weathercode || [];
-
   // Category info for "now"
-  const currentCategory = getTempCategory(nowEff);
+  const currentCategory = getTempCategory(nowEff, profile.thresholds);
   const currentCatIndex = categoryIndex(currentCategory);
 
-  // Check if we have any future times in the same day
-  const nowDate = new Date(hourlyTimes[startIndex]);
-  let hasFutureHoursToday = false;
-
-  for (let i = startIndex + 1; i < hourlyTimes.length; i++) {
-    const t = new Date(hourlyTimes[i]);
-    if (t.getDate() === nowDate.getDate()) {
-      hasFutureHoursToday = true;
-      break;
-    }
-  }
+  // Check if we have any future times in the same (local) day
+  const today = localDate(hourlyTimes[startIndex]);
+  const hasFutureHoursToday = startIndex + 1 < hourlyTimes.length && localDate(hourlyTimes[startIndex + 1]) === today;
 
   if (!hasFutureHoursToday) {
-    console.log(`No future hours left in today. Current date: ${nowDate.toISOString()}`);
+    console.log(`No future hours left in today. Current date: ${today}`);
     return "";
   }
 
-  console.log(`Analyzing forecast for rest of ${nowDate.toDateString()}`);
+  console.log(`Analyzing forecast for rest of ${today}`);
   const statements = [];
 
   // Track conditions already notified to avoid repeating
@@ -390,25 +706,25 @@ function analyzeLaterToday(startIndex, nowEff, weatherData) {
 
   // Scan upcoming hours until midnight local time
   for (let i = startIndex + 1; i < hourlyTimes.length; i++) {
-    const t = new Date(hourlyTimes[i]);
     // Stop if we cross into the next day
-    if (t.getDate() !== nowDate.getDate()) {
-      console.log(`Breaking loop at index ${i}, date changed to ${t.toDateString()}`);
+    if (localDate(hourlyTimes[i]) !== today) {
+      console.log(`Breaking loop at index ${i}, date changed to ${localDate(hourlyTimes[i])}`);
       break;
     }
 
-    const rawTemp = hourlyTemps[i];
-    const wind = hourlyWinds[i];
-    const hum = hourlyHumids[i];
-    const prec = hourlyPrecips[i];
-    const code = hourlyCodes[i];
+    const {
+      temperature: rawTemp,
+      windSpeed: wind,
+      precipitation: prec,
+      weatherCode: code
+    } = forecast.hourly[i];
 
-    const eff = computeEffectiveTemp(rawTemp, wind, hum);
-    const cat = getTempCategory(eff);
+    const eff = computeEffectiveTemp(forecast.hourly[i], isDaytimeAt(hourlyTimes[i], forecast), profile.activity);
+    const cat = getTempCategory(eff, profile.thresholds);
     const catIdx = categoryIndex(cat);
 
     const hourLog = {
-      time: formatHour(t),
+      time: hourlyTimes[i].slice(11, 16),
       rawTemp,
       effectiveTemp: eff,
       category: cat,
@@ -421,26 +737,27 @@ function analyzeLaterToday(startIndex, nowEff, weatherData) {
     // 1) Big temp category swing (using THRESHOLDS.TEMP_CATEGORY_SWING)
     if (!notifiedConditions.tempSwing &&
         Math.abs(catIdx - currentCatIndex) >= THRESHOLDS.TEMP_CATEGORY_SWING) {
-      statements.push(`Around ${formatHour(t)}, it may feel ${cat}. ${shortAdviceForCategory(cat)}`);
+      const swing = messages.t("later.swing", { time: formatHour(hourlyTimes[i], messages), category: messages.category(cat) });
+      statements.push(`${swing} ${shortAdviceForCategory(cat, messages)}`);
       notifiedConditions.tempSwing = true;
-      console.log(`Temperature swing detected at ${formatHour(t)}: ${currentCategory} → ${cat}`);
+      console.log(`Temperature swing detected at ${hourlyTimes[i]}: ${currentCategory} → ${cat}`);
     }
 
     // 2) Precipitation (using THRESHOLDS.SIGNIFICANT_PRECIPITATION)
     if (!notifiedConditions.precipitation && prec > THRESHOLDS.SIGNIFICANT_PRECIPITATION) {
-      const futureDesc = getWeatherDescription(code).toLowerCase();
-      statements.push(`Expect ${futureDesc} near ${formatHour(t)}, so bring rain gear.`);
+      const futureDesc = messages.weather(getWeatherDescription(code), true);
+      statements.push(messages.t("later.precipitation", { conditions: futureDesc, time: formatHour(hourlyTimes[i], messages) }));
       notifiedConditions.precipitation = true;
-      console.log(`Precipitation event detected at ${formatHour(t)}: ${prec} inches`);
+      console.log(`Precipitation event detected at ${hourlyTimes[i]}: ${prec} inches`);
     }
 
     // 3) High wind (using THRESHOLDS.HIGH_WIND_SPEED and THRESHOLDS.WIND_FORECAST_HOURS)
     if (!notifiedConditions.wind &&
         wind > THRESHOLDS.HIGH_WIND_SPEED &&
         i <= startIndex + THRESHOLDS.WIND_FORECAST_HOURS) {
-      statements.push(`Strong winds expected around ${formatHour(t)}, consider wind protection.`);
+      statements.push(messages.warning(messages.t("later.wind", { time: formatHour(hourlyTimes[i], messages) })));
       notifiedConditions.wind = true;
-      console.log(`High wind detected at ${formatHour(t)}: ${wind} mph`);
+      console.log(`High wind detected at ${hourlyTimes[i]}: ${wind} mph`);
     }
   }
 
@@ -455,7 +772,7 @@ function analyzeLaterToday(startIndex, nowEff, weatherData) {
     statements.splice(THRESHOLDS.MAX_LATER_STATEMENTS);
   }
 
-  const result = `Later today, watch for changes. ${statements.join(" ")}`;
+  const result = `${messages.t("later.intro")} ${statements.join(" ")}`;
   console.log(`Final laterSummary: "${result}"`);
   return result;
 }
@@ -465,45 +782,45 @@ function analyzeLaterToday(startIndex, nowEff, weatherData) {
  *
  * @function getLaterAnalysisDetails
  * @param {number} startIndex - The hourly array index corresponding to the current time
- * @param {Object} weatherData - The entire weather JSON from Open-Meteo
+ * @param {Object} forecast - The normalized forecast (see providers.mjs)
  * @param {number} nowEff - The current effective temperature
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
  * @returns {Array} Array of objects with hourly analysis details
  */
-function getLaterAnalysisDetails(startIndex, weatherData, nowEff) {
-  const hourlyTimes = weatherData.hourly.time || [];
+function getLaterAnalysisDetails(startIndex, forecast, nowEff, profile, messages) {
+  const hourlyTimes = forecast.hourly.map((hour) => hour.time);
   if (!hourlyTimes.length || startIndex < 0) return [];
 
-  const hourlyTemps = weatherData.hourly.temperature_2m || [];
-  const hourlyWinds = weatherData.hourly.windspeed_10m || [];
-  const hourlyHumids = weatherData.hourly.relativehumidity_2m || [];
-  const hourlyPrecips = weatherData.hourly.precipitation || [];
-  const hourlyCodes = weatherData.hourly.weathercode || [];
-
-  const currentCategory = getTempCategory(nowEff);
+  const currentCategory = getTempCategory(nowEff, profile.thresholds);
   const currentCatIndex = categoryIndex(currentCategory);
-  const nowDate = new Date(hourlyTimes[startIndex]);
+  const today = localDate(hourlyTimes[startIndex]);
 
   // Build detailed analysis for each hour
   const hourlyAnalysis = [];
 
   for (let i = startIndex + 1; i < hourlyTimes.length; i++) {
-      const t = new Date(hourlyTimes[i]);
-      if (t.getDate() !== nowDate.getDate()) break;
-
-      const rawTemp = hourlyTemps[i];
-      const wind = hourlyWinds[i];
-      const hum = hourlyHumids[i];
-      const prec = hourlyPrecips[i];
-      const code = hourlyCodes[i];
-      const eff = computeEffectiveTemp(rawTemp, wind, hum);
-      const cat = getTempCategory(eff);
+      if (localDate(hourlyTimes[i]) !== today) break;
+
+      const {
+          temperature: rawTemp,
+          windSpeed: wind,
+          humidity: hum,
+          precipitation: prec,
+          weatherCode: code
+      } = forecast.hourly[i];
+      const apparent = computeApparentTemp(forecast.hourly[i], isDaytimeAt(hourlyTimes[i], forecast), profile.activity);
+      const eff = apparent.temperature;
+      const cat = getTempCategory(eff, profile.thresholds);
       const catIdx = categoryIndex(cat);
 
       hourlyAnalysis.push({
           time: hourlyTimes[i],
-          formattedTime: formatHour(t),
+          utcTime: describeLocalTime(hourlyTimes[i], forecast).utc,
+          formattedTime: formatHour(hourlyTimes[i], messages),
           rawTemp,
           effectiveTemp: eff,
+          apparentTempFormula: apparent.formula,
           category: cat,
           categoryIndex: catIdx,
           categoryDifference: Math.abs(catIdx - currentCatIndex),
@@ -523,22 +840,1251 @@ function getLaterAnalysisDetails(startIndex, weatherData, nowEff) {
   return hourlyAnalysis;
 }
 
+/**
+ * The hours after now, for the hourly timeline on Echo Show: how each will feel, whether
+ * it's wet or windy, one short sentence of advice to speak for an hour picked on the
+ * timeline, and the card to show for it (its own background, clothing cards and outfit
+ * zones). The rest of the response is about now, so the hours leave out everything else.
+ *
+ * @function buildHourlyTimeline
+ * @param {number} startIndex - The hourly array index corresponding to the current time
+ * @param {Object} forecast - The normalized forecast (see providers.mjs)
+ * @param {Object} units - Unit system for speech and display (see units.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Object} alertReport - Weather alerts for the location (see loadAlerts)
+ * @param {Object} airReport - Air quality for the location (see loadAirQuality)
+ * @returns {Array<Object>} Up to HOURLY_TIMELINE_HOURS hours, in the user's units
+ */
+function buildHourlyTimeline(startIndex, forecast, units, messages, profile, alertReport, airReport) {
+  if (startIndex < 0) {
+    return [];
+  }
+  return forecast.hourly.slice(startIndex + 1, startIndex + 1 + HOURLY_TIMELINE_HOURS).map((hour) => {
+    const isDaytime = isDaytimeAt(hour.time, forecast);
+    const effectiveTemp = computeEffectiveTemp(hour, isDaytime, profile.activity);
+    const weatherDescription = getWeatherDescription(hour.weatherCode);
+    const daily = forecast.daily.find((day) => day.date === localDate(hour.time)) || {};
+    const uvIndex = daily.uvIndexMax ?? 3; // fallback, as for "now"
+    const category = getTempCategory(effectiveTemp, profile.thresholds);
+    const startMs = localTimeToMs(hour.time, forecast);
+    const hazards = {
+      alerts: alertsDuring(alertReport.alerts, startMs, startMs + 3600000),
+      airQuality: airQualityDuring(airReport, [hour.time])
+    };
+    const layers = pickLayers(effectiveTemp, hour.precipitation, hour.windSpeed, hour.humidity, uvIndex, weatherDescription,
+        isDaytime, profile, messages, hazards);
+    const { background, alert, airQuality, timeOfDay, weatherCondition, clothingRecommendations, layerSummary, outfitZones } =
+        generateAPLData(weatherDescription, effectiveTemp, hour.precipitation, hour.windSpeed, hour.humidity, uvIndex,
+            isDaytime, units, messages, profile, hazards);
+
+    return {
+      time: hour.time,
+      label: messages.clock(hour.time.slice(11, 16)),
+      temperature: displayTemperature(hour.temperature, units),
+      effectiveTemp: displayTemperature(effectiveTemp, units),
+      category,
+      // What the timeline flags with icons
+      wet: hour.precipitation > THRESHOLDS.MINIMAL_PRECIPITATION,
+      windy: hour.windSpeed > THRESHOLDS.HIGH_WIND_SPEED,
+      weatherDescription,
+      advice: messages.t("hourly.at", {
+        time: formatHour(hour.time, messages),
+        temperature: speakTemperature(hour.temperature, units, messages),
+        category: messages.category(category),
+        layers: layers.summary
+      }),
+      apl: { background, alert, airQuality, timeOfDay, weatherCondition, clothingRecommendations, layerSummary, outfitZones }
+    };
+  });
+}
+
+/**
+ * Builds the response for multi-day mode: a recommendation per day and part of day
+ * (morning/afternoon/evening) for the requested dates.
+ *
+ * @function buildMultiDayResponse
+ * @param {string} dateParam - Requested day or range, in AMAZON.DATE format (e.g. "2024-05-04", "2024-W18-WE")
+ * @param {string|undefined} endDateParam - Optional last day of an explicit range ("YYYY-MM-DD")
+ * @param {Object} forecast - The normalized forecast (see providers.mjs)
+ * @param {string} locationName - Name of the geocoded location
+ * @param {Object} units - Unit system for speech and display (see units.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Object} alertReport - Weather alerts for the location (see loadAlerts)
+ * @param {Object} airReport - Air quality for the location (see loadAirQuality)
+ * @param {Object} lookupDiagnostics - Where each lookup came from and how the upstream calls went (see respond)
+ * @returns {Object} Lambda response with statusCode and JSON body
+ */
+function buildMultiDayResponse(dateParam, endDateParam, forecast, locationName, units, messages, profile, alertReport, airReport, lookupDiagnostics) {
+  const availableDates = forecast.daily.map((day) => day.date);
+  const dates = resolveRequestedDates(dateParam, endDateParam, availableDates);
+
+  if (!dates.length) {
+    return unforecastDatesResponse(dateParam, endDateParam, availableDates, messages);
+  }
+
+  // A date without daytime hours (e.g. past the end of the hourly forecast) gives no day
+  const days = dates.map((date) => buildDayForecast(date, forecast, profile, messages, alertReport.alerts, airReport)).filter(Boolean);
+  if (!days.length) {
+    return unforecastDatesResponse(dateParam, endDateParam, availableDates, messages);
+  }
+  const dayAlerts = alertReport.alerts.filter((alert) => days.some((day) => day.alerts.includes(alert)));
+  const speech = composeSpeech(withNotices(
+      days.length === 1
+          ? [describeSingleDay(days[0], units, messages)]
+          : days.map((day) => describeDayBriefly(day, messages)),
+      dayAlerts,
+      alertReport,
+      forecast,
+      messages
+  ), messages.marks);
+
+  // The APL card shows the first requested day, dressed for its coldest part
+  const firstDay = days[0];
+  const coldest = firstDay.periods.reduce((min, p) => (p.effectiveTemp < min.effectiveTemp ? p : min));
+  const visualData = generateAPLData(
+      firstDay.weatherDescription,
+      coldest.effectiveTemp,
+      firstDay.precipitation,
+      firstDay.maxWindSpeed,
+      coldest.humidity,
+      firstDay.uvIndexMax,
+      true,
+      units,
+      messages,
+      profile,
+      { alerts: firstDay.alerts, airQuality: firstDay.airQuality }
+  );
+
+  return {
+      statusCode: 200,
+      body: JSON.stringify({
+          version: CONTRACT_VERSION,
+          response: speech.text,
+          ssml: speech.ssml,
+          mode: "forecast",
+          temperature: displayTemperature(firstDay.highTemp, units),
+          units: units.name,
+          temperatureUnit: units.temperatureSymbol,
+          locale: messages.locale,
+          weatherDescription: firstDay.weatherDescription,
+          recommendation: firstDay.recommendation,
+          layers: firstDay.layers,
+          laterChanges: "",
+          locationName,
+          alerts: dayAlerts,
+          airQuality: firstDay.airQuality,
+          days: days.map((day) => presentDay(day, units)),
+          apl: visualData,
+          diagnostics: {
+              provider: forecast.provider,
+              alerts: { provider: alertReport.provider, status: alertReport.status },
+              airQuality: { status: airReport.status },
+              ...lookupDiagnostics,
+              canonicalUnits: "imperial",
+              requestedDate: dateParam,
+              requestedEndDate: endDateParam || null,
+              resolvedDates: days.map((day) => day.date),
+              availableDates
+          }
+      })
+  };
+}
+
+/**
+ * Builds the response for packing mode: the days of a trip added up into a packing list (see
+ * packing.mjs) - how many days of each kind, rain, UV, the coldest night, and how many of
+ * each item to pack. Each day is worked out as in multi-day mode, so its alerts and advice
+ * are in `days` too.
+ *
+ * @function buildPackingResponse
+ * @param {string} dateParam - The trip's first day or period, in AMAZON.DATE format
+ * @param {string|undefined} endDateParam - Optional last day of the trip ("YYYY-MM-DD")
+ * @param {Object} forecast - The normalized forecast (see providers.mjs)
+ * @param {string} locationName - Name of the geocoded location
+ * @param {Object} units - Unit system for speech and display (see units.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Object} alertReport - Weather alerts for the location (see loadAlerts)
+ * @param {Object} airReport - Air quality for the location (see loadAirQuality)
+ * @param {Object} lookupDiagnostics - Where each lookup came from and how the upstream calls went (see respond)
+ * @returns {Object} Lambda response with statusCode and JSON body
+ */
+function buildPackingResponse(dateParam, endDateParam, forecast, locationName, units, messages, profile, alertReport, airReport, lookupDiagnostics) {
+  const availableDates = forecast.daily.map((day) => day.date);
+  const dates = resolveRequestedDates(dateParam, endDateParam, availableDates);
+  const days = dates.map((date) => buildDayForecast(date, forecast, profile, messages, alertReport.alerts, airReport)).filter(Boolean);
+
+  if (!days.length) {
+    return unforecastDatesResponse(dateParam, endDateParam, availableDates, messages);
+  }
+
+  const needs = {
+    minimalPrecip: THRESHOLDS.MINIMAL_PRECIPITATION,
+    uvModerate: THRESHOLDS.UV.MODERATE,
+    uvHigh: THRESHOLDS.UV.HIGH
+  };
+  const list = buildPackingList(days, needs, messages);
+  const [tripSentence, packSentence] = describePackingList(list, locationName, units, needs, messages);
+  const dayAlerts = alertReport.alerts.filter((alert) => days.some((day) => day.alerts.includes(alert)));
+  const speech = composeSpeech(withNotices(
+      [tripSentence, packSentence],
+      dayAlerts,
+      alertReport,
+      forecast,
+      messages
+  ), messages.marks);
+
+  // The APL card shows the list, over the weather of the trip's coldest part of a day
+  const coldestDay = days.reduce((min, day) =>
+      (Math.min(...day.periods.map((p) => p.effectiveTemp)) < Math.min(...min.periods.map((p) => p.effectiveTemp)) ? day : min));
+  const coldest = coldestDay.periods.reduce((min, p) => (p.effectiveTemp < min.effectiveTemp ? p : min));
+  const visualData = generateAPLData(
+      coldestDay.weatherDescription,
+      coldest.effectiveTemp,
+      coldestDay.precipitation,
+      coldestDay.maxWindSpeed,
+      coldest.humidity,
+      coldestDay.uvIndexMax,
+      true,
+      units,
+      messages,
+      profile,
+      { alerts: dayAlerts, airQuality: coldestDay.airQuality }
+  );
+
+  return {
+      statusCode: 200,
+      body: JSON.stringify({
+          version: CONTRACT_VERSION,
+          response: speech.text,
+          ssml: speech.ssml,
+          mode: "packing",
+          temperature: displayTemperature(Math.max(...days.map((day) => day.highTemp)), units),
+          units: units.name,
+          temperatureUnit: units.temperatureSymbol,
+          locale: messages.locale,
+          weatherDescription: coldestDay.weatherDescription,
+          activity: profile.activity.name,
+          recommendation: packSentence,
+          layers: coldestDay.layers,
+          locationName,
+          alerts: dayAlerts,
+          days: days.map((day) => presentDay(day, units)),
+          packing: {
+              ...list,
+              coldestNight: { ...list.coldestNight, temperature: displayTemperature(list.coldestNight.temperature, units) }
+          },
+          apl: {
+              ...visualData,
+              clothingRecommendations: list.items.map((entry) => ({ item: entry.text, emoji: entry.emoji }))
+          },
+          diagnostics: {
+              provider: forecast.provider,
+              alerts: { provider: alertReport.provider, status: alertReport.status },
+              airQuality: { status: airReport.status },
+              ...lookupDiagnostics,
+              canonicalUnits: "imperial",
+              requestedDate: dateParam,
+              requestedEndDate: endDateParam || null,
+              resolvedDates: days.map((day) => day.date),
+              availableDates
+          }
+      })
+  };
+}
+
+/**
+ * Turns an AMAZON.DATE value (plus an optional explicit end date) into the list of
+ * forecast dates it covers. Dates outside the forecast horizon are dropped.
+ *
+ * @function resolveRequestedDates
+ * @param {string} dateParam - The requested day or period (see parseRequestedDates)
+ * @param {string|undefined} endDateParam - Optional last day of the range ("YYYY-MM-DD")
+ * @param {Array<string>} availableDates - Dates the forecast covers, in order
+ * @returns {Array<string>} Requested dates ("YYYY-MM-DD") that the forecast covers
+ */
+function resolveRequestedDates(dateParam, endDateParam, availableDates) {
+  const range = parseRequestedDates(dateParam, endDateParam, availableDates);
+  if (!range) {
+    return [];
+  }
+
+  // ISO dates compare correctly as strings
+  return availableDates
+      .filter((date) => date >= range.start && date <= range.end)
+      .slice(0, MAX_FORECAST_DAYS);
+}
+
+/**
+ * Reads an AMAZON.DATE value (plus an optional explicit end date) as a range of days.
+ * Supports single days ("2024-05-04"), weekends ("2024-W18-WE"), weeks ("2024-W18") and
+ * "PRESENT_REF"; months, seasons, decades and the like aren't supported.
+ *
+ * @function parseRequestedDates
+ * @param {string} dateParam - The requested day or period
+ * @param {string|undefined} endDateParam - Optional last day of the range ("YYYY-MM-DD")
+ * @param {Array<string>} availableDates - Dates the forecast covers, in order
+ * @returns {{start: string, end: string}|null} First and last day ("YYYY-MM-DD"), or null
+ *   for an unsupported value
+ */
+function parseRequestedDates(dateParam, endDateParam, availableDates) {
+  let start = null;
+  let end = null;
+
+  const weekMatch = /^(\d{4})-W(\d{1,2})(-WE)?$/.exec(dateParam);
+  if (dateParam === "PRESENT_REF") {
+    start = end = availableDates[0];
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(dateParam)) {
+    start = end = dateParam;
+  } else if (weekMatch) {
+    const monday = isoWeekMonday(Number(weekMatch[1]), Number(weekMatch[2]));
+    const isWeekend = Boolean(weekMatch[3]);
+    start = addDays(monday, isWeekend ? 5 : 0);
+    end = addDays(monday, 6);
+  } else {
+    console.log(`Unsupported date value: ${dateParam}`);
+    return null;
+  }
+
+  if (endDateParam && /^\d{4}-\d{2}-\d{2}$/.test(endDateParam) && endDateParam > start) {
+    end = endDateParam;
+  }
+  return { start, end };
+}
+
+/**
+ * The error response for requested days the forecast doesn't cover: a value that can't be
+ * read as days (invalidRequest), days that have passed, or days past the forecast horizon
+ * (both outOfRange).
+ *
+ * @function unforecastDatesResponse
+ * @param {string} dateParam - The requested day or period (see parseRequestedDates)
+ * @param {string|undefined} endDateParam - Optional last day of the range ("YYYY-MM-DD")
+ * @param {Array<string>} availableDates - Dates the forecast covers, in order
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {Object} Lambda response with statusCode and JSON body
+ */
+function unforecastDatesResponse(dateParam, endDateParam, availableDates, messages) {
+  const range = parseRequestedDates(dateParam, endDateParam, availableDates);
+  if (!range) {
+    return errorResponse(400, { code: "invalidRequest" }, messages.t("forecast.unknownDate"), messages);
+  }
+  if (range.end < availableDates[0]) {
+    return errorResponse(400, { code: "outOfRange" }, messages.t("forecast.past"), messages);
+  }
+  return errorResponse(400, { code: "outOfRange" }, messages.t("forecast.tooFarAhead", { days: MAX_FORECAST_DAYS }), messages);
+}
+
+/**
+ * Returns the Monday of an ISO 8601 week.
+ *
+ * @function isoWeekMonday
+ * @param {number} year - ISO week-numbering year
+ * @param {number} week - ISO week number (1-53)
+ * @returns {string} The Monday's date ("YYYY-MM-DD")
+ */
+function isoWeekMonday(year, week) {
+  // January 4th is always in week 1
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const jan4Weekday = jan4.getUTCDay() || 7;
+  const monday = new Date(jan4.getTime() + ((week - 1) * 7 - (jan4Weekday - 1)) * 86400000);
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Adds whole days to a date string.
+ *
+ * @function addDays
+ * @param {string} date - Date as "YYYY-MM-DD"
+ * @param {number} days - Days to add
+ * @returns {string} The resulting date ("YYYY-MM-DD")
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Summarizes one forecast day: a recommendation per part of the day plus day-level totals.
+ *
+ * @function buildDayForecast
+ * @param {string} date - The date to summarize ("YYYY-MM-DD")
+ * @param {Object} forecast - The normalized forecast (see providers.mjs)
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Array<Object>} [alerts] - Weather alerts for the location (see alerts.mjs)
+ * @param {Object} [airReport] - Air quality for the location (see loadAirQuality)
+ * @returns {Object|null} The day summary, or null if the forecast has no hours for it
+ */
+function buildDayForecast(date, forecast, profile, messages, alerts = [], airReport = null) {
+  const hours = forecast.hourly.filter((hour) => hour.time.startsWith(date));
+  const daily = forecast.daily.find((day) => day.date === date) || {};
+  const uvIndexMax = daily.uvIndexMax ?? 3; // fallback, as for "now"
+  const dayAlerts = alertsDuring(alerts,
+      localTimeToMs(`${date}T00:00`, forecast),
+      localTimeToMs(`${addDays(date, 1)}T00:00`, forecast));
+  const dayAirQuality = airQualityDuring(airReport, hours.map((hour) => hour.time));
+
+  // Each alert's advice is given once, in the first part of the day it affects, and air
+  // quality advice again only when the air changes
+  const advisedAlerts = new Set();
+  let advisedAir = null;
+  const periods = DAY_PERIODS.map((period) => {
+    const periodHours = hours.filter((hour) => {
+      const h = Number(hour.time.slice(11, 13));
+      return h >= period.startHour && h < period.endHour;
+    });
+    if (!periodHours.length) {
+      return null;
+    }
+    const periodAlerts = alertsDuring(dayAlerts,
+        localTimeToMs(periodHours[0].time, forecast),
+        localTimeToMs(periodHours[periodHours.length - 1].time, forecast) + 3600000)
+        .filter((alert) => !advisedAlerts.has(alert.event));
+    periodAlerts.forEach((alert) => advisedAlerts.add(alert.event));
+
+    let periodAir = airQualityDuring(airReport, periodHours.map((hour) => hour.time));
+    const airKey = periodAir && JSON.stringify([periodAir.category, Object.values(periodAir.pollen).map((p) => p.level)]);
+    if (airKey === advisedAir) {
+      periodAir = null;
+    } else {
+      advisedAir = airKey;
+    }
+    return summarizePeriod(period.name, periodHours, uvIndexMax, daily, profile, messages, { alerts: periodAlerts, airQuality: periodAir });
+  }).filter(Boolean);
+
+  if (!periods.length) {
+    return null;
+  }
+
+  const worstCode = Math.max(...periods.map((p) => p.weatherCode));
+  const precipitation = periods.reduce((sum, p) => sum + p.precipitation, 0);
+  const coldest = periods.reduce((min, p) => (p.effectiveTemp < min.effectiveTemp ? p : min));
+
+  const recommendation = summarizeConditions(coldest.category, {
+    precipitation,
+    ...hazardFacts({ alerts: dayAlerts, airQuality: dayAirQuality })
+  }, messages);
+
+  return {
+    date,
+    label: dayLabel(date, localDate(localNow(forecast)), messages),
+    highTemp: Math.max(...hours.map((hour) => hour.temperature)),
+    lowTemp: Math.min(...hours.map((hour) => hour.temperature)),
+    weatherCode: worstCode,
+    weatherDescription: getWeatherDescription(worstCode),
+    precipitation,
+    maxWindSpeed: Math.max(...periods.map((p) => p.windSpeed)),
+    uvIndexMax,
+    recommendation,
+    // Dressed for the coldest part of the day, with all of the day's rain and its strongest wind
+    layers: pickLayers(coldest.effectiveTemp, precipitation, Math.max(...periods.map((p) => p.windSpeed)), coldest.humidity,
+        uvIndexMax, getWeatherDescription(worstCode), coldest.isDaytime, profile, messages, { alerts: dayAlerts, airQuality: dayAirQuality }),
+    alerts: dayAlerts,
+    airQuality: dayAirQuality,
+    periods
+  };
+}
+
+/**
+ * Summarizes the hours of one part of a day (averages for temperature and humidity,
+ * totals for precipitation, maximum wind and the most severe weather code).
+ *
+ * @function summarizePeriod
+ * @param {string} name - Part of the day ("morning", "afternoon", "evening")
+ * @param {Array<Object>} hours - Normalized hourly entries within the period
+ * @param {number} uvIndexMax - The day's max UV index
+ * @param {Object} daily - The day's normalized daily entry (sunrise/sunset)
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Hazards} [hazards] - Alerts and air quality to advise on
+ * @returns {Object} The period summary
+ */
+function summarizePeriod(name, hours, uvIndexMax, daily, profile, messages, hazards = NO_HAZARDS) {
+  const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  const temperature = average(hours.map((hour) => hour.temperature));
+  const humidity = average(hours.map((hour) => hour.humidity));
+  const windSpeed = Math.max(...hours.map((hour) => hour.windSpeed));
+  const precipitation = hours.reduce((sum, hour) => sum + hour.precipitation, 0);
+  const weatherCode = Math.max(...hours.map((hour) => hour.weatherCode));
+
+  const effectiveTemp = average(hours.map((hour) =>
+      computeEffectiveTemp(hour, isBetween(hour.time, daily.sunrise, daily.sunset), profile.activity)));
+
+  const middle = hours[Math.floor(hours.length / 2)].time;
+  const isDaytime = isBetween(middle, daily.sunrise, daily.sunset);
+  const weatherDescription = getWeatherDescription(weatherCode);
+
+  return {
+    name,
+    temperature,
+    effectiveTemp,
+    category: getTempCategory(effectiveTemp, profile.thresholds),
+    humidity,
+    windSpeed,
+    precipitation,
+    weatherCode,
+    weatherDescription,
+    isDaytime,
+    layers: pickLayers(effectiveTemp, precipitation, windSpeed, humidity, uvIndexMax, weatherDescription, isDaytime, profile, messages, hazards),
+    recommendation: getClothingAdvice(effectiveTemp, precipitation, windSpeed, humidity, uvIndexMax, weatherDescription, isDaytime, profile, messages, hazards)
+  };
+}
+
+/**
+ * Converts a day summary from buildDayForecast (canonical units) into the user's units
+ * for the JSON response.
+ *
+ * @function presentDay
+ * @param {Object} day - Day summary from buildDayForecast
+ * @param {Object} units - Unit system (see units.mjs)
+ * @returns {Object} The day summary in the user's units
+ */
+function presentDay(day, units) {
+  return {
+    ...day,
+    highTemp: displayTemperature(day.highTemp, units),
+    lowTemp: displayTemperature(day.lowTemp, units),
+    precipitation: roundTo(convertPrecipitation(day.precipitation, units), 2),
+    maxWindSpeed: roundTo(convertWindSpeed(day.maxWindSpeed, units), 1),
+    alerts: day.alerts.map((alert) => alert.event),
+    periods: day.periods.map((period) => ({
+      ...period,
+      temperature: displayTemperature(period.temperature, units),
+      effectiveTemp: displayTemperature(period.effectiveTemp, units),
+      humidity: Math.round(period.humidity),
+      windSpeed: roundTo(convertWindSpeed(period.windSpeed, units), 1),
+      precipitation: roundTo(convertPrecipitation(period.precipitation, units), 2)
+    }))
+  };
+}
+
+/**
+ * Rounds a number to a fixed number of decimals.
+ *
+ * @function roundTo
+ * @param {number} value - The value
+ * @param {number} decimals - Decimal places to keep
+ * @returns {number} The rounded value
+ */
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Names a forecast day relative to today ("today", "tomorrow", or the weekday), in the
+ * user's language.
+ *
+ * @function dayLabel
+ * @param {string} date - The date ("YYYY-MM-DD")
+ * @param {string|undefined} today - Today's date at the location ("YYYY-MM-DD")
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The spoken label
+ */
+function dayLabel(date, today, messages) {
+  if (date === today) return messages.t("days.today");
+  if (today && date === addDays(today, 1)) return messages.t("days.tomorrow");
+  return messages.weekday(date);
+}
+
+/**
+ * Speaks a single day in detail, part of day by part of day.
+ *
+ * @function describeSingleDay
+ * @param {Object} day - Day summary from buildDayForecast
+ * @param {Object} units - Unit system for spoken temperatures (see units.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The spoken response
+ */
+function describeSingleDay(day, units, messages) {
+  const parts = day.periods.map((p) => {
+    const period = messages.t("forecast.period", {
+      period: capitalize(messages.t(`periods.${p.name}`)),
+      temperature: speakTemperature(p.temperature, units, messages),
+      category: messages.category(p.category),
+      layers: p.layers.summary
+    });
+    return `${period} ${p.recommendation}`;
+  });
+  const overview = messages.t("forecast.day", {
+    day: capitalize(day.label),
+    conditions: messages.weather(day.weatherDescription, true),
+    temperature: speakTemperature(day.highTemp, units, messages)
+  });
+  return `${overview} ${parts.join(" ")}`;
+}
+
+/**
+ * Speaks a day in one or two sentences, for ranges of several days.
+ *
+ * @function describeDayBriefly
+ * @param {Object} day - Day summary from buildDayForecast
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The spoken summary
+ */
+function describeDayBriefly(day, messages) {
+  const feel = day.periods.map((p) =>
+      messages.t("forecast.briefPeriod", { category: messages.category(p.category), period: messages.t(`periods.${p.name}`) }));
+  return `${messages.t("forecast.brief", { day: capitalize(day.label), feel: feel.join(", ") })} ${day.recommendation}`;
+}
+
+/**
+ * Uppercases the first letter of a string.
+ *
+ * @function capitalize
+ * @param {string} text - The text
+ * @returns {string} The text with its first letter capitalized
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Builds the response for commute mode: conditions for each time window (e.g. leaving at 8
+ * and coming back at 6), one outfit that covers all of them, and a note about what to
+ * carry for the later trips. Windows are evaluated on the requested date, or else today -
+ * or tomorrow, once the first window has already passed today.
+ *
+ * @function buildCommuteResponse
+ * @param {string} windowsParam - Comma-separated local time windows ("08:00-08:45,18:00")
+ * @param {string|undefined} dateParam - Optional day in AMAZON.DATE format
+ * @param {Object} forecast - The normalized forecast (see providers.mjs)
+ * @param {string} locationName - Name of the geocoded location
+ * @param {Object} units - Unit system for speech and display (see units.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Object} alertReport - Weather alerts for the location (see loadAlerts)
+ * @param {Object} airReport - Air quality for the location (see loadAirQuality)
+ * @param {Object} lookupDiagnostics - Where each lookup came from and how the upstream calls went (see respond)
+ * @returns {Object} Lambda response with statusCode and JSON body
+ */
+function buildCommuteResponse(windowsParam, dateParam, forecast, locationName, units, messages, profile, alertReport, airReport, lookupDiagnostics) {
+  const windows = parseCommuteWindows(windowsParam);
+  if (!windows) {
+    return errorResponse(400, { code: "invalidRequest" }, messages.t("commute.invalidTimes"), messages);
+  }
+
+  // Commute mode assumes the user is commuting unless they said otherwise
+  const commuteProfile = profile.activity.name === DEFAULT_ACTIVITY
+      ? { ...profile, activity: resolveActivity("commuting") }
+      : profile;
+
+  const date = resolveCommuteDate(windows, dateParam, forecast);
+  const today = localDate(localNow(forecast));
+  const dressed = date && dressForWindows(windows, date, forecast, commuteProfile, messages, alertReport, airReport);
+
+  if (!dressed) {
+    return unforecastDatesResponse(dateParam || date, undefined, forecast.daily.map((day) => day.date), messages);
+  }
+  const { periods, coldest, combined, hazards } = dressed;
+  const commuteAlerts = hazards.alerts;
+
+  const recommendation = getClothingRecommendation(
+      combined.effectiveTemp,
+      combined.precipitation,
+      combined.windSpeed,
+      combined.humidity,
+      combined.uvIndex,
+      combined.weatherDescription,
+      combined.isDaytime,
+      commuteProfile,
+      messages,
+      hazards
+  );
+  const returnNote = describeReturnTrips(periods, today, messages);
+
+  const trips = periods.map((p) => messages.t(p.isDaytime ? "commute.trip" : "commute.tripDark", {
+    trip: messages.t(`commute.trips.${p.trip}`),
+    time: formatTripTime(p, today, messages),
+    temperature: speakTemperature(p.temperature, units, messages),
+    conditions: messages.weather(p.weatherDescription, true)
+  }));
+  const intro = messages.t("commute.intro", { day: dayLabel(date, today, messages), trips: trips.join("; ") });
+  const speech = composeSpeech(withNotices(
+      [`${intro} ${recommendation}`, returnNote],
+      commuteAlerts,
+      alertReport,
+      forecast,
+      messages
+  ), messages.marks);
+
+  const visualData = generateAPLData(
+      combined.weatherDescription,
+      combined.effectiveTemp,
+      combined.precipitation,
+      combined.windSpeed,
+      combined.humidity,
+      combined.uvIndex,
+      combined.isDaytime,
+      units,
+      messages,
+      commuteProfile,
+      hazards
+  );
+
+  return {
+      statusCode: 200,
+      body: JSON.stringify({
+          version: CONTRACT_VERSION,
+          response: speech.text,
+          ssml: speech.ssml,
+          mode: "commute",
+          date,
+          temperature: displayTemperature(coldest.temperature, units),
+          units: units.name,
+          temperatureUnit: units.temperatureSymbol,
+          locale: messages.locale,
+          weatherDescription: combined.weatherDescription,
+          activity: commuteProfile.activity.name,
+          recommendation,
+          layers: pickLayers(combined.effectiveTemp, combined.precipitation, combined.windSpeed, combined.humidity,
+              combined.uvIndex, combined.weatherDescription, combined.isDaytime, commuteProfile, messages, hazards),
+          returnNote,
+          laterChanges: "",
+          locationName,
+          alerts: commuteAlerts,
+          airQuality: hazards.airQuality,
+          windows: periods.map((p) => ({
+            date: p.date,
+            start: p.start,
+            end: p.end,
+            temperature: displayTemperature(p.temperature, units),
+            effectiveTemp: displayTemperature(p.effectiveTemp, units),
+            category: p.category,
+            weatherDescription: p.weatherDescription,
+            precipitation: roundTo(convertPrecipitation(p.precipitation, units), 2),
+            windSpeed: roundTo(convertWindSpeed(p.windSpeed, units), 1),
+            dark: !p.isDaytime
+          })),
+          apl: visualData,
+          diagnostics: {
+              provider: forecast.provider,
+              alerts: { provider: alertReport.provider, status: alertReport.status },
+              airQuality: { status: airReport.status },
+              ...lookupDiagnostics,
+              canonicalUnits: "imperial",
+              requestedWindows: windowsParam,
+              requestedDate: dateParam || null,
+              resolvedDate: date,
+              combined
+          }
+      })
+  };
+}
+
+/**
+ * Builds the response for household mode: a recommendation for each family member, dressed
+ * for their own age group, comfort and activity. Members with a schedule (commute windows,
+ * e.g. the bus stop at 7:30) are dressed for those times, the rest for right now.
+ *
+ * @function buildHouseholdResponse
+ * @param {Array<Object>} members - The members' profiles (see parseHousehold)
+ * @param {Object} now - Current conditions: { temperature, windSpeed, humidity, precipitation,
+ *   cloudCover, apparentTemperature, uvIndex, weatherDescription, isDaytime }
+ * @param {Object} forecast - The normalized forecast (see providers.mjs)
+ * @param {string} locationName - Name of the geocoded location
+ * @param {Object} units - Unit system for speech and display (see units.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Object} alertReport - Weather alerts for the location (see loadAlerts)
+ * @param {Object} airReport - Air quality for the location (see loadAirQuality)
+ * @param {Object} lookupDiagnostics - Where each lookup came from and how the upstream calls went (see respond)
+ * @returns {Object} Lambda response with statusCode and JSON body
+ */
+function buildHouseholdResponse(members, now, forecast, locationName, units, messages, alertReport, airReport, lookupDiagnostics) {
+  const today = localDate(localNow(forecast));
+  const activeAlerts = alertsDuring(alertReport.alerts, Date.now(), Infinity);
+  const nowHazards = { alerts: activeAlerts, airQuality: airReport.current };
+
+  const dressed = members.map((member) => {
+    const windows = member.windows ? parseCommuteWindows(member.windows) : null;
+    const date = windows ? resolveCommuteDate(windows, undefined, forecast) : null;
+    const scheduled = date ? dressForWindows(windows, date, forecast, member, messages, alertReport, airReport) : null;
+    if (scheduled) {
+      return { member, windows, date, conditions: scheduled.combined, hazards: scheduled.hazards };
+    }
+
+    // No (usable) schedule: dressed for now, with the member's own activity
+    const apparent = computeApparentTemp(now, now.isDaytime, member.activity);
+    return {
+      member,
+      windows: null,
+      date: null,
+      conditions: {
+        effectiveTemp: apparent.temperature,
+        precipitation: now.precipitation,
+        windSpeed: now.windSpeed,
+        humidity: now.humidity,
+        uvIndex: now.uvIndex,
+        weatherDescription: now.weatherDescription,
+        isDaytime: now.isDaytime
+      },
+      hazards: nowHazards
+    };
+  }).map((entry) => {
+    const { member, conditions: c, hazards } = entry;
+    return {
+      ...entry,
+      category: getTempCategory(c.effectiveTemp, member.thresholds),
+      layers: pickLayers(c.effectiveTemp, c.precipitation, c.windSpeed, c.humidity, c.uvIndex, c.weatherDescription, c.isDaytime,
+          member, messages, hazards),
+      recommendation: getClothingRecommendation(c.effectiveTemp, c.precipitation, c.windSpeed, c.humidity, c.uvIndex,
+          c.weatherDescription, c.isDaytime, member, messages, hazards)
+    };
+  });
+
+  const memberLines = dressed.map((entry) => describeMemberBriefly(entry, today, messages));
+  const nowSpeech = messages.t("now", {
+    temperature: speakTemperature(now.temperature, units, messages),
+    conditions: messages.weather(now.weatherDescription, true)
+  });
+  const speech = composeSpeech(withNotices(
+      [nowSpeech, ...memberLines],
+      activeAlerts,
+      alertReport,
+      forecast,
+      messages
+  ), messages.marks);
+
+  // The APL card shows the weather now, with a column per member
+  const first = dressed[0];
+  const visualData = generateAPLData(
+      now.weatherDescription,
+      first.conditions.effectiveTemp,
+      now.precipitation,
+      now.windSpeed,
+      now.humidity,
+      now.uvIndex,
+      now.isDaytime,
+      units,
+      messages,
+      first.member,
+      nowHazards
+  );
+  visualData.members = dressed.map((entry) => ({
+    name: entry.member.name,
+    when: entry.windows ? messages.formatTime(entry.windows[0].start) : messages.t("household.now"),
+    temperatureCategory: entry.category,
+    layerSummary: capitalize(entry.layers.summary),
+    outfitZones: describeZonesForDisplay(entry.layers, messages)
+  }));
+
+  return {
+      statusCode: 200,
+      body: JSON.stringify({
+          version: CONTRACT_VERSION,
+          response: speech.text,
+          ssml: speech.ssml,
+          mode: "household",
+          temperature: displayTemperature(now.temperature, units),
+          units: units.name,
+          temperatureUnit: units.temperatureSymbol,
+          locale: messages.locale,
+          weatherDescription: now.weatherDescription,
+          recommendation: memberLines.join(" "),
+          laterChanges: "",
+          locationName,
+          alerts: activeAlerts,
+          airQuality: airReport.current,
+          members: dressed.map((entry) => ({
+            name: entry.member.name,
+            ageGroup: entry.member.ageGroup,
+            activity: entry.member.activity.name,
+            date: entry.date,
+            windows: entry.windows && entry.windows.map((window) => ({ start: window.start, end: window.end })),
+            effectiveTemp: displayTemperature(entry.conditions.effectiveTemp, units),
+            category: entry.category,
+            recommendation: entry.recommendation,
+            layers: entry.layers
+          })),
+          apl: visualData,
+          diagnostics: {
+              provider: forecast.provider,
+              alerts: { provider: alertReport.provider, status: alertReport.status },
+              airQuality: { status: airReport.status },
+              ...lookupDiagnostics,
+              canonicalUnits: "imperial",
+              members: members.map((member) => ({
+                name: member.name,
+                ageGroup: member.ageGroup,
+                comfortOffset: member.comfortOffset,
+                requestedWindows: member.windows
+              }))
+          }
+      })
+  };
+}
+
+/**
+ * Speaks one household member's outfit in a sentence, e.g.
+ * "For Emma at 7:30 AM, it feels cold: three layers. Don't forget a warm hat and mittens."
+ *
+ * @function describeMemberBriefly
+ * @param {Object} entry - The member's entry from buildHouseholdResponse
+ * @param {string} today - Today's date at the location ("YYYY-MM-DD")
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The sentence
+ */
+function describeMemberBriefly(entry, today, messages) {
+  const params = {
+    name: entry.member.name,
+    category: messages.category(entry.category),
+    layers: entry.layers.summary
+  };
+  let sentence = messages.t("household.member", params);
+  if (entry.windows) {
+    const time = messages.formatTime(entry.windows[0].start);
+    sentence = entry.date === today
+        ? messages.t("household.memberAt", { ...params, time })
+        : messages.t("household.memberAtOnDay", { ...params, time, day: dayLabel(entry.date, today, messages) });
+  }
+
+  // Hats and gloves are what's most easily forgotten, so they're named
+  const accessories = [entry.layers.zones.head, entry.layers.zones.hands]
+      .filter(Boolean)
+      .map((zoneItem) => (zoneItem.owned
+          ? messages.t("household.ownedItem", { item: zoneItem.item })
+          : messages.itemPhrase(zoneItem.name)));
+  const reminder = accessories.length ? ` ${messages.t("household.reminder", { items: messages.list(accessories) })}` : "";
+  return `${sentence}${reminder}`;
+}
+
+/**
+ * The day commute windows are evaluated on: the requested date, or else today - or
+ * tomorrow, once the first window has already passed today.
+ *
+ * @function resolveCommuteDate
+ * @param {Array<Object>} windows - The windows (see parseCommuteWindows)
+ * @param {string|undefined} dateParam - Optional day in AMAZON.DATE format
+ * @param {Object} forecast - The normalized forecast (see providers.mjs)
+ * @returns {string|undefined} The date ("YYYY-MM-DD"), or undefined if the forecast doesn't cover it
+ */
+function resolveCommuteDate(windows, dateParam, forecast) {
+  const now = localNow(forecast);
+  if (dateParam) {
+    return resolveRequestedDates(dateParam, undefined, forecast.daily.map((day) => day.date))[0];
+  }
+  return now.slice(11, 16) >= windows[0].end ? addDays(localDate(now), 1) : localDate(now);
+}
+
+/**
+ * Summarizes the conditions of each time window from a date on (a window with a dayOffset is
+ * that many days later), and combines them into the conditions one outfit has to cover: the
+ * coldest, wettest and windiest of any window.
+ *
+ * @function dressForWindows
+ * @param {Array<Object>} windows - The windows (see parseCommuteWindows)
+ * @param {string} date - The day of the first window ("YYYY-MM-DD")
+ * @param {Object} forecast - The normalized forecast (see providers.mjs)
+ * @param {Object} profile - The thermal profile of the person dressing (see profile.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Object} alertReport - Weather alerts for the location (see loadAlerts)
+ * @param {Object} airReport - Air quality for the location (see loadAirQuality)
+ * @returns {Object|null} { periods, coldest, combined, hazards }, or null if the forecast
+ *   doesn't cover every window
+ */
+function dressForWindows(windows, date, forecast, profile, messages, alertReport, airReport) {
+  const dated = windows.map((window) => ({ ...window, date: addDays(date, window.dayOffset) }));
+  const dailies = dated.map((window) => forecast.daily.find((day) => day.date === window.date));
+  if (dailies.includes(undefined)) {
+    return null;
+  }
+  const daily = dailies[0];
+
+  // Alerts in effect between heading out and the end of the last trip ("24:00" ends at midnight)
+  const last = dated[dated.length - 1];
+  const windowHours = forecast.hourly.filter((hour) => dated.some((window) => isHourInWindow(hour.time, window.date, window)));
+  const hazards = {
+    alerts: alertsDuring(alertReport.alerts,
+        localTimeToMs(`${date}T${windows[0].start}`, forecast),
+        last.end === "24:00" ? localTimeToMs(`${addDays(last.date, 1)}T00:00`, forecast) : localTimeToMs(`${last.date}T${last.end}`, forecast)),
+    airQuality: airQualityDuring(airReport, windowHours.map((hour) => hour.time))
+  };
+  const periods = dated.map((window, i) => {
+    const hours = forecast.hourly.filter((hour) => isHourInWindow(hour.time, window.date, window));
+    return hours.length
+        ? { ...summarizePeriod(window.label, hours, dailies[i].uvIndexMax ?? 0, dailies[i], profile, messages, hazards), ...window }
+        : null;
+  });
+  if (periods.includes(null)) {
+    return null;
+  }
+
+  const coldest = periods.reduce((min, p) => (p.effectiveTemp < min.effectiveTemp ? p : min));
+  const worst = periods.reduce((max, p) => (p.weatherCode > max.weatherCode ? p : max));
+  const combined = {
+    effectiveTemp: coldest.effectiveTemp,
+    precipitation: Math.max(...periods.map((p) => p.precipitation)),
+    windSpeed: Math.max(...periods.map((p) => p.windSpeed)),
+    humidity: Math.max(...periods.map((p) => p.humidity)),
+    uvIndex: daily.uvIndexMax ?? 0,
+    weatherDescription: worst.weatherDescription,
+    // Light (UV, reflective gear) is judged on the way out; describeReturnTrips covers dark trips home
+    isDaytime: periods[0].isDaytime
+  };
+  return { periods, coldest, combined, hazards };
+}
+
+/**
+ * Parses commute windows: comma-separated "HH:MM-HH:MM" ranges, or single "HH:MM" times
+ * (a window of COMMUTE_WINDOW_MINUTES from then). Windows are the trips in the order given,
+ * each saying which trip it is: "out" (the first), "back" (the last) or "between". A window
+ * starting before the one before it is on the next day (leaving at 22:00 and coming back at
+ * 06:00 after a night shift), which dayOffset counts.
+ *
+ * @function parseCommuteWindows
+ * @param {string} param - The raw `windows` parameter
+ * @returns {Array<{start: string, end: string, label: string, trip: string, dayOffset: number}>|null} The
+ *   windows, or null if any is invalid
+ */
+function parseCommuteWindows(param) {
+  const pattern = /^(\d{1,2}):?(\d{2})(?:\s*-\s*(\d{1,2}):?(\d{2}))?$/;
+  const pad = (hour, minute) => `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+
+  const windows = String(param).split(",").map((part) => part.trim()).filter(Boolean).map((part) => {
+    const match = part.match(pattern);
+    if (!match) return null;
+    const startHour = Number(match[1]);
+    const startMinute = Number(match[2]);
+    if (startHour > 23 || startMinute > 59) return null;
+
+    let endMinutes = startHour * 60 + startMinute + COMMUTE_WINDOW_MINUTES;
+    if (match[3] !== undefined) {
+      endMinutes = Number(match[3]) * 60 + Number(match[4]);
+    }
+    if (endMinutes <= startHour * 60 + startMinute || endMinutes > 24 * 60) return null;
+
+    return {
+      start: pad(startHour, startMinute),
+      end: pad(Math.floor(endMinutes / 60), endMinutes % 60)
+    };
+  });
+
+  if (!windows.length || windows.length > MAX_COMMUTE_WINDOWS || windows.includes(null)) {
+    return null;
+  }
+
+  let dayOffset = 0;
+  return windows.map((window, i) => {
+    let trip = "between";
+    if (i === 0) trip = "out";
+    else if (i === windows.length - 1) trip = "back";
+    if (i > 0 && window.start < windows[i - 1].start) dayOffset++;
+    return { ...window, label: `${window.start}-${window.end}`, trip, dayOffset };
+  });
+}
+
+/**
+ * Whether an hourly forecast entry falls in a window on a date. An hour counts if any
+ * part of it overlaps the window.
+ *
+ * @function isHourInWindow
+ * @param {string} time - Local hour ("YYYY-MM-DDTHH:MM")
+ * @param {string} date - The day ("YYYY-MM-DD")
+ * @param {Object} window - { start, end } as "HH:MM"
+ * @returns {boolean} True if the hour overlaps the window
+ */
+function isHourInWindow(time, date, window) {
+  if (time.slice(0, 10) !== date) return false;
+  const hourStart = time.slice(11, 13) + ":00";
+  const hourEnd = `${String(Number(time.slice(11, 13)) + 1).padStart(2, "0")}:00`;
+  return hourStart < window.end && hourEnd > window.start;
+}
+
+/**
+ * Speaks when a trip starts, with its day when it's on a later day than the first trip
+ * (e.g. "6 AM tomorrow" coming back from a night shift).
+ *
+ * @function formatTripTime
+ * @param {Object} period - The trip's window summary (see dressForWindows)
+ * @param {string} today - Today at the location ("YYYY-MM-DD")
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The spoken time
+ */
+function formatTripTime(period, today, messages) {
+  const time = messages.formatTime(period.start);
+  if (!period.dayOffset) {
+    return time;
+  }
+  return period.date === addDays(today, 1)
+      ? messages.t("time.tomorrow", { time })
+      : messages.t("time.onDay", { time, day: messages.weekday(period.date) });
+}
+
+/**
+ * Describes what to carry for the trips after the first one: an extra layer if it gets
+ * colder, rain gear if it starts raining, something reflective if it gets dark - or,
+ * if it gets much warmer, layers that can come off.
+ *
+ * @function describeReturnTrips
+ * @param {Array<Object>} periods - Per-window summaries, in time order
+ * @param {string} today - Today at the location ("YYYY-MM-DD")
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The note (empty for a single window)
+ */
+function describeReturnTrips(periods, today, messages) {
+  if (periods.length < 2) {
+    return "";
+  }
+
+  const first = periods[0];
+  const notes = periods.slice(1).map((trip) => {
+    const time = formatTripTime(trip, today, messages);
+    const category = messages.category(trip.category);
+    const carry = [];
+    const colder = categoryIndex(first.category) - categoryIndex(trip.category);
+
+    if (colder >= 1) {
+      carry.push(messages.t("commute.extraLayer", { category }));
+    }
+    if (trip.precipitation > THRESHOLDS.MINIMAL_PRECIPITATION && first.precipitation <= THRESHOLDS.MINIMAL_PRECIPITATION) {
+      carry.push(messages.t("commute.rainGear"));
+    }
+    if (!trip.isDaytime && first.isDaytime) {
+      carry.push(messages.t("commute.reflective"));
+    }
+
+    let note = carry.length ? messages.t("commute.bring", { time, items: messages.list(carry) }) : "";
+    if (colder <= -THRESHOLDS.TEMP_CATEGORY_SWING) {
+      note += `${note ? " " : ""}${messages.t("commute.warmer", { category, time })}`;
+    }
+    return note || messages.t("commute.same", { time });
+  });
+  return notes.join(" ");
+}
+
+/**
+ * Loads the official weather alerts for a location, cached for a few minutes. Never fails:
+ * if the alerts provider can't be reached, the status says so and there are no alerts.
+ *
+ * @async
+ * @function loadAlerts
+ * @param {{latitude: number, longitude: number, countryCode?: string, timezone?: string}} location - The
+ *   geocoded location (see fetchAlerts)
+ * @param {UpstreamSession} upstream - The request's upstream calls (see upstream.mjs)
+ * @returns {Promise<{provider: string|null, alerts: Array<Object>, status: string, hit: string|null}>}
+ *   The alerts (see alerts.mjs); status is "ok", "unsupported" (no provider covers the location)
+ *   or "unavailable", and hit is the cache layer they came from
+ */
+async function loadAlerts(location, upstream) {
+  try {
+    const loaded = await cache.getOrLoad(
+        `alerts:${location.latitude.toFixed(3)},${location.longitude.toFixed(3)}`,
+        Date.now() + ALERTS_TTL_SECONDS * 1000,
+        () => fetchAlerts(location, upstream)
+    );
+    return { ...loaded.value, status: loaded.value.provider ? "ok" : "unsupported", hit: loaded.hit };
+  } catch (err) {
+    console.error("Weather alerts failed:", err);
+    return { provider: null, alerts: [], status: "unavailable", hit: null };
+  }
+}
+
+/**
+ * Loads the air quality for a location, cached until the next hour. Never fails: air quality
+ * only adds to the advice, so when it can't be fetched the status says so and it's left out.
+ *
+ * @async
+ * @function loadAirQuality
+ * @param {{latitude: number, longitude: number}} location - The geocoded location
+ * @param {UpstreamSession} upstream - The request's upstream calls (see upstream.mjs)
+ * @returns {Promise<{current: Object|null, hourly: Array<Object>, status: string, hit: string|null}>}
+ *   The readings (see airquality.mjs); status is "ok" or "unavailable", and hit is the cache
+ *   layer they came from
+ */
+async function loadAirQuality(location, upstream) {
+  try {
+    const loaded = await cache.getOrLoad(
+        `air:${location.latitude.toFixed(3)},${location.longitude.toFixed(3)}`,
+        (value) => nextHourBoundary(value.utcOffsetSeconds),
+        () => fetchAirQuality(location, upstream)
+    );
+    return { ...loaded.value, status: "ok", hit: loaded.hit };
+  } catch (err) {
+    console.error("Air quality failed:", err);
+    return { current: null, hourly: [], status: "unavailable", hit: null };
+  }
+}
+
+/**
+ * The worst air quality over some local hours.
+ *
+ * @function airQualityDuring
+ * @param {Object|null} airReport - Air quality for the location (see loadAirQuality)
+ * @param {Array<string>} times - Local hours ("YYYY-MM-DDTHH:MM")
+ * @returns {Object|null} The combined reading (see airquality.mjs), or null if unknown
+ */
+function airQualityDuring(airReport, times) {
+  if (!airReport) {
+    return null;
+  }
+  return worstAirQuality(airReport.hourly.filter((hour) => times.includes(hour.time)));
+}
+
+/**
+ * Puts the weather alerts in front of a spoken response, as a warning of their own. If the
+ * alerts couldn't be checked, says so instead - silently missing a warning is worse than a
+ * longer answer. A stale forecast (see respond) is owned up to before anything else.
+ *
+ * @function withNotices
+ * @param {Array<string>} sections - The sections of the response without alerts (see composeSpeech)
+ * @param {Array<Object>} alerts - The alerts that apply to the response, most severe first
+ * @param {Object} alertReport - The alerts lookup (see loadAlerts)
+ * @param {Object} forecast - The forecast the response is based on
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {Array<string>} The sections, with the notices
+ */
+function withNotices(sections, alerts, alertReport, forecast, messages) {
+  const staleNote = forecast.stale ? [messages.t("forecast.stale", { time: formatHour(forecast.current.time, messages) })] : [];
+  if (alertReport.status === "unavailable") {
+    return [...staleNote, ...sections, messages.t("alerts.unavailable")];
+  }
+  const alertSpeech = describeAlerts(alerts, forecast, messages);
+  return [...staleNote, ...(alertSpeech ? [messages.warning(alertSpeech)] : []), ...sections];
+}
+
+/**
+ * An error response: a message the skill reads out, and the error code (see errors.mjs).
+ *
+ * @function errorResponse
+ * @param {number} statusCode - The HTTP status
+ * @param {{code: string, reason?: string}} error - The error code, and the reason for location errors
+ * @param {string} message - The message, as plain text
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {Object} Lambda response with statusCode and JSON body
+ */
+function errorResponse(statusCode, error, message, messages) {
+  const speech = composeSpeech([message], messages.marks);
+  return {
+    statusCode,
+    body: JSON.stringify({
+      version: CONTRACT_VERSION,
+      response: speech.text,
+      ssml: speech.ssml,
+      error
+    })
+  };
+}
+
 /**
  * Converts an effective temperature into one of eight categories:
  * "extreme cold", "very cold", "cold", "cool", "mild", "warm", "hot", "very hot".
  *
  * @function getTempCategory
  * @param {number} effTemp - The effective temperature (°F)
+ * @param {Object} [thresholds] - Category thresholds (°F), shifted for the user's thermal profile
  * @returns {string} The category
  */
-function getTempCategory(effTemp) {
-  if (effTemp < THRESHOLDS.TEMP_THRESHOLDS.EXTREME_COLD) return "extreme cold";
-  if (effTemp < THRESHOLDS.TEMP_THRESHOLDS.VERY_COLD) return "very cold";
-  if (effTemp < THRESHOLDS.TEMP_THRESHOLDS.COLD) return "cold";
-  if (effTemp < THRESHOLDS.TEMP_THRESHOLDS.COOL) return "cool";
-  if (effTemp < THRESHOLDS.TEMP_THRESHOLDS.MILD) return "mild";
-  if (effTemp < THRESHOLDS.TEMP_THRESHOLDS.WARM) return "warm";
-  if (effTemp < THRESHOLDS.TEMP_THRESHOLDS.HOT) return "hot";
+function getTempCategory(effTemp, thresholds = THRESHOLDS.TEMP_THRESHOLDS) {
+  if (effTemp < thresholds.EXTREME_COLD) return "extreme cold";
+  if (effTemp < thresholds.VERY_COLD) return "very cold";
+  if (effTemp < thresholds.COLD) return "cold";
+  if (effTemp < thresholds.COOL) return "cool";
+  if (effTemp < thresholds.MILD) return "mild";
+  if (effTemp < thresholds.WARM) return "warm";
+  if (effTemp < thresholds.HOT) return "hot";
   return "very hot";
 }
 
@@ -564,7 +2110,8 @@ function categoryIndex(category) {
 }
 
 /**
- * Generates the main recommendation string for current conditions.
+ * Generates the main recommendation string for current conditions: how it feels, how many
+ * layers to wear (e.g. "Wear two layers plus a rain shell.") and the clothing advice.
  * Factors in category, precipitation, specific weather descriptions, wind, humidity, and UV.
  *
  * @function getClothingRecommendation
@@ -575,60 +2122,163 @@ function categoryIndex(category) {
  * @param {number} uvIndex - Daily max UV index
  * @param {string} weatherDesc - Weather description (e.g. "Light Rain", "Thunderstorm")
  * @param {boolean} isDaytime - Whether current time is between sunrise and sunset
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Hazards} [hazards] - Alerts and air quality to advise on
  * @returns {string} A concise recommendation string
  */
-function getClothingRecommendation(effTemp, precip, windSpeed, humidity, uvIndex, weatherDesc, isDaytime) {
-  const cat = getTempCategory(effTemp);
-
-  // Base advice for each category
-  const baseAdviceMap = {
-      "extreme cold": "Wear heavy layers, insulated boots, and cover exposed skin.",
-      "very cold": "Thermal base layers, heavy coat, gloves, and a warm hat.",
-      "cold": "Layers plus a warm sweater and winter jacket.",
-      "cool": "Long sleeves and a jacket or hoodie.",
-      "mild": "A light jacket or long-sleeve shirt.",
-      "warm": "Short sleeves or thin layers; maybe sunglasses.",
-      "hot": "Lightweight clothes; stay hydrated.",
-      "very hot": "Minimal, breathable clothing and strong sun protection."
-  };
-  let advice = baseAdviceMap[cat] || "Dress comfortably.";
-
-  // Precip check (using threshold constants)
-  if (precip > THRESHOLDS.SIGNIFICANT_PRECIPITATION) {
-      advice += " Bring a waterproof layer.";
-  } else if (precip > THRESHOLDS.MINIMAL_PRECIPITATION) {
-      advice += " Consider a light rain jacket.";
+function getClothingRecommendation(effTemp, precip, windSpeed, humidity, uvIndex, weatherDesc, isDaytime, profile, messages, hazards = NO_HAZARDS) {
+  const category = messages.category(getTempCategory(effTemp, profile.thresholds));
+  const layers = pickLayers(effTemp, precip, windSpeed, humidity, uvIndex, weatherDesc, isDaytime, profile, messages, hazards);
+  const advice = getClothingAdvice(effTemp, precip, windSpeed, humidity, uvIndex, weatherDesc, isDaytime, profile, messages, hazards);
+
+  let feels = messages.t("recommendation.feels", { category });
+  if (profile.activity.name !== DEFAULT_ACTIVITY) {
+      feels = messages.t("recommendation.feelsFor", { subject: messages.t(`activities.${profile.activity.name}`), category });
+  } else if (profile.name) {
+      feels = messages.t("recommendation.feelsFor", { subject: messages.t("recommendation.forPerson", { name: profile.name }), category });
   }
+  return `${feels} ${messages.t("recommendation.wear", { layers: layers.summary })} ${advice}`;
+}
 
-  // Special conditions for certain weather codes
-  if (weatherDesc.includes("Snow")) {
-      advice += " Waterproof boots are recommended.";
-  } else if (weatherDesc.includes("Thunderstorm")) {
-      advice += " Stay safe and avoid open areas.";
-  } else if (weatherDesc.includes("Fog")) {
-      advice += " Wear bright clothing for visibility.";
-  }
+/**
+ * Builds the clothing advice for a set of conditions, without the leading "It feels ..." sentence.
+ * Takes the same parameters as getClothingRecommendation. The advice is the user's own
+ * outfit (if they registered a wardrobe) followed by the speech of the fired clothing rules.
+ *
+ * @function getClothingAdvice
+ * @param {number} effTemp - Effective temperature
+ * @param {number} precip - Precipitation rate
+ * @param {number} windSpeed - Windspeed in mph
+ * @param {number} humidity - Relative humidity
+ * @param {number} uvIndex - Daily max UV index
+ * @param {string} weatherDesc - Weather description (e.g. "Light Rain", "Thunderstorm")
+ * @param {boolean} isDaytime - Whether the conditions fall between sunrise and sunset
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Hazards} [hazards] - Alerts and air quality to advise on
+ * @returns {string} The advice sentences
+ */
+function getClothingAdvice(effTemp, precip, windSpeed, humidity, uvIndex, weatherDesc, isDaytime, profile, messages, hazards = NO_HAZARDS) {
+  const outfit = pickOutfit(effTemp, precip, windSpeed, uvIndex, weatherDesc, isDaytime, profile);
+  const fired = evaluateRules(buildFacts(effTemp, precip, windSpeed, humidity, uvIndex, weatherDesc, isDaytime, profile, outfit, hazards));
 
-  // Wind + cold
-  if (windSpeed > 10 && effTemp < THRESHOLDS.TEMP_THRESHOLDS.COOL) {
-      advice += " A windproof coat helps.";
-  }
+  const advice = [outfit ? describeOutfit(outfit, messages) : "", renderSpeech(fired, messages)].filter(Boolean).join(" ");
+  return advice || messages.t("recommendation.dressComfortably");
+}
 
-  // High humidity + warm
-  if (humidity > 70 && effTemp > 70) {
-      advice += " Moisture-wicking fabric is good in humidity.";
-  }
+/**
+ * Collects the facts the clothing rules are checked against (see rules.mjs).
+ *
+ * @function buildFacts
+ * @param {number} effTemp - Effective temperature (°F)
+ * @param {number} precip - Precipitation amount (inches)
+ * @param {number} windSpeed - Wind speed in mph
+ * @param {number} humidity - Relative humidity
+ * @param {number} uvIndex - UV index value
+ * @param {string} weatherDesc - Weather description
+ * @param {boolean} isDaytime - Whether it's daytime
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Object|null} outfit - The outfit from the user's wardrobe, if any
+ * @param {Hazards} [hazards] - Alerts and air quality to advise on
+ * @returns {Object} The facts
+ */
+function buildFacts(effTemp, precip, windSpeed, humidity, uvIndex, weatherDesc, isDaytime, profile, outfit, hazards = NO_HAZARDS) {
+  const preferences = [];
+  if (profile.dislikesShorts) preferences.push("noShorts");
+  if (profile.bikes) preferences.push("bikes");
 
-  // UV mention only if it's daytime (using UV threshold constants)
-  if (isDaytime) {
-      if (uvIndex >= THRESHOLDS.UV.HIGH) {
-          advice += " UV is high, wear sunscreen and a hat.";
-      } else if (uvIndex >= THRESHOLDS.UV.MODERATE) {
-          advice += " Moderate UV, consider sun protection.";
-      }
+  return {
+    category: getTempCategory(effTemp, profile.thresholds),
+    effectiveTemp: effTemp,
+    precipitation: precip,
+    windSpeed,
+    humidity,
+    uvIndex,
+    weather: weatherDesc,
+    daytime: isDaytime,
+    activity: profile.activity.name,
+    ageGroup: profile.ageGroup,
+    preferences,
+    wardrobe: Boolean(outfit),
+    ...hazardFacts(hazards)
+  };
+}
+
+/**
+ * The clothing rule facts for alerts and air quality (see rules.mjs).
+ *
+ * @function hazardFacts
+ * @param {Hazards} hazards - Alerts and air quality
+ * @returns {{alerts: Array<string>, aqi: number, pollen: Object<string, string|null>}} The facts
+ */
+function hazardFacts(hazards) {
+  const airQuality = hazards.airQuality;
+  return {
+    alerts: hazards.alerts.map((alert) => alert.event),
+    aqi: airQuality?.usAqi ?? NaN,
+    pollen: airQuality
+        ? Object.fromEntries(Object.entries(airQuality.pollen).map(([group, pollen]) => [group, pollen.level]))
+        : {}
+  };
+}
+
+/**
+ * Picks an outfit from the user's registered wardrobe for a set of conditions.
+ *
+ * @function pickOutfit
+ * @param {number} effTemp - Effective temperature (°F)
+ * @param {number} precip - Precipitation amount (inches)
+ * @param {number} windSpeed - Wind speed in mph
+ * @param {number} uvIndex - UV index value
+ * @param {string} weatherDesc - Weather description
+ * @param {boolean} isDaytime - Whether it's daytime
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @returns {Object|null} The outfit (see wardrobe.mjs), or null if the user has no wardrobe
+ */
+function pickOutfit(effTemp, precip, windSpeed, uvIndex, weatherDesc, isDaytime, profile) {
+  if (!profile.wardrobe.length) {
+    return null;
   }
+  return selectOutfit(profile.wardrobe, {
+    category: getTempCategory(effTemp, profile.thresholds),
+    precip,
+    windSpeed,
+    uvIndex,
+    isDaytime,
+    weatherDesc
+  }, {
+    significantPrecip: THRESHOLDS.SIGNIFICANT_PRECIPITATION,
+    minimalPrecip: THRESHOLDS.MINIMAL_PRECIPITATION,
+    uvModerate: THRESHOLDS.UV.MODERATE,
+    uvHigh: THRESHOLDS.UV.HIGH,
+    coldCategories: COLD_CATEGORIES,
+    dislikesShorts: profile.dislikesShorts
+  });
+}
 
-  return `It feels ${cat}. ${advice}`;
+/**
+ * Dresses each body zone for a set of conditions and counts the layers (see layers.mjs),
+ * using the user's own items where their wardrobe has them. The generic items are the
+ * clothing rules' cards, the same ones the APL cards show.
+ *
+ * @function pickLayers
+ * @param {number} effTemp - Effective temperature (°F)
+ * @param {number} precip - Precipitation amount (inches)
+ * @param {number} windSpeed - Wind speed in mph
+ * @param {number} humidity - Relative humidity
+ * @param {number} uvIndex - UV index value
+ * @param {string} weatherDesc - Weather description
+ * @param {boolean} isDaytime - Whether it's daytime
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Hazards} [hazards] - Alerts and air quality to dress for
+ * @returns {Object} The outfit by zone, with its layer count and spoken summary
+ */
+function pickLayers(effTemp, precip, windSpeed, humidity, uvIndex, weatherDesc, isDaytime, profile, messages, hazards = NO_HAZARDS) {
+  const outfit = pickOutfit(effTemp, precip, windSpeed, uvIndex, weatherDesc, isDaytime, profile);
+  const fired = evaluateRules(buildFacts(effTemp, precip, windSpeed, humidity, uvIndex, weatherDesc, isDaytime, profile, null, hazards));
+  return dressZones(fired, { wet: precip > THRESHOLDS.MINIMAL_PRECIPITATION }, messages, outfit);
 }
 
 /**
@@ -636,35 +2286,77 @@ function getClothingRecommendation(effTemp, precip, windSpeed, humidity, uvIndex
  *
  * @function shortAdviceForCategory
  * @param {string} cat - The temperature category (e.g. "cold", "hot")
- * @returns {string} Concise extra advice for that category
- */
-function shortAdviceForCategory(cat) {
-  const shortMap = {
-      "extreme cold": "Bundle up with multiple insulating layers.",
-      "very cold": "Heavy coat, thermal layers, winter gear.",
-      "cold": "Wear a warm jacket and layers.",
-      "cool": "A light jacket or hoodie should help.",
-      "mild": "Light layers are likely enough.",
-      "warm": "Short sleeves or light clothing.",
-      "hot": "Thin, breathable clothes, stay hydrated.",
-      "very hot": "Minimal clothing and strong sun protection."
-  };
-  return shortMap[cat] || "";
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} Concise extra advice for that category, from the clothing rules
+ */
+function shortAdviceForCategory(cat, messages) {
+  return summarizeConditions(cat, {}, messages);
 }
 
 /**
- * Formats a Date object into 12-hour style with AM/PM (e.g. "3 PM").
+ * Formats an hourly forecast time for speech, the way the user's locale says it
+ * (e.g. "3 PM", "3 pm", "3 p.m.", "15 Uhr").
  *
  * @function formatHour
- * @param {Date} dateObj - The Date to format
- * @returns {string} A string in the format "H AM/PM"
+ * @param {string} time - Local hour ("YYYY-MM-DDTHH:MM"), as in the hourly forecast
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The spoken hour
  */
-function formatHour(dateObj) {
-  let hour = dateObj.getHours();
-  const ampm = hour >= 12 ? "PM" : "AM";
-  if (hour === 0) hour = 12;
-  else if (hour > 12) hour -= 12;
-  return `${hour} ${ampm}`;
+function formatHour(time, messages) {
+  return messages.formatTime(time.slice(11, 16));
+}
+
+/**
+ * A one-line air quality summary for the APL card. Good air and low pollen aren't shown.
+ *
+ * @function describeAirQualityForDisplay
+ * @param {Object|null} airQuality - Air quality (see airquality.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The summary (empty when there's nothing to flag)
+ */
+function describeAirQualityForDisplay(airQuality, messages) {
+  if (!airQuality) {
+    return "";
+  }
+  const parts = [];
+  if (airQuality.usAqi !== null && airQuality.category !== "good") {
+    parts.push(messages.t("airQuality.aqi", {
+      category: messages.t(`airQuality.categories.${airQuality.category}`),
+      aqi: Math.round(airQuality.usAqi)
+    }));
+  }
+  Object.entries(airQuality.pollen)
+      .filter(([, pollen]) => pollen.level === "high" || pollen.level === "moderate")
+      .forEach(([group, pollen]) => parts.push(capitalize(messages.t("airQuality.pollen", {
+        level: messages.t(`airQuality.levels.${pollen.level}`),
+        group: messages.t(`airQuality.groups.${group}`)
+      }))));
+  return parts.join(" · ");
+}
+
+/**
+ * The outfit zone by zone for the APL card, head to feet, with the torso layers on one row
+ * (e.g. { zone: "Torso", item: "Long Sleeve + Fleece + Rain Shell" }). Zones that need
+ * nothing are left out.
+ *
+ * @function describeZonesForDisplay
+ * @param {Object} layers - The outfit by zone (see pickLayers)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {Array<{zone: string, emoji: string, item: string}>} The rows
+ */
+function describeZonesForDisplay(layers, messages) {
+  const { head, torso, hands, legs, feet } = layers.zones;
+  return [
+    { zone: "head", items: head && [head] },
+    { zone: "torso", items: [torso.base, torso.mid, torso.outer].filter(Boolean) },
+    { zone: "hands", items: hands && [hands] },
+    { zone: "legs", items: legs && [legs] },
+    { zone: "feet", items: feet && [feet] }
+  ].filter((row) => row.items && row.items.length).map((row) => ({
+    zone: messages.t(`zones.${row.zone}`),
+    emoji: row.items[row.items.length - 1].emoji,
+    item: row.items.map((zoneItem) => capitalize(zoneItem.item)).join(" + ")
+  }));
 }
 
 /**
@@ -678,9 +2370,15 @@ function formatHour(dateObj) {
  * @param {number} humidity - Humidity percentage
  * @param {number} uvIndex - UV index value
  * @param {boolean} isDaytime - Whether it's daytime
+ * @param {Object} units - Unit system for the displayed values (see units.mjs)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Object} profile - The user's thermal profile (see profile.mjs)
+ * @param {Hazards} [hazards] - Alerts and air quality to show
  * @returns {Object} Object with background and clothing recommendation data for APL
  */
-function generateAPLData(weatherDesc, effTemp, precip, windSpeed, humidity, uvIndex, isDaytime) {
+function generateAPLData(weatherDesc, effTemp, precip, windSpeed, humidity, uvIndex, isDaytime, units, messages, profile, hazards = NO_HAZARDS) {
+  const { alerts, airQuality } = hazards;
+
   // 1. Determine background image based on weather conditions and time of day
   let backgroundType = "sunny";
 
@@ -697,125 +2395,62 @@ function generateAPLData(weatherDesc, effTemp, precip, windSpeed, humidity, uvIn
   } else if (!isDaytime) {
     backgroundType = "night";
   }
-
-  // 2. Determine clothing recommendations with emojis
-  const clothingItems = [];
-  const tempCategory = getTempCategory(effTemp);
-
-  // Temperature-based clothing
-  if (tempCategory === "extreme cold" || tempCategory === "very cold" || tempCategory === "cold") {
-    clothingItems.push({
-      item: "Heavy Coat",
-      emoji: "🧥"
-    });
-    clothingItems.push({
-      item: "Winter Hat",
-      emoji: "🧢"
-    });
-    clothingItems.push({
-      item: "Gloves",
-      emoji: "🧤"
-    });
-    clothingItems.push({
-      item: "Long Pants",
-      emoji: "👖"
-    });
-  } else if (tempCategory === "cool") {
-    clothingItems.push({
-      item: "Light Jacket",
-      emoji: "🧥"
-    });
-    clothingItems.push({
-      item: "Long Pants",
-      emoji: "👖"
-    });
-  } else if (tempCategory === "mild") {
-    clothingItems.push({
-      item: "Long Sleeve",
-      emoji: "👕"
-    });
-    clothingItems.push({
-      item: "Long Pants",
-      emoji: "👖"
-    });
-  } else if (tempCategory === "warm" || tempCategory === "hot") {
-    clothingItems.push({
-      item: "T-Shirt",
-      emoji: "👕"
-    });
-    clothingItems.push({
-      item: "Shorts",
-      emoji: "🩳"
-    });
-  } else if (tempCategory === "very hot") {
-    clothingItems.push({
-      item: "Light Clothes",
-      emoji: "👕"
-    });
-    clothingItems.push({
-      item: "Shorts",
-      emoji: "🩳"
-    });
-    clothingItems.push({
-      item: "Hydration",
-      emoji: "💧"
-    });
+  // An official alert outranks the weather itself
+  if (alerts.length) {
+    backgroundType = "warning";
   }
 
-  // Weather-specific items
-  if (precip > THRESHOLDS.MINIMAL_PRECIPITATION) {
-    clothingItems.push({
-      item: "Umbrella",
-      emoji: "☂️"
-    });
-    clothingItems.push({
-      item: "Rain Jacket",
-      emoji: "🧥"
-    });
-  }
-
-  if (weatherDesc.includes("Snow")) {
-    clothingItems.push({
-      item: "Snow Boots",
-      emoji: "👢"
-    });
-  }
-
-  if (isDaytime && uvIndex >= THRESHOLDS.UV.MODERATE) {
-    clothingItems.push({
-      item: "Sunglasses",
-      emoji: "🕶️"
-    });
+  // 2. Clothing cards: the user's own items (if they registered a wardrobe), then the
+  //    cards of the fired clothing rules - the same rules the spoken advice comes from
+  const tempCategory = getTempCategory(effTemp, profile.thresholds);
+  const outfit = pickOutfit(effTemp, precip, windSpeed, uvIndex, weatherDesc, isDaytime, profile);
+  const fired = evaluateRules(buildFacts(effTemp, precip, windSpeed, humidity, uvIndex, weatherDesc, isDaytime, profile, outfit, hazards));
 
-    if (uvIndex >= THRESHOLDS.UV.HIGH) {
+  const clothingItems = [];
+  if (outfit) {
+    outfit.items.forEach((wardrobeItem) => {
       clothingItems.push({
-        item: "Sunscreen",
-        emoji: "🧴"
+        item: capitalize(wardrobeItem.name),
+        emoji: wardrobeItem.emoji,
+        owned: true
       });
+    });
+    outfit.gaps.forEach((gap) => {
       clothingItems.push({
-        item: "Hat",
-        emoji: "👒"
+        item: gap.item,
+        emoji: gap.emoji
       });
-    }
-  }
-
-  if (windSpeed > THRESHOLDS.WIND_CHILL.LIGHT.threshold) {
-    clothingItems.push({
-      item: "Wind Protection",
-      emoji: "💨"
     });
   }
+  renderAplItems(fired)
+    .filter((card) => !clothingItems.some((clothing) => clothing.item === card.item))
+    .forEach((card) => clothingItems.push(card));
+  // Cards are matched on their English names; the user's own items keep the names they gave them
+  const clothingCards = clothingItems.map(({ owned, ...card }) => (owned ? card : { ...card, item: messages.item(card.item) }));
+
+  // 3. The outfit zone by zone, head to feet
+  const layers = pickLayers(effTemp, precip, windSpeed, humidity, uvIndex, weatherDesc, isDaytime, profile, messages, hazards);
 
   // Return the complete APL data
   return {
     background: backgroundType,
+    alert: alerts.length ? alerts[0].event : "",
+    // e.g. "Air quality: unhealthy (AQI 160) · High grass pollen"
+    airQuality: describeAirQualityForDisplay(airQuality, messages),
     timeOfDay: isDaytime ? "day" : "night",
-    clothingRecommendations: clothingItems,
-    temperature: Math.round(effTemp),
+    clothingRecommendations: clothingCards,
+    // e.g. "Two layers plus a rain shell"
+    layerSummary: capitalize(layers.summary),
+    layerCount: layers.layerCount,
+    outfitZones: describeZonesForDisplay(layers, messages),
+    temperature: displayTemperature(effTemp, units),
+    temperatureUnit: units.temperatureSymbol,
     temperatureCategory: tempCategory,
-    weatherCondition: weatherDesc,
+    activity: profile.activity.name,
+    weatherCondition: messages.weather(weatherDesc),
     uvIndex: uvIndex,
     humidity: humidity,
-    windSpeed: windSpeed
+    windSpeed: roundTo(convertWindSpeed(windSpeed, units), 1),
+    windSpeedUnit: units.windSpeedUnit
   };
 }
\ No newline at end of file
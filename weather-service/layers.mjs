@@ -0,0 +1,157 @@
+/**
+ * @fileoverview
+ * Body-zone outfit model for the clothing recommendation Lambda: how many layers to wear.
+ * dressZones dresses each zone - head, torso (base, mid and outer layers), hands, legs and
+ * feet - with the clothing cards of the fired clothing rules that name a zone (see
+ * clothing-rules.json), so the zones show the same items as the APL cards. Torso layers are
+ * counted, with a rain or wind shell counted separately, so the skill can answer "two layers
+ * plus a rain shell".
+ *
+ * When the user registered a wardrobe, the zones are dressed with the owned items the
+ * wardrobe outfit picked (see wardrobe.mjs); zones it leaves empty keep the generic item.
+ *
+ * Generic items are named in English while the zones are dressed, and translated into the
+ * user's language at the end (see messages.mjs).
+ */
+
+import { renderZoneItems } from "./rules.mjs";
+
+/**
+ * @typedef {Object} ZoneItem
+ * @property {string} item - Name of the item in the user's language (the user's own name for owned items)
+ * @property {string} name - The item's English name, as the recommendation logic knows it
+ * @property {string} emoji - Emoji for the APL card
+ * @property {boolean} owned - Whether it comes from the user's wardrobe
+ */
+
+/**
+ * @typedef {Object} LayeredOutfit
+ * @property {number} layerCount - Insulating torso layers (a shell isn't counted)
+ * @property {string|null} shell - "rain" or "wind" when a shell goes on top, else null
+ * @property {boolean} waterproof - Whether the outer layer keeps rain off (only reported when it's wet)
+ * @property {string} summary - Spoken summary, e.g. "two layers plus a rain shell"
+ * @property {Object} zones - { head, torso: { base, mid, outer }, hands, legs, feet }, each a ZoneItem or null
+ */
+
+/**
+ * Dresses each body zone with the clothing cards of the fired rules (see rules.mjs) and
+ * counts the torso layers.
+ *
+ * @function dressZones
+ * @param {Array<Object>} fired - Fired rules, evaluated as if there were no wardrobe (see evaluateRules)
+ * @param {{wet: boolean}} conditions - Whether it's wet, which makes an owned outer layer's rain protection matter
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Object|null} [outfit] - The outfit from the user's wardrobe, if any (see wardrobe.mjs)
+ * @returns {LayeredOutfit} The outfit by zone
+ */
+export function dressZones(fired, conditions, messages, outfit = null) {
+  const cards = renderZoneItems(fired);
+  const zone = (card) => (card ? { item: card.item, emoji: card.emoji, owned: false } : null);
+
+  const zones = {
+    head: zone(cards.head),
+    torso: { base: zone(cards.base), mid: zone(cards.mid), outer: zone(cards.outer) },
+    hands: zone(cards.hands),
+    legs: zone(cards.legs),
+    feet: zone(cards.feet)
+  };
+
+  // A shell goes on as the outer layer but isn't counted as a layer of warmth
+  let shell = cards.outer?.shell || null;
+  let waterproof = shell === "rain" || Boolean(cards.outer?.waterproof);
+  const ownedTorso = outfit ? wearOwnedItems(zones, outfit) : null;
+  if (ownedTorso) {
+    shell = ownedTorso.shell;
+    waterproof = conditions.wet && ownedTorso.waterproof;
+  }
+
+  const torsoLayers = [zones.torso.base, zones.torso.mid, zones.torso.outer].filter(Boolean);
+  const layerCount = torsoLayers.length - (shell ? 1 : 0);
+  const summary = describeLayers(layerCount, shell, waterproof, zones.torso.outer, messages);
+
+  const translate = (zoneItem) => zoneItem && {
+    ...zoneItem,
+    name: zoneItem.item,
+    item: zoneItem.owned ? zoneItem.item : messages.item(zoneItem.item)
+  };
+  return {
+    layerCount,
+    shell,
+    waterproof,
+    summary,
+    zones: {
+      head: translate(zones.head),
+      torso: { base: translate(zones.torso.base), mid: translate(zones.torso.mid), outer: translate(zones.torso.outer) },
+      hands: translate(zones.hands),
+      legs: translate(zones.legs),
+      feet: translate(zones.feet)
+    }
+  };
+}
+
+/**
+ * Puts the owned items of a wardrobe outfit on their zones. The wardrobe's torso choice
+ * replaces the generic layers entirely (it was scored as a whole); other zones only
+ * change where the outfit has an item for them.
+ *
+ * @function wearOwnedItems
+ * @param {Object} zones - The generic zones, changed in place
+ * @param {Object} outfit - The outfit from the user's wardrobe (see wardrobe.mjs)
+ * @returns {{shell: string|null, waterproof: boolean}|null} The shell of the owned torso layers
+ *   ("rain", "wind" or null) and whether they keep rain off, or null when the outfit has no
+ *   torso layers and the generic ones stay
+ */
+function wearOwnedItems(zones, outfit) {
+  const owned = (item) => ({ item: item.name, emoji: item.emoji, owned: true });
+  const inSlot = (slot) => outfit.items.find((item) => item.slot === slot);
+
+  ["head", "hands", "legs", "feet"].forEach((slot) => {
+    const item = inSlot(slot);
+    if (item) zones[slot] = owned(item);
+  });
+
+  const layers = ["base", "mid", "outer"].map(inSlot);
+  if (!layers.some(Boolean)) {
+    return null;
+  }
+  const [base, mid, outer] = layers;
+  zones.torso = {
+    base: base ? owned(base) : null,
+    mid: mid ? owned(mid) : null,
+    outer: outer ? owned(outer) : null
+  };
+
+  // A thin waterproof or windproof outer layer is a shell rather than a layer of warmth
+  let shell = null;
+  if (outer && outer.warmth <= 1) {
+    if (outer.waterproof >= 2) shell = "rain";
+    else if (outer.windproof >= 2) shell = "wind";
+  }
+  return { shell, waterproof: layers.some((item) => item && item.waterproof >= 1) };
+}
+
+/**
+ * Speaks the torso layers, e.g. "two layers plus a rain shell", "a single layer" or
+ * "three layers with a waterproof outer layer".
+ *
+ * @function describeLayers
+ * @param {number} layerCount - Insulating torso layers
+ * @param {string|null} shell - "rain", "wind" or null
+ * @param {boolean} waterproof - Whether the outer layer needs to keep rain off
+ * @param {ZoneItem|null} outer - The outer layer (the shell, if any), named in English unless owned
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The summary
+ */
+function describeLayers(layerCount, shell, waterproof, outer, messages) {
+  const count = layerCount === 1
+      ? messages.t("layers.single")
+      : messages.t("layers.count", { count: messages.t("layers.numbers")[layerCount] ?? layerCount });
+  if (shell) {
+    const shellName = outer.owned ? messages.t("layers.owned", { item: outer.item }) : messages.itemPhrase(outer.item);
+    return layerCount ? messages.t("layers.plusShell", { count, shell: shellName }) : shellName;
+  }
+  if (waterproof) {
+    return messages.t("layers.waterproof", { count });
+  }
+  return count;
+}
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview
+ * Local time at the forecast location. Providers report local times as zone-less
+ * "YYYY-MM-DDTHH:MM" strings, along with the location's IANA timezone and UTC offset (see
+ * providers.mjs). `new Date()` would read such a string in the Lambda's own timezone, so local
+ * times stay strings here: they sort and compare correctly as text, their date and hour are
+ * read from the text, and they're only converted to and from absolute times through the
+ * location's zone. Nothing here depends on the timezone the code runs in.
+ *
+ * A zone is anything with `timezone` and `utcOffsetSeconds`, such as a forecast. With an IANA
+ * timezone, daylight saving changes within the forecast are followed; without one, the fixed
+ * offset is used.
+ */
+
+// Intl formatters by timezone, which are slow to create
+const formatters = new Map();
+
+/**
+ * @typedef {Object} Zone
+ * @property {string|null} [timezone] - IANA timezone, e.g. "America/New_York"
+ * @property {number} [utcOffsetSeconds] - Offset from UTC, used when the timezone is unknown
+ */
+
+/**
+ * The formatter for a timezone, or null if Intl doesn't know it.
+ *
+ * @function formatterFor
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat|null} A formatter of the numeric date and time parts
+ */
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric", month: "numeric", day: "numeric",
+        hour: "numeric", minute: "numeric", second: "numeric"
+      });
+    } catch (err) {
+      console.warn(`Unknown timezone "${timezone}"; using the fixed UTC offset`);
+    }
+    formatters.set(timezone, formatter);
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * The offset of the zone's local time from UTC at a moment.
+ *
+ * @function offsetAt
+ * @param {number} ms - The moment (ms since epoch)
+ * @param {Zone} zone - The location's zone
+ * @returns {number} The offset in ms
+ */
+export function offsetAt(ms, zone) {
+  const formatter = zone.timezone ? formatterFor(zone.timezone) : null;
+  if (!formatter) {
+    return (zone.utcOffsetSeconds || 0) * 1000;
+  }
+  const parts = Object.fromEntries(formatter.formatToParts(ms).map(({ type, value }) => [type, Number(value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * The local time at the location at a moment.
+ *
+ * @function toLocalTime
+ * @param {number} ms - The moment (ms since epoch)
+ * @param {Zone} zone - The location's zone
+ * @returns {string} Local time ("YYYY-MM-DDTHH:MM")
+ */
+export function toLocalTime(ms, zone) {
+  return new Date(ms + offsetAt(ms, zone)).toISOString().slice(0, 16);
+}
+
+/**
+ * The moment a local time at the location happens. Around daylight saving changes, a time that
+ * happens twice is taken as the first, and a skipped one comes out an hour early.
+ *
+ * @function localTimeToMs
+ * @param {string} time - Local time ("YYYY-MM-DDTHH:MM"), as in the hourly forecast
+ * @param {Zone} zone - The location's zone
+ * @returns {number} The time (ms since epoch)
+ */
+export function localTimeToMs(time, zone) {
+  const wallClock = Date.parse(`${time.slice(0, 16)}:00Z`);
+  // The offset depends on the moment, which depends on the offset: start from the offset a
+  // few hours before and correct it once
+  const guess = wallClock - offsetAt(wallClock - 12 * 3600000, zone);
+  return wallClock - offsetAt(guess, zone);
+}
+
+/**
+ * @function localDate
+ * @param {string} time - Local time ("YYYY-MM-DDTHH:MM")
+ * @returns {string} Its date ("YYYY-MM-DD")
+ */
+export function localDate(time) {
+  return time.slice(0, 10);
+}
+
+/**
+ * Whether a local time falls between two others, inclusive (e.g. sunrise and sunset).
+ *
+ * @function isBetween
+ * @param {string} time - Local time ("YYYY-MM-DDTHH:MM")
+ * @param {string|null} start - Local start time, if known
+ * @param {string|null} end - Local end time, if known
+ * @returns {boolean} True if it's between them, or if either is unknown
+ */
+export function isBetween(time, start, end) {
+  if (!start || !end) {
+    return true;
+  }
+  const minute = time.slice(0, 16);
+  return minute >= start.slice(0, 16) && minute <= end.slice(0, 16);
+}
+
+/**
+ * A local time with the moment it happens, for diagnostics.
+ *
+ * @function describeLocalTime
+ * @param {string} time - Local time ("YYYY-MM-DDTHH:MM")
+ * @param {Zone} zone - The location's zone
+ * @returns {{local: string, utc: string, timezone: string|null, utcOffsetSeconds: number}}
+ *   The local time, the moment as an ISO timestamp, and the zone's timezone and offset then
+ */
+export function describeLocalTime(time, zone) {
+  const ms = localTimeToMs(time, zone);
+  return {
+    local: time,
+    utc: new Date(ms).toISOString(),
+    timezone: zone.timezone || null,
+    utcOffsetSeconds: offsetAt(ms, zone) / 1000
+  };
+}
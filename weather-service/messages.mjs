@@ -0,0 +1,189 @@
+/**
+ * @fileoverview
+ * Message catalogs for the clothing recommendation Lambda: everything it says or shows, per
+ * Alexa locale. Each catalog is a JSON file in locales/ named after its locale; a catalog only
+ * needs the messages that differ from en-US, which every lookup falls back to.
+ *
+ * Recommendations are worked out in English (weather descriptions, item names and rule text
+ * are the identifiers the logic matches on) and translated only when they're rendered: the
+ * catalogs map those English names to the locale's, and rule speech by rule id. Names a
+ * catalog doesn't list are used as they are, so a custom rules file still works in English.
+ *
+ * Catalog sections:
+ * - top-level message groups ("now", "later", "commute", ...): templates with {placeholders}
+ * - time: clock formatting (hour12, and templates wrapping the Intl-formatted time)
+ * - articles: indefinite articles for English ("a"/"an"); "{noun}" where a language has none to add
+ * - lowercaseInSentences: whether weather and item names are lowercased mid-sentence (not in German)
+ * - weather, categories, items, itemPhrases: translations of English names
+ * - itemCounts: an item in a quantity, { one, other } with a {count} placeholder ("3 T-shirts")
+ * - rules: speech and summary per clothing rule id (see clothing-rules.json)
+ */
+
+import { readFileSync } from "node:fs";
+
+export const DEFAULT_LOCALE = "en-US";
+
+export const SUPPORTED_LOCALES = ["en-US", "en-GB", "es-US", "de-DE"];
+
+// Locale used for other regions of a supported language (e.g. es-MX, de-AT)
+const LANGUAGE_LOCALES = {
+  en: "en-US",
+  es: "es-US",
+  de: "de-DE"
+};
+
+const CATALOGS = Object.fromEntries(SUPPORTED_LOCALES.map((locale) => [
+  locale,
+  JSON.parse(readFileSync(new URL(`./locales/${locale}.json`, import.meta.url), "utf8"))
+]));
+
+/**
+ * Resolves a requested locale to a supported one: the locale itself, else the locale for its
+ * language, else en-US.
+ *
+ * @function resolveLocale
+ * @param {string|undefined} requested - The requested locale (e.g. "es-US", "de_AT")
+ * @returns {string} One of SUPPORTED_LOCALES
+ */
+export function resolveLocale(requested) {
+  const [language, region] = String(requested || "").trim().split(/[-_]/);
+  const locale = region ? `${language.toLowerCase()}-${region.toUpperCase()}` : "";
+  if (SUPPORTED_LOCALES.includes(locale)) {
+    return locale;
+  }
+  return LANGUAGE_LOCALES[(language || "").toLowerCase()] || DEFAULT_LOCALE;
+}
+
+/**
+ * The messages of a locale.
+ *
+ * @typedef {Object} Messages
+ * @property {string} locale - The resolved locale
+ * @property {function(string, Object=): *} t - Looks up a dotted key ("later.intro") and fills in
+ *   its {placeholders}; non-string values (lists, tables) are returned as they are
+ * @property {function(string, boolean=): string} weather - Translates an English weather description,
+ *   lowercased for the middle of a sentence if asked (and the language does that)
+ * @property {function(string): string} category - Translates a temperature category ("cold")
+ * @property {function(string): string} item - Translates an English clothing item name
+ * @property {function(string): string} itemPhrase - An item as spoken in a sentence ("a warm hat")
+ * @property {function(string, number): string} itemCount - An item in a quantity as spoken in a sentence
+ *   ("3 T-shirts"); the item phrase when there's one of an item without counted forms
+ * @property {function(string): string} indefinite - A noun with its indefinite article, where the language uses one
+ * @property {function(Object, string): string} rule - The speech or summary of a clothing rule
+ * @property {function(string): string} formatTime - Speaks a local "HH:MM" time ("3 PM", "15 Uhr")
+ * @property {function(string): string} clock - Writes a local "HH:MM" time for display, without the
+ *   article some languages speak before it ("3 p.m." rather than "las 3 p.m.")
+ * @property {function(string): string} weekday - Names the weekday of a "YYYY-MM-DD" date
+ * @property {function(Array<string>, string=): string} list - Joins phrases ("a, b, and c"); "disjunction" for "or"
+ * @property {function(string): string} warning - Marks a safety warning, emphasized in SSML, and returns it
+ * @property {{times: Set<string>, warnings: Set<string>}} marks - The times and warnings spoken so far,
+ *   marked up when the response is rendered as SSML (see ssml.mjs)
+ */
+
+/**
+ * Creates the messages for a requested locale.
+ *
+ * @function createMessages
+ * @param {string|undefined} requested - The requested locale (see resolveLocale)
+ * @returns {Messages} The messages
+ */
+export function createMessages(requested) {
+  const locale = resolveLocale(requested);
+  const catalogs = [...new Set([CATALOGS[locale], CATALOGS[DEFAULT_LOCALE]])];
+  // Translations of English names only fall back within the language (en-GB to en-US)
+  const translations = [...new Set([CATALOGS[locale], CATALOGS[LANGUAGE_LOCALES[locale.slice(0, 2)]]])];
+
+  const lookup = (key) => {
+    for (const catalog of catalogs) {
+      const value = key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+      if (value !== undefined) {
+        return value;
+      }
+    }
+    return undefined;
+  };
+  // Names in the English source are used as they are when a catalog has no translation
+  const translate = (section, name, fallback = name) => {
+    const catalog = translations.find((candidate) => candidate[section]?.[name] !== undefined);
+    return catalog ? catalog[section][name] : fallback;
+  };
+  const lowercase = lookup("lowercaseInSentences") !== false;
+
+  const t = (key, params = {}) => {
+    const value = lookup(key);
+    if (value === undefined) {
+      console.warn(`Missing message "${key}" for ${locale}`);
+      return key;
+    }
+    if (typeof value !== "string") {
+      return value;
+    }
+    return value
+        .replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder))
+        // A time like "1 p.m." can end a sentence
+        .replace(/([^.])\.\./g, "$1.");
+  };
+
+  const item = (name) => translate("items", name);
+  const itemPhrase = (name) => translate("itemPhrases", name,
+      lowercase ? item(name).toLocaleLowerCase(locale) : item(name));
+  const indefinite = (noun) => t(/^[aeiou]/i.test(noun) ? "articles.vowel" : "articles.consonant", { noun });
+
+  const marks = { times: new Set(), warnings: new Set() };
+
+  const hourCycle = lookup("time.hour12");
+  const clockFormat = (withMinutes) => new Intl.DateTimeFormat(locale, {
+    hour: "numeric",
+    ...(withMinutes ? { minute: "2-digit" } : {}),
+    // "h12" rather than hour12, which some locales take as 0-11 ("0:30 am")
+    ...(hourCycle === undefined ? {} : { hourCycle: hourCycle ? "h12" : "h23" }),
+    timeZone: "UTC"
+  });
+  const clock = (time) => {
+    const [hour, minute] = time.split(":").map(Number);
+    // Intl puts a narrow no-break space before "AM"/"PM", and German hours get a leading zero
+    return clockFormat(minute > 0).format(new Date(Date.UTC(2000, 0, 1, hour % 24, minute)))
+        .replace(/[\u202f\u00a0]/g, " ")
+        .replace(/^0(?=\d)/, "");
+  };
+
+  return {
+    locale,
+    t,
+    weather: (description, inSentence = false) => {
+      const name = translate("weather", description);
+      return inSentence && lowercase ? name.toLocaleLowerCase(locale) : name;
+    },
+    category: (category) => translate("categories", category),
+    item,
+    itemPhrase,
+    itemCount: (name, count) => {
+      const forms = translate("itemCounts", name, null);
+      if (forms) {
+        return forms[count === 1 ? "one" : "other"].replace("{count}", count);
+      }
+      return count === 1
+        ? itemPhrase(name)
+        : t("packing.quantity", { count, item: lowercase ? item(name).toLocaleLowerCase(locale) : item(name) });
+    },
+    indefinite,
+    rule: (rule, field) => translations.find((catalog) => catalog.rules?.[rule.id]?.[field])?.rules[rule.id][field] ?? rule[field],
+    formatTime: (time) => {
+      const [hour, minute] = time.split(":").map(Number);
+      const formatted = clock(time);
+      marks.times.add(formatted);
+      // Some languages put an article before the hour, with its own form for one o'clock ("la 1 p.m.")
+      const key = (hour % 12 === 1 && lookup("time.clockOne")) ? "time.clockOne" : (minute > 0 ? "time.clockMinutes" : "time.clock");
+      return t(key, { time: formatted });
+    },
+    clock,
+    weekday: (date) => new Intl.DateTimeFormat(locale, { weekday: "long", timeZone: "UTC" })
+        .format(new Date(`${date}T00:00:00Z`)),
+    list: (phrases, type = "conjunction") => new Intl.ListFormat(locale, { type }).format(phrases),
+    warning: (text) => {
+      marks.warnings.add(text);
+      return text;
+    },
+    marks
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview
+ * Packing lists for trips: the days of a multi-day forecast (see buildDayForecast in index.mjs)
+ * added up into what the weather will be like over the trip and what to pack for it. Each day
+ * is typed by its warmest part; rain, the strongest UV and the coldest night are reported for
+ * the whole trip.
+ *
+ * The list is made of the outfits the days are dressed in (see layers.mjs), so it follows the
+ * same categories, precipitation thresholds, profile and wardrobe as every other answer. It
+ * has the everyday clothes of the warmest part of each day, with tops and bottoms counted per
+ * day, plus what the coldest and the wettest part of the trip call for, packed once; an item
+ * that only the cooler parts of the days need says so ("a fleece for the evenings"). Items
+ * another packed item does the job of (a wind shell next to a rain shell) are left out, and
+ * owned items from the user's wardrobe are packed once.
+ */
+
+import { speakTemperature } from "./units.mjs";
+
+// Zones dressed for every day of the trip, and the days one generic item of a zone lasts
+// (zones not listed there are packed once for the whole trip)
+const EVERYDAY_ZONES = ["base", "legs", "feet"];
+const DAYS_PER_ITEM = {
+  base: 1,
+  legs: 2
+};
+
+// Everyday items that go over other clothes, so one lasts the trip
+const REUSABLE_ITEMS = ["Rain Pants"];
+
+// Generic items that make others unnecessary; any "Waterproof ..." item also covers the plain one
+const COVERS = {
+  "Rain Shell": ["Light Rain Jacket", "Wind Shell"],
+  "Light Rain Jacket": ["Wind Shell"],
+  "Waterproof Shoes": ["Closed Shoes", "Sneakers"],
+  "Waterproof Boots": ["Warm Boots", "Closed Shoes", "Sneakers"],
+  "Snow Boots": ["Warm Boots", "Waterproof Boots", "Closed Shoes", "Sneakers"]
+};
+
+// Order of the list: everyday clothes first, then layers, accessories and shoes
+const ZONE_ORDER = ["base", "legs", "mid", "outer", "head", "hands", "feet"];
+
+// Parts of the day, in order (see DAY_PERIODS in index.mjs)
+const PERIOD_ORDER = ["morning", "afternoon", "evening"];
+
+// How a trip's days are typed, by the temperature category of their warmest part
+const DAY_TYPES = {
+  "extreme cold": "cold",
+  "very cold": "cold",
+  "cold": "cold",
+  "cool": "cool",
+  "mild": "mild",
+  "warm": "warm",
+  "hot": "hot",
+  "very hot": "hot"
+};
+
+/**
+ * @typedef {Object} PackingItem
+ * @property {string|null} zone - Body zone it's for (base, mid and outer for the torso), null for extras
+ * @property {string} name - English name, as the recommendation logic knows it
+ * @property {string} item - Name to show, translated unless owned
+ * @property {string} emoji - Emoji for the APL card
+ * @property {boolean} owned - Whether it comes from the user's wardrobe
+ * @property {number} quantity - How many to pack
+ * @property {Array<string>|null} periods - The parts of the day it's for ("morning", "evening"),
+ *   when the afternoons don't need it; null otherwise
+ * @property {string} text - One line of the list, e.g. "3 × T-Shirt" (for cards and the Alexa lists)
+ */
+
+/**
+ * @typedef {Object} PackingList
+ * @property {number} days - Days the list covers
+ * @property {Object<string, number>} dayTypes - Days per type: cold, cool, mild, warm and hot
+ * @property {number} rainDays - Days with any precipitation
+ * @property {number} maxUvIndex - The strongest UV index of the trip
+ * @property {{date: string, temperature: number}} coldestNight - The day with the lowest temperature, in °F
+ * @property {Array<PackingItem>} items - What to pack, in list order
+ */
+
+/**
+ * Adds up the days of a trip into a packing list.
+ *
+ * @function buildPackingList
+ * @param {Array<Object>} days - Day summaries from buildDayForecast, in canonical units
+ * @param {Object} needs - Thresholds deciding what's needed: { minimalPrecip, uvModerate, uvHigh }
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {PackingList} The packing list
+ */
+export function buildPackingList(days, needs, messages) {
+  const dayTypes = Object.fromEntries([...new Set(Object.values(DAY_TYPES))].map((type) => [type, 0]));
+  const periods = days.flatMap((day) => day.periods);
+  const coldestPeriod = periods.reduce((min, p) => (p.effectiveTemp < min.effectiveTemp ? p : min));
+  const wettestPeriod = periods.reduce((max, p) => (p.precipitation > max.precipitation ? p : max));
+  const entries = new Map();
+
+  days.forEach((day) => {
+    const warmest = day.periods.reduce((max, p) => (p.effectiveTemp > max.effectiveTemp ? p : max));
+    dayTypes[DAY_TYPES[warmest.category]]++;
+
+    day.periods.forEach((period) => {
+      zoneItems(period.layers).forEach(({ zone, zoneItem }) => {
+        // Owned items are told apart by the user's own name, generic ones by the English one
+        const key = zoneItem.owned ? `owned:${zoneItem.item}` : zoneItem.name;
+        if (!entries.has(key)) {
+          entries.set(key, { zone, zoneItem, periods: new Set(), everydayDays: new Set(), packed: false });
+        }
+        const entry = entries.get(key);
+        entry.periods.add(period.name);
+        if (period === warmest && EVERYDAY_ZONES.includes(zone)) {
+          entry.everydayDays.add(day.date);
+          entry.packed = true;
+        }
+        if (period === coldestPeriod || (period === wettestPeriod && period.precipitation > needs.minimalPrecip)) {
+          entry.packed = true;
+        }
+      });
+    });
+  });
+
+  const packed = [...entries.values()].filter((entry) => entry.packed);
+  const covered = new Set(packed.filter(({ zoneItem }) => !zoneItem.owned).flatMap(({ zoneItem }) => [
+    ...(COVERS[zoneItem.name] || []),
+    ...(zoneItem.name.startsWith("Waterproof ") ? [zoneItem.name.slice("Waterproof ".length)] : [])
+  ]));
+
+  const rainDays = days.filter((day) => day.precipitation > needs.minimalPrecip).length;
+  const maxUvIndex = Math.max(...days.map((day) => day.uvIndexMax));
+  const coldest = days.reduce((min, day) => (day.lowTemp < min.lowTemp ? day : min));
+
+  const clothes = packed
+      .filter(({ zoneItem }) => zoneItem.owned || !covered.has(zoneItem.name))
+      .map(({ zone, zoneItem, periods: neededIn, everydayDays }) => ({
+        zone,
+        name: zoneItem.name,
+        item: zoneItem.item,
+        emoji: zoneItem.emoji,
+        owned: zoneItem.owned,
+        quantity: zoneItem.owned || !everydayDays.size || !DAYS_PER_ITEM[zone] || REUSABLE_ITEMS.includes(zoneItem.name)
+          ? 1
+          : Math.ceil(everydayDays.size / DAYS_PER_ITEM[zone]),
+        // Worn every day, or in the afternoons too: no need to say when
+        periods: everydayDays.size || neededIn.has("afternoon")
+          ? null
+          : PERIOD_ORDER.filter((name) => neededIn.has(name))
+      }))
+      .sort((a, b) => ZONE_ORDER.indexOf(a.zone) - ZONE_ORDER.indexOf(b.zone) || b.quantity - a.quantity);
+
+  const extras = [
+    rainDays && { name: "Umbrella", emoji: "☂️" },
+    maxUvIndex >= needs.uvModerate && { name: "Sunglasses", emoji: "🕶️" },
+    maxUvIndex >= needs.uvHigh && { name: "Sunscreen", emoji: "🧴" }
+  ].filter(Boolean).map(({ name, emoji }) => ({
+    zone: null,
+    name,
+    item: messages.item(name),
+    emoji,
+    owned: false,
+    quantity: 1,
+    periods: null
+  }));
+
+  return {
+    days: days.length,
+    dayTypes,
+    rainDays,
+    maxUvIndex,
+    coldestNight: { date: coldest.date, temperature: coldest.lowTemp },
+    items: [...clothes, ...extras].map((entry) => ({ ...entry, text: describeLine(entry, messages) }))
+  };
+}
+
+/**
+ * The items an outfit puts on each zone.
+ *
+ * @function zoneItems
+ * @param {Object} layers - The outfit by zone (see layers.mjs)
+ * @returns {Array<{zone: string, zoneItem: Object}>} The zones that have an item, with it
+ */
+function zoneItems(layers) {
+  const { head, torso, hands, legs, feet } = layers.zones;
+  return Object.entries({ head, base: torso.base, mid: torso.mid, outer: torso.outer, hands, legs, feet })
+      .filter(([, zoneItem]) => zoneItem)
+      .map(([zone, zoneItem]) => ({ zone, zoneItem }));
+}
+
+/**
+ * One line of the list for cards and the Alexa lists, e.g. "3 × T-Shirt" or
+ * "1 × Fleece (evenings)".
+ *
+ * @function describeLine
+ * @param {Object} entry - The item, without its text
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The line
+ */
+function describeLine(entry, messages) {
+  const line = messages.t("packing.line", { count: entry.quantity, item: entry.item });
+  return entry.periods ? messages.t("packing.lineFor", { line, periods: describePeriods(entry.periods, messages) }) : line;
+}
+
+/**
+ * Speaks a packing list: what the trip's weather will be like, then what to pack, e.g. "For
+ * 3 days in Chicago, expect two warm days and one mild day, rain on one day, UV up to 7 and
+ * nights down to 52 degrees. Pack 3 T-shirts, 2 pairs of shorts, ..."
+ *
+ * @function describePackingList
+ * @param {PackingList} list - The packing list, in canonical units
+ * @param {string|undefined} locationName - Where the trip goes, if known
+ * @param {Object} units - Unit system for spoken temperatures (see units.mjs)
+ * @param {Object} needs - Thresholds, as for buildPackingList
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {Array<string>} The sentences
+ */
+export function describePackingList(list, locationName, units, needs, messages) {
+  const count = (key, n, params = {}) => messages.t(`${key}.${n === 1 ? "one" : "other"}`, { count: n, ...params });
+
+  const weather = [
+    ...Object.entries(list.dayTypes).filter(([, n]) => n).map(([type, n]) => count(`packing.dayTypes.${type}`, n)),
+    list.rainDays ? count("packing.rain", list.rainDays) : messages.t("packing.noRain"),
+    ...(list.maxUvIndex >= needs.uvModerate ? [messages.t("packing.uv", { uv: Math.round(list.maxUvIndex) })] : []),
+    messages.t("packing.coldestNight", { temperature: speakTemperature(list.coldestNight.temperature, units, messages) })
+  ];
+  const trip = locationName
+    ? count("packing.trip", list.days, { place: locationName, weather: messages.list(weather) })
+    : count("packing.tripHere", list.days, { weather: messages.list(weather) });
+
+  const items = list.items.map((entry) => {
+    const phrase = entry.owned
+      ? messages.t("layers.owned", { item: entry.item })
+      : messages.itemCount(entry.name, entry.quantity);
+    return entry.periods ? messages.t("packing.forPeriods", { item: phrase, periods: describePeriods(entry.periods, messages) }) : phrase;
+  });
+  return [trip, messages.t("packing.pack", { items: messages.list(items) })];
+}
+
+/**
+ * Names the parts of the day an item is for ("mornings and evenings").
+ *
+ * @function describePeriods
+ * @param {Array<string>} periods - The parts of the day, in order
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The names, joined
+ */
+function describePeriods(periods, messages) {
+  return messages.list(periods.map((name) => messages.t(`packing.periods.${name}`)));
+}
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview
+ * Personal thermal profiles for the clothing recommendation Lambda.
+ * A comfort offset ("I run cold") shifts the temperature category thresholds, and
+ * clothing preferences ("no shorts", "I bike") tailor the advice text and APL items.
+ * The profile also carries the user's registered wardrobe (see wardrobe.mjs), what
+ * they'll be doing (see activity.mjs) and, for household members, their name and age group:
+ * children feel the cold sooner (and stand still at the bus stop), so their thresholds shift
+ * like a comfort offset and the clothing rules add kid-specific advice.
+ */
+
+import { parseWardrobe } from "./wardrobe.mjs";
+import { resolveActivity } from "./activity.mjs";
+
+// Offset (°F) implied by the runsCold / runsHot preferences when no explicit offset is given
+const DEFAULT_COMFORT_OFFSET = 5;
+
+// Largest accepted comfort offset in either direction (°F)
+const MAX_COMFORT_OFFSET = 15;
+
+export const DEFAULT_AGE_GROUP = "adult";
+
+// Age groups and the offset (°F) each adds to the comfort offset
+const AGE_GROUPS = {
+  child: { comfortOffset: 5 },
+  teen: { comfortOffset: 0 },
+  adult: { comfortOffset: 0 },
+  senior: { comfortOffset: 3 }
+};
+
+// Most members accepted in a household
+const MAX_HOUSEHOLD_MEMBERS = 6;
+
+// Longest accepted member name
+const MAX_NAME_LENGTH = 30;
+
+/**
+ * @typedef {Object} ThermalProfile
+ * @property {number} comfortOffset - °F added to every category threshold (positive = runs cold)
+ * @property {boolean} dislikesShorts - Suggest light pants instead of shorts
+ * @property {boolean} bikes - Add advice for riding a bike
+ * @property {Object} thresholds - Category thresholds (°F) shifted by comfortOffset
+ * @property {Array<Object>} wardrobe - The user's registered clothes (empty if none)
+ * @property {Object} activity - What the user will be doing (one of ACTIVITIES)
+ * @property {string} ageGroup - "child", "teen", "adult" or "senior"
+ * @property {string|null} name - The household member's name, if the profile is for one
+ */
+
+/**
+ * Builds a thermal profile from the request's query parameters:
+ * - comfortOffset: number of °F to shift the category thresholds by (positive = runs cold)
+ * - preferences: comma-separated list of runsCold, runsHot, noShorts, bikes
+ * - wardrobe: JSON array of the user's items (see parseWardrobe)
+ * - activity: running, cycling, commuting, hiking or casual (the default)
+ * - ageGroup: child, teen, adult (the default) or senior
+ * - name: the household member the profile is for, if any
+ *
+ * @function parseProfile
+ * @param {Object} params - Query string parameters
+ * @param {Object} baseThresholds - The default temperature category thresholds (°F)
+ * @returns {ThermalProfile} The profile
+ */
+export function parseProfile(params, baseThresholds) {
+  const preferences = String(params?.preferences || "")
+      .split(",")
+      .map((preference) => preference.trim())
+      .filter(Boolean);
+
+  let comfortOffset = Number(params?.comfortOffset);
+  if (!Number.isFinite(comfortOffset)) {
+    if (preferences.includes("runsCold")) comfortOffset = DEFAULT_COMFORT_OFFSET;
+    else if (preferences.includes("runsHot")) comfortOffset = -DEFAULT_COMFORT_OFFSET;
+    else comfortOffset = 0;
+  }
+  const ageGroup = AGE_GROUPS[String(params?.ageGroup || "").trim().toLowerCase()]
+      ? String(params.ageGroup).trim().toLowerCase()
+      : DEFAULT_AGE_GROUP;
+  comfortOffset += AGE_GROUPS[ageGroup].comfortOffset;
+  comfortOffset = Math.min(Math.max(comfortOffset, -MAX_COMFORT_OFFSET), MAX_COMFORT_OFFSET);
+
+  const name = String(params?.name || "").trim().slice(0, MAX_NAME_LENGTH);
+
+  return {
+    comfortOffset,
+    dislikesShorts: preferences.includes("noShorts"),
+    bikes: preferences.includes("bikes"),
+    thresholds: shiftThresholds(baseThresholds, comfortOffset),
+    wardrobe: parseWardrobe(params?.wardrobe),
+    activity: resolveActivity(params?.activity),
+    ageGroup,
+    name: name || null
+  };
+}
+
+/**
+ * Parses the `household` query parameter: a JSON array of member descriptors, each with a
+ * name and the same settings as a single profile (ageGroup, comfortOffset, preferences,
+ * activity, wardrobe), plus an optional schedule in `windows` (commute windows, e.g.
+ * "07:30-07:50,15:15"). Members without a name are dropped.
+ *
+ * @function parseHousehold
+ * @param {string|undefined} param - The raw query parameter
+ * @param {Object} baseThresholds - The default temperature category thresholds (°F)
+ * @returns {Array<ThermalProfile & {windows: string|null}>|null} The members' profiles, or null if none
+ */
+export function parseHousehold(param, baseThresholds) {
+  if (!param) {
+    return null;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(param);
+  } catch (err) {
+    console.warn("Ignoring unparseable household parameter:", err.message);
+    return null;
+  }
+  if (!Array.isArray(raw)) {
+    return null;
+  }
+
+  const members = raw
+      .filter((member) => member && String(member.name || "").trim())
+      .slice(0, MAX_HOUSEHOLD_MEMBERS)
+      .map((member) => ({
+        ...parseProfile({
+          ...member,
+          wardrobe: Array.isArray(member.wardrobe) ? JSON.stringify(member.wardrobe) : member.wardrobe
+        }, baseThresholds),
+        windows: member.windows ? String(member.windows) : null
+      }));
+  return members.length ? members : null;
+}
+
+/**
+ * Shifts every category threshold by the same offset. Someone who runs cold (positive
+ * offset) reaches "cold" at a higher temperature than the defaults.
+ *
+ * @function shiftThresholds
+ * @param {Object} thresholds - Category thresholds (°F)
+ * @param {number} offset - °F to add to each threshold
+ * @returns {Object} The shifted thresholds
+ */
+export function shiftThresholds(thresholds, offset) {
+  return Object.fromEntries(
+      Object.entries(thresholds).map(([category, limit]) => [category, limit + offset])
+  );
+}
@@ -0,0 +1,557 @@
+/**
+ * @fileoverview
+ * Weather providers for the clothing recommendation Lambda.
+ * Each provider fetches a forecast for a point and normalizes it into the
+ * internal forecast model below, so the recommendation logic never sees a
+ * provider's own field names. Providers are tried in the configured order and
+ * the first one that answers wins. Every call goes through the request's upstream session,
+ * which adds timeouts, retries and circuit breakers (see upstream.mjs).
+ *
+ * Configuration (environment variables):
+ * - WEATHER_PROVIDERS: comma-separated provider names in priority order (default "open-meteo,nws")
+ * - OPEN_METEO_FORECAST_URL / OPEN_METEO_GEOCODING_URL / NWS_API_URL: base URL overrides,
+ *   e.g. to point the service at a local stand-in provider
+ */
+
+import { celsiusToFahrenheit } from "./units.mjs";
+import { ServiceError, LocationError, PlaceError, UpstreamMalformedError, UpstreamTimeoutError, UpstreamUnavailableError } from "./errors.mjs";
+
+/**
+ * @typedef {Object} HourlyForecast
+ * @property {string} time - Local time at the location, "YYYY-MM-DDTHH:MM" (no offset)
+ * @property {number} temperature - Air temperature in °F
+ * @property {number} humidity - Relative humidity as a percentage
+ * @property {number} precipitation - Precipitation for the hour in inches
+ * @property {number} windSpeed - Wind speed in mph
+ * @property {number} weatherCode - WMO weather code
+ * @property {number|null} apparentTemperature - Provider's own "feels like" temperature in °F, if any
+ * @property {number|null} cloudCover - Cloud cover as a percentage, if known
+ */
+
+/**
+ * @typedef {Object} DailyForecast
+ * @property {string} date - Local date, "YYYY-MM-DD"
+ * @property {number|null} uvIndexMax - Daily maximum UV index, if known
+ * @property {string|null} sunrise - Local sunrise time, "YYYY-MM-DDTHH:MM", if known
+ * @property {string|null} sunset - Local sunset time, "YYYY-MM-DDTHH:MM", if known
+ */
+
+/**
+ * Normalized forecast. All values are in the canonical imperial units (see units.mjs),
+ * whatever the provider reports.
+ *
+ * @typedef {Object} Forecast
+ * @property {string} provider - Name of the provider that produced the forecast
+ * @property {string|null} timezone - IANA timezone of the location, if known
+ * @property {number} utcOffsetSeconds - Offset of the local times from UTC
+ * @property {{time: string, temperature: number, windSpeed: number, weatherCode: number}} current
+ * @property {Array<HourlyForecast>} hourly - Hourly forecast, ordered by time
+ * @property {Array<DailyForecast>} daily - Daily forecast, ordered by date
+ */
+
+const DEFAULT_PROVIDERS = "open-meteo,nws";
+
+const OPEN_METEO_FORECAST_URL = process.env.OPEN_METEO_FORECAST_URL || "https://api.open-meteo.com/v1/forecast";
+const OPEN_METEO_GEOCODING_URL = process.env.OPEN_METEO_GEOCODING_URL || "https://geocoding-api.open-meteo.com/v1/search";
+const NWS_API_URL = process.env.NWS_API_URL || "https://api.weather.gov";
+
+// api.weather.gov rejects requests without an identifying User-Agent
+const NWS_HEADERS = {
+  "User-Agent": "alexa-what-to-wear (weather-layers-service)",
+  "Accept": "application/geo+json"
+};
+
+// Geocoding matches further apart than this are treated as different places
+const AMBIGUOUS_MATCH_DISTANCE_KM = 50;
+
+// Place name lookups: matches to consider, a place this many times as populous as every other
+// match is taken without asking, and the most candidates offered when the user has to choose
+const MAX_PLACE_MATCHES = 10;
+const DOMINANT_POPULATION_RATIO = 10;
+const MAX_PLACE_CANDIDATES = 3;
+
+// Postal code formats where a full code is unlikely to be in the geocoder but its
+// outward part (the district) is; "outward" and "inward" are the two halves
+const POSTCODE_FORMATS = {
+  GB: /^([A-Z]{1,2}\d[A-Z\d]?) ?(\d[A-Z]{2})$/,
+  CA: /^([A-Z]\d[A-Z]) ?(\d[A-Z]\d)$/,
+  US: /^(\d{5})(?:-?(\d{4}))?$/
+};
+
+/**
+ * Normalizes a postal code and lists the search terms to try, most specific first.
+ * "sw1a1aa" in GB becomes ["SW1A 1AA", "SW1A"]; a ZIP+4 becomes the 5-digit ZIP.
+ *
+ * @function postalCodeSearchTerms
+ * @param {string} postalCode - The postal code as entered
+ * @param {string|null} countryCode - ISO 3166-1 alpha-2 country code, if known
+ * @returns {Array<string>} Search terms
+ */
+export function postalCodeSearchTerms(postalCode, countryCode) {
+  const normalized = String(postalCode).trim().toUpperCase().replace(/\s+/g, " ");
+  const match = POSTCODE_FORMATS[countryCode]?.exec(normalized);
+
+  if (!match) {
+    return [normalized];
+  }
+  if (countryCode === "US") {
+    return [match[1]];
+  }
+  return [`${match[1]} ${match[2]}`, match[1]];
+}
+
+/**
+ * Converts a postal code into coordinates via Open-Meteo's Geocoding API, restricted to
+ * the given country when one is known. Fails with a LocationError when nothing matches
+ * or when the matches are different places (e.g. the same code in two countries).
+ *
+ * @async
+ * @function geocodeZip
+ * @param {string} zipCode - The postal code to look up
+ * @param {string|null} countryCode - ISO 3166-1 alpha-2 country code of the postal code, if known
+ * @param {UpstreamSession} upstream - The request's upstream calls (see upstream.mjs)
+ * @returns {Promise<{latitude: number, longitude: number, name: string, countryCode: string}>} The match
+ */
+export async function geocodeZip(zipCode, countryCode, upstream) {
+  const country = countryCode ? String(countryCode).trim().toUpperCase() : null;
+
+  for (const term of postalCodeSearchTerms(zipCode, country)) {
+    const geoUrl = `${OPEN_METEO_GEOCODING_URL}?name=${encodeURIComponent(term)}&count=10&language=en&format=json`
+        + (country ? `&countryCode=${country}` : "");
+    const geoData = await upstream.getJson(geoUrl);
+
+    const results = (geoData?.results || [])
+        .filter((result) => !country || result.country_code === country);
+    if (!results.length) {
+      continue;
+    }
+
+    // Prefer places that list the postal code itself over name matches
+    const exact = results.filter((result) => (result.postcodes || []).includes(term));
+    const pool = exact.length ? exact : results;
+    const [best, ...others] = pool;
+
+    const elsewhere = others.filter((other) =>
+        other.country_code !== best.country_code
+        || distanceKm(best, other) > AMBIGUOUS_MATCH_DISTANCE_KM);
+    if (elsewhere.length) {
+      console.log(`Ambiguous geocoding for "${term}": ${pool.map((r) => `${r.name}, ${r.country_code}`).join("; ")}`);
+      throw new LocationError(
+          `The postal code ${zipCode} matches more than one place. Check the country in your device address in the Alexa app.`,
+          409,
+          "ambiguous",
+          zipCode
+      );
+    }
+
+    const { latitude, longitude, name } = best;
+    return { latitude, longitude, name, countryCode: best.country_code };
+  }
+
+  throw new LocationError(`I couldn't find the postal code ${zipCode}. Check your device address in the Alexa app.`, 404, "notFound", zipCode);
+}
+
+/**
+ * Converts a place name ("Chicago", "Portland, Maine", "Paris, France") into coordinates via
+ * Open-Meteo's Geocoding API. Words after a comma narrow the matches down by region or
+ * country. When the matches are different places, the most populous one is taken if it
+ * clearly dominates (Paris, France over Paris, Texas); otherwise it fails with a PlaceError
+ * listing the candidates, like "Portland, Oregon" and "Portland, Maine". Also fails when
+ * nothing matches.
+ *
+ * @async
+ * @function geocodePlace
+ * @param {string} place - The place name as the user gave it
+ * @param {string|null} countryCode - ISO 3166-1 alpha-2 country code to search in, if known
+ * @param {UpstreamSession} upstream - The request's upstream calls (see upstream.mjs)
+ * @returns {Promise<{latitude: number, longitude: number, name: string, countryCode: string}>} The match
+ */
+export async function geocodePlace(place, countryCode, upstream) {
+  const country = countryCode ? String(countryCode).trim().toUpperCase() : null;
+  const [term, ...qualifiers] = String(place).split(",").map((part) => part.trim()).filter(Boolean);
+  if (!term) {
+    throw new ServiceError(`"${place}" isn't a place name`, "invalidRequest", 400);
+  }
+
+  const geoUrl = `${OPEN_METEO_GEOCODING_URL}?name=${encodeURIComponent(term)}&count=${MAX_PLACE_MATCHES}&language=en&format=json`
+      + (country ? `&countryCode=${country}` : "");
+  const geoData = await upstream.getJson(geoUrl);
+
+  const regions = (result) => [result.admin1, result.admin2, result.country, result.country_code].filter(Boolean).map(normalizePlaceName);
+  const results = (geoData?.results || [])
+      .filter((result) => !country || result.country_code === country)
+      .filter((result) => qualifiers.every((qualifier) => regions(result).some((region) => region.startsWith(normalizePlaceName(qualifier)))));
+  if (!results.length) {
+    throw new PlaceError(`I couldn't find a place called ${place}.`, 404, "notFound", place);
+  }
+
+  // Open-Meteo ranks matches by importance; keep one match per place
+  const [best, ...others] = results;
+  const elsewhere = others.filter((other) => distanceKm(best, other) > AMBIGUOUS_MATCH_DISTANCE_KM);
+  const rivals = elsewhere.filter((other) => (best.population || 0) < DOMINANT_POPULATION_RATIO * Math.max(other.population || 0, 1));
+  if (rivals.length) {
+    const candidates = [best, ...rivals]
+        .filter((result, i, all) => all.findIndex((other) => distanceKm(result, other) <= AMBIGUOUS_MATCH_DISTANCE_KM) === i)
+        .slice(0, MAX_PLACE_CANDIDATES);
+    console.log(`Ambiguous place "${place}": ${candidates.map((r) => `${r.name}, ${r.admin1 || ""}, ${r.country_code}`).join("; ")}`);
+    throw new PlaceError(
+        `${place} matches more than one place.`,
+        409,
+        "ambiguous",
+        place,
+        candidates.map((result) => ({
+          name: describePlace(result, candidates),
+          latitude: result.latitude,
+          longitude: result.longitude
+        }))
+    );
+  }
+
+  const { latitude, longitude, name } = best;
+  return { latitude, longitude, name, countryCode: best.country_code };
+}
+
+/**
+ * Names a place so it can be told apart from the other candidates: by region within one
+ * country ("Portland, Oregon"), by country otherwise ("Paris, France"), or by both when
+ * the country alone isn't enough.
+ *
+ * @function describePlace
+ * @param {Object} result - An Open-Meteo geocoding result
+ * @param {Array<Object>} candidates - All the candidates, including result
+ * @returns {string} The name
+ */
+function describePlace(result, candidates) {
+  const countries = new Set(candidates.map((candidate) => candidate.country_code));
+  const sharesCountry = candidates.some((candidate) => candidate !== result && candidate.country_code === result.country_code);
+  const parts = countries.size === 1
+      ? [result.name, result.admin1]
+      : [result.name, sharesCountry ? result.admin1 : null, result.country];
+  return parts.filter(Boolean).join(", ");
+}
+
+/**
+ * Normalizes a place name for matching: trimmed, lower case and without accents.
+ *
+ * @function normalizePlaceName
+ * @param {string} name - The name
+ * @returns {string} The normalized name
+ */
+function normalizePlaceName(name) {
+  return String(name).normalize("NFD").replace(/\p{M}/gu, "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Great-circle distance between two points.
+ *
+ * @function distanceKm
+ * @param {{latitude: number, longitude: number}} a - First point
+ * @param {{latitude: number, longitude: number}} b - Second point
+ * @returns {number} Distance in kilometers
+ */
+function distanceKm(a, b) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Open-Meteo forecast provider. Requests imperial units so no conversion is needed.
+ */
+export const openMeteoProvider = {
+  name: "open-meteo",
+
+  /**
+   * @async
+   * @param {{latitude: number, longitude: number}} location - The point to forecast
+   * @param {UpstreamSession} upstream - The request's upstream calls (see upstream.mjs)
+   * @returns {Promise<Forecast>} The normalized forecast
+   */
+  async getForecast({ latitude, longitude }, upstream) {
+    const weatherUrl = `${OPEN_METEO_FORECAST_URL}?latitude=${latitude}&longitude=${longitude}`
+        + `&hourly=temperature_2m,relativehumidity_2m,precipitation,windspeed_10m,weathercode,apparent_temperature,cloudcover`
+        + `&daily=uv_index_max,sunrise,sunset&current_weather=true&timezone=auto`
+        + `&temperature_unit=fahrenheit&windspeed_unit=mph&precipitation_unit=inch`;
+    const weatherData = await upstream.getJson(weatherUrl);
+
+    if (!weatherData || !weatherData.current_weather) {
+      throw new UpstreamMalformedError("No current_weather data from Open-Meteo.");
+    }
+
+    const hourly = weatherData.hourly || {};
+    const daily = weatherData.daily || {};
+
+    return {
+      provider: this.name,
+      timezone: weatherData.timezone || null,
+      utcOffsetSeconds: weatherData.utc_offset_seconds || 0,
+      current: {
+        time: weatherData.current_weather.time,
+        temperature: weatherData.current_weather.temperature,
+        windSpeed: weatherData.current_weather.windspeed,
+        weatherCode: weatherData.current_weather.weathercode
+      },
+      hourly: (hourly.time || []).map((time, i) => ({
+        time,
+        temperature: hourly.temperature_2m?.[i],
+        humidity: hourly.relativehumidity_2m?.[i],
+        precipitation: hourly.precipitation?.[i] ?? 0,
+        windSpeed: hourly.windspeed_10m?.[i],
+        weatherCode: hourly.weathercode?.[i],
+        apparentTemperature: hourly.apparent_temperature?.[i] ?? null,
+        cloudCover: hourly.cloudcover?.[i] ?? null
+      })),
+      daily: (daily.time || []).map((date, i) => ({
+        date,
+        uvIndexMax: daily.uv_index_max?.[i] ?? null,
+        sunrise: daily.sunrise?.[i] ?? null,
+        sunset: daily.sunset?.[i] ?? null
+      }))
+    };
+  }
+};
+
+/**
+ * US National Weather Service provider (api.weather.gov). Only covers US points.
+ * The hourly forecast carries temperature, wind and humidity; precipitation amounts,
+ * apparent temperature and sky cover come from the gridpoint data. NWS has no UV index or sunrise/sunset, so sunrise
+ * and sunset are approximated from the hourly day/night flag.
+ */
+export const nwsProvider = {
+  name: "nws",
+
+  /**
+   * @async
+   * @param {{latitude: number, longitude: number}} location - The point to forecast
+   * @param {UpstreamSession} upstream - The request's upstream calls (see upstream.mjs)
+   * @returns {Promise<Forecast>} The normalized forecast
+   */
+  async getForecast({ latitude, longitude }, upstream) {
+    const points = await upstream.getJson(
+      `${NWS_API_URL}/points/${latitude.toFixed(4)},${longitude.toFixed(4)}`,
+      NWS_HEADERS
+    );
+    const { forecastHourly, forecastGridData, timeZone } = points?.properties || {};
+    if (!forecastHourly || !forecastGridData) {
+      throw new UpstreamMalformedError("NWS has no forecast for this location.");
+    }
+
+    const [hourlyData, gridData] = await Promise.all([
+      upstream.getJson(forecastHourly, NWS_HEADERS),
+      upstream.getJson(forecastGridData, NWS_HEADERS)
+    ]);
+
+    const periods = hourlyData?.properties?.periods || [];
+    if (!periods.length) {
+      throw new UpstreamMalformedError("No hourly periods from NWS.");
+    }
+
+    // Gridpoint QPF is in millimeters over multi-hour intervals, apparent temperature in °C
+    const grid = gridData?.properties || {};
+    const precipByHour = expandGridSeries(grid.quantitativePrecipitation?.values || [], true);
+    const apparentByHour = expandGridSeries(grid.apparentTemperature?.values || []);
+    const skyCoverByHour = expandGridSeries(grid.skyCover?.values || []);
+
+    const hourly = periods.map((period) => {
+      const hourStart = Date.parse(period.startTime);
+      const apparentC = apparentByHour.get(hourStart);
+      return {
+        time: period.startTime.slice(0, 16),
+        temperature: period.temperatureUnit === "C"
+          ? celsiusToFahrenheit(period.temperature)
+          : period.temperature,
+        humidity: period.relativeHumidity?.value ?? 50,
+        precipitation: (precipByHour.get(hourStart) || 0) / 25.4,
+        windSpeed: parseNwsWindSpeed(period.windSpeed),
+        weatherCode: nwsForecastToWeatherCode(period.shortForecast),
+        apparentTemperature: apparentC === undefined ? null : celsiusToFahrenheit(apparentC),
+        cloudCover: skyCoverByHour.get(hourStart) ?? null,
+        isDaytime: period.isDaytime
+      };
+    });
+
+    const first = hourly[0];
+    return {
+      provider: this.name,
+      timezone: timeZone || null,
+      utcOffsetSeconds: parseUtcOffsetSeconds(periods[0].startTime),
+      current: {
+        time: first.time,
+        temperature: first.temperature,
+        windSpeed: first.windSpeed,
+        weatherCode: first.weatherCode
+      },
+      hourly: hourly.map(({ isDaytime, ...hour }) => hour),
+      daily: summarizeNwsDays(hourly)
+    };
+  }
+};
+
+const PROVIDERS = {
+  [openMeteoProvider.name]: openMeteoProvider,
+  [nwsProvider.name]: nwsProvider
+};
+
+/**
+ * Resolves the configured providers, in priority order.
+ *
+ * @function getConfiguredProviders
+ * @returns {Array<Object>} Providers to try, first to last
+ */
+export function getConfiguredProviders() {
+  const names = (process.env.WEATHER_PROVIDERS || DEFAULT_PROVIDERS)
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+
+  const providers = names.map((name) => {
+    if (!PROVIDERS[name]) {
+      console.warn(`Ignoring unknown weather provider "${name}"`);
+    }
+    return PROVIDERS[name];
+  }).filter(Boolean);
+
+  return providers.length ? providers : [openMeteoProvider];
+}
+
+// Failures that are reported as such when every provider fails that way
+const SHARED_FAILURES = {
+  upstreamTimeout: UpstreamTimeoutError,
+  upstreamMalformed: UpstreamMalformedError
+};
+
+/**
+ * Fetches a forecast from the first configured provider that succeeds. When they all fail
+ * the same way (all timed out, say) the error has that kind; otherwise the providers count
+ * as unavailable.
+ *
+ * @async
+ * @function fetchForecast
+ * @param {{latitude: number, longitude: number}} location - The point to forecast
+ * @param {UpstreamSession} upstream - The request's upstream calls (see upstream.mjs)
+ * @returns {Promise<Forecast>} The normalized forecast
+ */
+export async function fetchForecast(location, upstream) {
+  const errors = [];
+
+  for (const provider of getConfiguredProviders()) {
+    try {
+      return await provider.getForecast(location, upstream);
+    } catch (err) {
+      console.error(`Weather provider ${provider.name} failed:`, err);
+      errors.push({ provider: provider.name, err });
+    }
+  }
+
+  const message = `All weather providers failed (${errors.map(({ provider, err }) => `${provider}: ${err.message}`).join("; ")})`;
+  const codes = new Set(errors.map(({ err }) => err.code));
+  const UpstreamError = (codes.size === 1 && SHARED_FAILURES[[...codes][0]]) || UpstreamUnavailableError;
+  throw new UpstreamError(message);
+}
+
+/**
+ * Expands NWS gridpoint values ("validTime": "<start>/PT<n>H") to each hour of their
+ * interval. Accumulated amounts (e.g. precipitation) are spread evenly over the hours;
+ * other values (temperatures, percentages) hold for every hour.
+ *
+ * @function expandGridSeries
+ * @param {Array<{validTime: string, value: number}>} values - Gridpoint time series
+ * @param {boolean} [accumulated=false] - Whether each value is a total for its interval
+ * @returns {Map<number, number>} Map of UTC hour start (ms) to value
+ */
+function expandGridSeries(values, accumulated = false) {
+  const byHour = new Map();
+  for (const { validTime, value } of values) {
+    const [start, duration] = validTime.split("/");
+    const startMs = Date.parse(start);
+    const days = Number(/(\d+)D/.exec(duration)?.[1] || 0);
+    const hours = Number(/T.*?(\d+)H/.exec(duration)?.[1] || 0);
+    const span = Math.max(days * 24 + hours, 1);
+    for (let h = 0; h < span; h++) {
+      byHour.set(startMs + h * 3600000, accumulated ? (value || 0) / span : value);
+    }
+  }
+  return byHour;
+}
+
+/**
+ * Parses NWS wind strings such as "10 mph" or "5 to 15 mph", using the upper value.
+ *
+ * @function parseNwsWindSpeed
+ * @param {string} windSpeed - The NWS wind speed string
+ * @returns {number} Wind speed in mph
+ */
+function parseNwsWindSpeed(windSpeed) {
+  const speeds = String(windSpeed || "").match(/\d+/g);
+  return speeds ? Math.max(...speeds.map(Number)) : 0;
+}
+
+/**
+ * Reads the UTC offset from an ISO timestamp such as "2024-01-01T14:00:00-05:00".
+ *
+ * @function parseUtcOffsetSeconds
+ * @param {string} isoTime - ISO timestamp with an offset
+ * @returns {number} Offset from UTC in seconds
+ */
+function parseUtcOffsetSeconds(isoTime) {
+  const match = /([+-])(\d{2}):(\d{2})$/.exec(isoTime);
+  if (!match) return 0;
+  const seconds = Number(match[2]) * 3600 + Number(match[3]) * 60;
+  return match[1] === "-" ? -seconds : seconds;
+}
+
+/**
+ * Maps an NWS short forecast ("Chance Light Rain", "Mostly Sunny") to the closest WMO code.
+ *
+ * @function nwsForecastToWeatherCode
+ * @param {string} shortForecast - The NWS short forecast text
+ * @returns {number} A WMO weather code
+ */
+function nwsForecastToWeatherCode(shortForecast) {
+  const text = String(shortForecast || "").toLowerCase();
+  const heavy = text.includes("heavy");
+  const light = text.includes("light");
+
+  if (text.includes("thunder")) return 95;
+  if (text.includes("freezing drizzle")) return 56;
+  if (text.includes("freezing rain")) return heavy ? 67 : 66;
+  if (text.includes("snow showers")) return heavy ? 86 : 85;
+  if (text.includes("snow") || text.includes("sleet")) return heavy ? 75 : (light ? 71 : 73);
+  if (text.includes("drizzle")) return 51;
+  if (text.includes("showers")) return heavy ? 82 : (light ? 80 : 81);
+  if (text.includes("rain")) return heavy ? 65 : (light ? 61 : 63);
+  if (text.includes("fog")) return 45;
+  if (text.includes("mostly cloudy") || text.includes("overcast") || text === "cloudy") return 3;
+  if (text.includes("partly")) return 2;
+  if (text.includes("mostly")) return 1;
+  return 0;
+}
+
+/**
+ * Builds daily entries from NWS hourly periods, taking sunrise and sunset as the
+ * first hour of each day where the day/night flag flips.
+ *
+ * @function summarizeNwsDays
+ * @param {Array<Object>} hourly - Normalized hourly entries that still carry isDaytime
+ * @returns {Array<DailyForecast>} Daily entries
+ */
+function summarizeNwsDays(hourly) {
+  const days = new Map();
+
+  hourly.forEach((hour, i) => {
+    const date = hour.time.slice(0, 10);
+    if (!days.has(date)) {
+      days.set(date, { date, uvIndexMax: null, sunrise: null, sunset: null });
+    }
+    const day = days.get(date);
+    const previous = hourly[i - 1];
+    if (!previous) return;
+    if (hour.isDaytime && !previous.isDaytime && !day.sunrise) day.sunrise = hour.time;
+    if (!hour.isDaytime && previous.isDaytime && !day.sunset) day.sunset = hour.time;
+  });
+
+  return [...days.values()];
+}
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview
+ * Declarative clothing rules for the clothing recommendation Lambda.
+ * The weather-to-clothing logic lives in a rules file (clothing-rules.json by default, or the
+ * file named by CLOTHING_RULES_FILE). Speech and APL cards are both rendered from the same
+ * fired rules, so they can't disagree, and rules can be tuned without touching the handler.
+ *
+ * Rule format:
+ * - id: unique name, reported in diagnostics
+ * - when: conditions, all of which must hold (see CONDITIONS below); {} always fires
+ * - speech: optional sentence for the spoken advice (English; translated by rule id in the
+ *   message catalogs, see messages.mjs)
+ * - summary: optional short advice, used for later-today and multi-day summaries
+ * - apl: optional APL clothing cards ({ item, emoji }). A card worn on the body also names
+ *   its zone ("head", "base", "mid", "outer", "hands", "legs" or "feet"), and the outfit's
+ *   zones are dressed with these cards (see layers.mjs); an outer card can be a "rain" or
+ *   "wind" shell, or waterproof (true)
+ * - removes: optional APL card names this rule replaces (e.g. "Shorts")
+ * - priority: ordering of speech and cards (higher first); default 0
+ * - group: optional exclusive group - only the highest-priority fired rule of a group is kept
+ * - warning: optional; true for safety advice, which is emphasized in the SSML speech
+ */
+
+import { readFileSync } from "node:fs";
+
+const DEFAULT_RULES_FILE = new URL("./clothing-rules.json", import.meta.url);
+
+// Body zones a clothing card can be worn on (see layers.mjs)
+const ZONES = ["head", "base", "mid", "outer", "hands", "legs", "feet"];
+
+/**
+ * Facts a rule's conditions are checked against (see buildFacts in index.mjs):
+ * - category: temperature category of the effective temperature
+ * - effectiveTemp, precipitation, windSpeed, humidity, uvIndex: numbers in canonical units
+ * - weather: weather description (e.g. "Light Rain")
+ * - daytime: whether the sun is up
+ * - activity: activity name (e.g. "running")
+ * - ageGroup: age group of the person dressing ("child", "teen", "adult" or "senior")
+ * - preferences: clothing preferences (e.g. ["noShorts", "bikes"])
+ * - wardrobe: whether the outfit comes from the user's own wardrobe
+ * - alerts: names of the official weather alerts in effect (e.g. ["Winter Storm Warning"])
+ * - aqi: US Air Quality Index (NaN if unknown)
+ * - pollen: pollen level per group, e.g. { grass: "high", tree: "low", weed: null }
+ */
+const CONDITIONS = {
+  category: (expected, facts) => expected.includes(facts.category),
+  effectiveTemp: (expected, facts) => inRange(facts.effectiveTemp, expected),
+  precipitation: (expected, facts) => inRange(facts.precipitation, expected),
+  windSpeed: (expected, facts) => inRange(facts.windSpeed, expected),
+  humidity: (expected, facts) => inRange(facts.humidity, expected),
+  uvIndex: (expected, facts) => inRange(facts.uvIndex, expected),
+  weather: (expected, facts) => expected.some((keyword) => facts.weather.includes(keyword)),
+  daytime: (expected, facts) => facts.daytime === expected,
+  activity: (expected, facts) => expected.includes(facts.activity),
+  ageGroup: (expected, facts) => expected.includes(facts.ageGroup),
+  preferences: (expected, facts) => expected.every((preference) => facts.preferences.includes(preference)),
+  wardrobe: (expected, facts) => facts.wardrobe === expected,
+  alert: (expected, facts) => expected.some((keyword) =>
+      facts.alerts.some((event) => event.toLowerCase().includes(keyword.toLowerCase()))),
+  aqi: (expected, facts) => inRange(facts.aqi, expected),
+  // Any of the listed groups at one of its listed levels, e.g. { "grass": ["high"], "tree": ["high"] }
+  pollen: (expected, facts) => Object.entries(expected).some(([group, levels]) => levels.includes(facts.pollen[group])),
+  not: (expected, facts) => !matches(expected, facts)
+};
+
+/**
+ * Checks a number against a range condition such as { "gt": 0.25 } or { "gte": 3, "lt": 6 }.
+ *
+ * @function inRange
+ * @param {number} value - The fact
+ * @param {{gt?: number, gte?: number, lt?: number, lte?: number}} range - The bounds
+ * @returns {boolean} True if the value is within every bound
+ */
+function inRange(value, range) {
+  if (range.gt !== undefined && !(value > range.gt)) return false;
+  if (range.gte !== undefined && !(value >= range.gte)) return false;
+  if (range.lt !== undefined && !(value < range.lt)) return false;
+  if (range.lte !== undefined && !(value <= range.lte)) return false;
+  return true;
+}
+
+/**
+ * Checks every condition of a rule's `when` against the facts.
+ *
+ * @function matches
+ * @param {Object} when - The conditions
+ * @param {Object} facts - The facts
+ * @returns {boolean} True if all conditions hold
+ */
+function matches(when, facts) {
+  return Object.entries(when).every(([name, expected]) => CONDITIONS[name](expected, facts));
+}
+
+/**
+ * Loads and validates a rules file. Unknown condition names and zones fail loudly at cold
+ * start rather than silently never matching.
+ *
+ * @function loadRules
+ * @param {string|URL} [file] - Path of the rules file
+ * @returns {Array<Object>} The rules, highest priority first
+ */
+export function loadRules(file = process.env.CLOTHING_RULES_FILE || DEFAULT_RULES_FILE) {
+  const { rules } = JSON.parse(readFileSync(file, "utf8"));
+
+  const validate = (when, id) => Object.entries(when).forEach(([name, expected]) => {
+    if (!CONDITIONS[name]) {
+      throw new Error(`Clothing rule "${id}" has an unknown condition "${name}"`);
+    }
+    if (name === "not") validate(expected, id);
+  });
+  rules.forEach((rule) => {
+    if (!rule.id || typeof rule.when !== "object") {
+      throw new Error(`Clothing rule ${JSON.stringify(rule.id)} needs an id and a "when" object`);
+    }
+    validate(rule.when, rule.id);
+    (rule.apl || []).filter((card) => card.zone && !ZONES.includes(card.zone)).forEach((card) => {
+      throw new Error(`Clothing rule "${rule.id}" puts "${card.item}" on an unknown zone "${card.zone}"`);
+    });
+  });
+
+  return rules.slice().sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+export const CLOTHING_RULES = loadRules();
+
+/**
+ * Fires the rules that match the facts, keeping only the highest-priority rule of each group.
+ *
+ * @function evaluateRules
+ * @param {Object} facts - The facts (see CONDITIONS)
+ * @param {Array<Object>} [rules] - Rules, highest priority first
+ * @returns {Array<Object>} The fired rules, highest priority first
+ */
+export function evaluateRules(facts, rules = CLOTHING_RULES) {
+  const firedGroups = new Set();
+  return rules.filter((rule) => {
+    if (rule.group && firedGroups.has(rule.group)) return false;
+    if (!matches(rule.when, facts)) return false;
+    if (rule.group) firedGroups.add(rule.group);
+    return true;
+  });
+}
+
+/**
+ * The spoken advice of the fired rules.
+ *
+ * @function renderSpeech
+ * @param {Array<Object>} fired - Fired rules (see evaluateRules)
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The sentences, highest priority first
+ */
+export function renderSpeech(fired, messages) {
+  return fired
+      .filter((rule) => rule.speech)
+      .map((rule) => (rule.warning ? messages.warning(messages.rule(rule, "speech")) : messages.rule(rule, "speech")))
+      .join(" ");
+}
+
+/**
+ * The APL clothing cards of the fired rules, without duplicates and without cards
+ * another fired rule removes. Item names stay English, as `removes` and wardrobe items
+ * match on them; they're translated for display (see generateAPLData in index.mjs).
+ *
+ * @function renderAplItems
+ * @param {Array<Object>} fired - Fired rules (see evaluateRules)
+ * @returns {Array<{item: string, emoji: string}>} The cards, highest priority first
+ */
+export function renderAplItems(fired) {
+  return pickCards(fired).map((card) => ({ item: card.item, emoji: card.emoji }));
+}
+
+/**
+ * The cards of the fired rules worn on each body zone (see renderAplItems).
+ *
+ * @function renderZoneItems
+ * @param {Array<Object>} fired - Fired rules (see evaluateRules)
+ * @returns {Object<string, {item: string, emoji: string, shell?: string, waterproof?: boolean}>}
+ *   The card per zone; zones nothing is worn on are left out
+ */
+export function renderZoneItems(fired) {
+  return Object.fromEntries(pickCards(fired).filter((card) => card.zone).map((card) => [card.zone, card]));
+}
+
+/**
+ * The cards of the fired rules, without duplicates and without cards another fired rule
+ * removes. Only one card is worn on a zone: the highest-priority one, so a lower-priority card
+ * for a zone that's taken isn't shown either.
+ *
+ * @function pickCards
+ * @param {Array<Object>} fired - Fired rules (see evaluateRules)
+ * @returns {Array<Object>} The cards, highest priority first
+ */
+function pickCards(fired) {
+  const removed = new Set(fired.flatMap((rule) => rule.removes || []));
+  const cards = [];
+  fired.flatMap((rule) => rule.apl || []).forEach((card) => {
+    if (!removed.has(card.item)
+        && !cards.some((existing) => existing.item === card.item || (card.zone && existing.zone === card.zone))) {
+      cards.push(card);
+    }
+  });
+  return cards;
+}
+
+/**
+ * Short advice for a temperature category: the summaries of the rules that fire for the
+ * category alone (calm, dry, no activity or preferences), or with the given facts changed.
+ *
+ * @function summarizeConditions
+ * @param {string} category - The temperature category
+ * @param {Object} overrides - Facts to use instead of the calm, dry defaults (e.g. { precipitation: 0.4 })
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @param {Array<Object>} [rules] - Rules, highest priority first
+ * @returns {string} The summaries (empty if no fired rule has one)
+ */
+export function summarizeConditions(category, overrides, messages, rules = CLOTHING_RULES) {
+  const facts = {
+    category,
+    effectiveTemp: NaN,
+    precipitation: 0,
+    windSpeed: 0,
+    humidity: 0,
+    uvIndex: 0,
+    weather: "",
+    daytime: true,
+    activity: "casual",
+    ageGroup: "adult",
+    preferences: [],
+    wardrobe: false,
+    alerts: [],
+    aqi: NaN,
+    pollen: {},
+    ...overrides
+  };
+  return evaluateRules(facts, rules)
+      .filter((rule) => rule.summary)
+      .map((rule) => messages.rule(rule, "summary"))
+      .join(" ");
+}
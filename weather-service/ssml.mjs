@@ -0,0 +1,95 @@
+/**
+ * @fileoverview
+ * SSML rendering of the spoken responses for the clothing recommendation Lambda.
+ * Responses are built as plain text, in sections (alerts, now, later today, ...); the plain
+ * text stays the `response` for APL and non-voice clients, and the same sections are
+ * rendered as SSML for Alexa: escaped, with a pause between sections, the spoken times
+ * marked as times and safety warnings emphasized. The times and warnings are the ones the
+ * request's messages have marked as they were spoken (see messages.mjs).
+ */
+
+// Pause between sections, e.g. between "now" and "later today"
+const SECTION_BREAK = '<break time="500ms"/>';
+
+const SSML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  "\"": "&quot;",
+  "'": "&apos;"
+};
+
+/**
+ * Escapes the characters SSML reserves.
+ *
+ * @function escapeSsml
+ * @param {string} text - Plain text
+ * @returns {string} The text, safe inside an SSML element
+ */
+export function escapeSsml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => SSML_ESCAPES[char]);
+}
+
+/**
+ * A spoken response in both forms.
+ *
+ * @typedef {Object} Speech
+ * @property {string} text - Plain text, the sections joined by spaces
+ * @property {string} ssml - The same speech as an SSML document ("<speak>...</speak>")
+ */
+
+/**
+ * Renders the sections of a spoken response as plain text and SSML. Empty sections are dropped.
+ *
+ * @function composeSpeech
+ * @param {Array<string>} sections - Plain-text sections, in speaking order
+ * @param {{times: Set<string>, warnings: Set<string>}} marks - Spoken times and warnings to mark up (see messages.mjs)
+ * @returns {Speech} The speech
+ */
+export function composeSpeech(sections, marks) {
+  const spoken = sections.filter(Boolean);
+  return {
+    text: spoken.join(" "),
+    ssml: `<speak>${spoken.map((section) => renderSection(section, marks)).join(SECTION_BREAK)}</speak>`
+  };
+}
+
+/**
+ * Renders one section as SSML: warnings first (they can contain times), then the times in
+ * and around them.
+ *
+ * @function renderSection
+ * @param {string} section - Plain text
+ * @param {{times: Set<string>, warnings: Set<string>}} marks - Spoken times and warnings to mark up
+ * @returns {string} The SSML fragment
+ */
+function renderSection(section, marks) {
+  let ssml = escapeSsml(section);
+  const warnings = matcher(marks.warnings);
+  if (warnings) {
+    ssml = ssml.replace(warnings, (warning) => `<emphasis level="strong">${warning}</emphasis>`);
+  }
+  // Whole times only: "1 PM" isn't the end of "11 PM"
+  const times = matcher(marks.times, "(?<![\\w:])", "(?![\\w:])");
+  if (times) {
+    ssml = ssml.replace(times, (time) => `<say-as interpret-as="time">${time}</say-as>`);
+  }
+  return ssml;
+}
+
+/**
+ * A regular expression matching any of the given phrases (escaped for SSML), longest first.
+ *
+ * @function matcher
+ * @param {Set<string>} phrases - Plain-text phrases
+ * @param {string} [before] - Lookbehind for each match
+ * @param {string} [after] - Lookahead for each match
+ * @returns {RegExp|null} The expression, or null without phrases
+ */
+function matcher(phrases, before = "", after = "") {
+  const alternatives = [...phrases]
+      .filter(Boolean)
+      .map((phrase) => escapeSsml(phrase).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .sort((a, b) => b.length - a.length);
+  return alternatives.length ? new RegExp(`${before}(?:${alternatives.join("|")})${after}`, "g") : null;
+}
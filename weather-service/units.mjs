@@ -0,0 +1,120 @@
+/**
+ * @fileoverview
+ * Unit systems for the clothing recommendation Lambda.
+ * All recommendation math runs in one canonical system (imperial: °F, mph, inches),
+ * which is what the thresholds are written in. Values are converted to the user's
+ * unit system only when they are rendered for speech, APL or the JSON response.
+ */
+
+export const DEFAULT_UNIT_SYSTEM = "imperial";
+
+export const UNIT_SYSTEMS = {
+  imperial: {
+    name: "imperial",
+    temperatureSymbol: "°F",
+    windSpeedUnit: "mph",
+    precipitationUnit: "in"
+  },
+  metric: {
+    name: "metric",
+    temperatureSymbol: "°C",
+    windSpeedUnit: "km/h",
+    precipitationUnit: "mm"
+  }
+};
+
+// Accepted spellings of the `units` query parameter
+const UNIT_ALIASES = {
+  imperial: "imperial",
+  us: "imperial",
+  fahrenheit: "imperial",
+  f: "imperial",
+  metric: "metric",
+  si: "metric",
+  celsius: "metric",
+  c: "metric"
+};
+
+/**
+ * Resolves a requested unit system, falling back to imperial.
+ *
+ * @function resolveUnitSystem
+ * @param {string|undefined} requested - The requested system (e.g. "metric", "celsius")
+ * @returns {Object} One of UNIT_SYSTEMS
+ */
+export function resolveUnitSystem(requested) {
+  const name = UNIT_ALIASES[String(requested || "").trim().toLowerCase()] || DEFAULT_UNIT_SYSTEM;
+  return UNIT_SYSTEMS[name];
+}
+
+/**
+ * Converts Celsius to Fahrenheit.
+ *
+ * @function celsiusToFahrenheit
+ * @param {number} tempC - Temperature in °C
+ * @returns {number} Temperature in °F
+ */
+export function celsiusToFahrenheit(tempC) {
+  return tempC * 9 / 5 + 32;
+}
+
+/**
+ * Converts a canonical (°F) temperature to the given unit system.
+ *
+ * @function convertTemperature
+ * @param {number} tempF - Temperature in °F
+ * @param {Object} units - One of UNIT_SYSTEMS
+ * @returns {number} Temperature in the system's unit
+ */
+export function convertTemperature(tempF, units) {
+  return units.name === "metric" ? (tempF - 32) * 5 / 9 : tempF;
+}
+
+/**
+ * Converts a canonical (mph) wind speed to the given unit system.
+ *
+ * @function convertWindSpeed
+ * @param {number} windMph - Wind speed in mph
+ * @param {Object} units - One of UNIT_SYSTEMS
+ * @returns {number} Wind speed in the system's unit
+ */
+export function convertWindSpeed(windMph, units) {
+  return units.name === "metric" ? windMph * 1.609344 : windMph;
+}
+
+/**
+ * Converts a canonical (inches) precipitation amount to the given unit system.
+ *
+ * @function convertPrecipitation
+ * @param {number} precipIn - Precipitation in inches
+ * @param {Object} units - One of UNIT_SYSTEMS
+ * @returns {number} Precipitation in the system's unit
+ */
+export function convertPrecipitation(precipIn, units) {
+  return units.name === "metric" ? precipIn * 25.4 : precipIn;
+}
+
+/**
+ * Rounds a canonical temperature in the user's unit, for display.
+ *
+ * @function displayTemperature
+ * @param {number} tempF - Temperature in °F
+ * @param {Object} units - One of UNIT_SYSTEMS
+ * @returns {number} Rounded temperature in the system's unit
+ */
+export function displayTemperature(tempF, units) {
+  return Math.round(convertTemperature(tempF, units));
+}
+
+/**
+ * Renders a canonical temperature for speech, e.g. "54 degrees" or "12 grados Celsius".
+ *
+ * @function speakTemperature
+ * @param {number} tempF - Temperature in °F
+ * @param {Object} units - One of UNIT_SYSTEMS
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The spoken temperature
+ */
+export function speakTemperature(tempF, units, messages) {
+  return messages.t(`temperature.${units.name}`, { value: displayTemperature(tempF, units) });
+}
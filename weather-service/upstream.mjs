@@ -0,0 +1,255 @@
+/**
+ * @fileoverview
+ * Resilient GETs to the upstream APIs (geocoding, forecasts, alerts and air quality).
+ * Each request to the Lambda gets a session with a total deadline for its upstream calls.
+ * Every attempt has its own timeout, cut short by the deadline. Failures that look transient
+ * (network errors, timeouts, 408, 429 and 5xx) are retried after a random, exponentially
+ * growing delay ("full jitter"). Every upstream host has a circuit breaker: after enough
+ * failures in a row its calls fail at once for a while, instead of waiting on a host that's
+ * down. Breakers live in module scope, so they survive warm invocations. The session reports
+ * each call for the response diagnostics.
+ *
+ * The skill calls this service with the same policy (skill-service/lambda/resilience.js);
+ * keep the two in step.
+ *
+ * Configuration (environment variables):
+ * - UPSTREAM_TIMEOUT_MS: timeout of one attempt (default 2500)
+ * - UPSTREAM_DEADLINE_MS: time for all upstream calls of a request (default 6000)
+ * - UPSTREAM_RETRIES: retries after a transient failure (default 2)
+ * - UPSTREAM_RETRY_DELAY_MS: most delay before the first retry, doubled for each next one (default 200)
+ * - CIRCUIT_FAILURE_THRESHOLD: failures in a row that open a host's circuit (default 5)
+ * - CIRCUIT_RESET_SECONDS: how long an open circuit fails calls before letting one through (default 30)
+ */
+
+import { UpstreamMalformedError, UpstreamTimeoutError, UpstreamUnavailableError, upstreamFetchError } from "./errors.mjs";
+
+const TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS) || 2500;
+const DEADLINE_MS = Number(process.env.UPSTREAM_DEADLINE_MS) || 6000;
+const RETRIES = Number(process.env.UPSTREAM_RETRIES ?? 2);
+const RETRY_DELAY_MS = Number(process.env.UPSTREAM_RETRY_DELAY_MS) || 200;
+const FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+const RESET_SECONDS = Number(process.env.CIRCUIT_RESET_SECONDS) || 30;
+
+// Statuses that mean "try again": the host is overloaded or failed, not the request
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Circuit breaker for one upstream host. Closed, it lets calls through and counts failures
+ * in a row; at the threshold it opens and fails calls at once. After the reset time it lets
+ * one call through (half-open): a success closes it again, a failure opens it for another
+ * reset time.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} name - The host, for the logs
+   * @param {number} [failureThreshold] - Failures in a row that open the circuit
+   * @param {number} [resetSeconds] - How long the circuit stays open
+   */
+  constructor(name, failureThreshold = FAILURE_THRESHOLD, resetSeconds = RESET_SECONDS) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetSeconds * 1000;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * @param {number} [now] - Current time (ms since epoch)
+   * @returns {string} "closed", "open" or "half-open"
+   */
+  state(now = Date.now()) {
+    if (this.openedAt === null) {
+      return "closed";
+    }
+    return now - this.openedAt < this.resetMs ? "open" : "half-open";
+  }
+
+  /**
+   * @param {number} [now] - Current time (ms since epoch)
+   * @returns {boolean} Whether a call may go through
+   */
+  allows(now = Date.now()) {
+    return this.state(now) !== "open";
+  }
+
+  /**
+   * Records a call that reached the host.
+   */
+  succeeded() {
+    if (this.openedAt !== null) {
+      console.log(`Circuit for ${this.name} closed`);
+    }
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Records a call that failed; opens the circuit at the threshold, or again after a failed trial call.
+   *
+   * @param {number} [now] - Current time (ms since epoch)
+   */
+  failed(now = Date.now()) {
+    this.failures++;
+    if (this.state(now) === "half-open" || this.failures >= this.failureThreshold) {
+      if (this.state(now) !== "open") {
+        console.warn(`Circuit for ${this.name} opened after ${this.failures} failures in a row`);
+      }
+      this.openedAt = now;
+    }
+  }
+}
+
+// Circuit breakers by upstream host; module scope, so they survive warm invocations
+const breakers = new Map();
+
+/**
+ * The circuit breaker of a URL's host.
+ *
+ * @function breakerFor
+ * @param {string} url - An upstream URL
+ * @returns {CircuitBreaker} The host's breaker
+ */
+function breakerFor(url) {
+  const { host } = new URL(url);
+  if (!breakers.has(host)) {
+    breakers.set(host, new CircuitBreaker(host));
+  }
+  return breakers.get(host);
+}
+
+/**
+ * The upstream calls of one request to the Lambda, sharing its deadline.
+ */
+export class UpstreamSession {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Timeout of one attempt
+   * @param {number} [options.deadlineMs] - Time for all calls of the session
+   * @param {number} [options.retries] - Retries after a transient failure
+   * @param {number} [options.retryDelayMs] - Most delay before the first retry
+   */
+  constructor({ timeoutMs = TIMEOUT_MS, deadlineMs = DEADLINE_MS, retries = RETRIES, retryDelayMs = RETRY_DELAY_MS } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.deadlineMs = deadlineMs;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.startedAt = Date.now();
+    this.calls = [];
+  }
+
+  /**
+   * @returns {number} Milliseconds left before the deadline
+   */
+  remaining() {
+    return this.startedAt + this.deadlineMs - Date.now();
+  }
+
+  /**
+   * GETs a URL, with timeouts, retries and the host's circuit breaker. Resolves with the
+   * response, even a non-2xx one once the retries are used up; fails with an
+   * UpstreamTimeoutError or UpstreamUnavailableError when no response arrived. The timeout
+   * covers reading the body too.
+   *
+   * @async
+   * @param {string} url - The URL
+   * @param {Object} [headers] - Request headers
+   * @returns {Promise<Response>} The response
+   */
+  async get(url, headers = {}) {
+    const breaker = breakerFor(url);
+    const call = { host: breaker.name, attempts: 0, ms: 0, outcome: null };
+    this.calls.push(call);
+    const started = Date.now();
+
+    try {
+      for (let retry = 0; ; retry++) {
+        if (!breaker.allows()) {
+          call.outcome = "circuit open";
+          throw new UpstreamUnavailableError(`Circuit for ${breaker.name} is open; not calling ${url}`);
+        }
+        const remaining = this.remaining();
+        if (remaining <= 0) {
+          call.outcome = call.outcome || "deadline";
+          throw new UpstreamTimeoutError(`Deadline passed before calling ${url}`);
+        }
+
+        call.attempts++;
+        let failure;
+        try {
+          const response = await fetch(url, { headers, signal: AbortSignal.timeout(Math.min(this.timeoutMs, remaining)) });
+          call.outcome = `status ${response.status}`;
+          if (!RETRYABLE_STATUSES.includes(response.status)) {
+            breaker.succeeded();
+            return response;
+          }
+          breaker.failed();
+          if (retry >= this.retries) {
+            return response;
+          }
+          failure = new UpstreamUnavailableError(`Request to ${url} failed with status ${response.status}`);
+        } catch (err) {
+          failure = upstreamFetchError(url, err);
+          call.outcome = failure.code === "upstreamTimeout" ? "timeout" : "error";
+          breaker.failed();
+          if (retry >= this.retries) {
+            throw failure;
+          }
+        }
+
+        // Full jitter: anywhere from no delay to the (doubling) maximum, so retries of many
+        // requests don't arrive together; give up if the deadline would pass meanwhile
+        const delay = Math.random() * this.retryDelayMs * 2 ** retry;
+        if (delay >= this.remaining()) {
+          throw failure;
+        }
+        console.warn(`Retrying ${url} in ${Math.round(delay)} ms after ${call.outcome}`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    } finally {
+      call.ms = Date.now() - started;
+    }
+  }
+
+  /**
+   * GETs a URL (see get) and parses the JSON body. Fails with an UpstreamTimeoutError or
+   * UpstreamUnavailableError when the request fails or the status isn't 2xx, and with an
+   * UpstreamMalformedError when the body isn't JSON.
+   *
+   * @async
+   * @param {string} url - The URL
+   * @param {Object} [headers] - Request headers
+   * @returns {Promise<Object>} The parsed JSON body
+   */
+  async getJson(url, headers = {}) {
+    const response = await this.get(url, headers);
+    if (!response.ok) {
+      throw new UpstreamUnavailableError(`Request to ${url} failed with status ${response.status}`);
+    }
+    try {
+      return await response.json();
+    } catch (err) {
+      // The attempt's timeout also covers the body
+      if (err.name === "TimeoutError") {
+        throw upstreamFetchError(url, err);
+      }
+      throw new UpstreamMalformedError(`Response from ${url} isn't JSON`, err);
+    }
+  }
+
+  /**
+   * What the session's calls did, for the response diagnostics.
+   *
+   * @returns {{deadlineMs: number, elapsedMs: number, calls: Array<Object>, circuits: Object<string, string>}}
+   *   The deadline, the time taken so far, each call (host, attempts, time and outcome) and
+   *   the state of the circuit of every host called
+   */
+  report() {
+    const hosts = [...new Set(this.calls.map((call) => call.host))];
+    return {
+      deadlineMs: this.deadlineMs,
+      elapsedMs: Date.now() - this.startedAt,
+      calls: this.calls,
+      circuits: Object.fromEntries(hosts.map((host) => [host, breakers.get(host).state()]))
+    };
+  }
+}
@@ -0,0 +1,315 @@
+/**
+ * @fileoverview
+ * Personal wardrobe support for the clothing recommendation Lambda.
+ * Users register the clothes they own; each item has a type from ITEM_TYPES, which
+ * supplies default ratings that the item can override. selectOutfit picks the best
+ * combination of owned items for the conditions and reports needs the wardrobe can't cover.
+ */
+
+/**
+ * Known item types. Ratings: warmth 0-6, waterproof and windproof 0 (none), 1 (resistant), 2 (proof).
+ * Slots: base/mid/outer layers for the torso, then legs, hands, head, neck, feet and carried items.
+ */
+export const ITEM_TYPES = {
+  t_shirt: { slot: "base", warmth: 0, waterproof: 0, windproof: 0, emoji: "👕" },
+  long_sleeve: { slot: "base", warmth: 1, waterproof: 0, windproof: 0, emoji: "👕" },
+  thermal: { slot: "base", warmth: 2, waterproof: 0, windproof: 0, emoji: "🧣" },
+  hoodie: { slot: "mid", warmth: 2, waterproof: 0, windproof: 0, emoji: "🧥" },
+  fleece: { slot: "mid", warmth: 3, waterproof: 0, windproof: 1, emoji: "🧥" },
+  sweater: { slot: "mid", warmth: 3, waterproof: 0, windproof: 0, emoji: "🧶" },
+  windbreaker: { slot: "outer", warmth: 1, waterproof: 1, windproof: 2, emoji: "🧥" },
+  rain_shell: { slot: "outer", warmth: 1, waterproof: 2, windproof: 2, emoji: "🧥" },
+  light_jacket: { slot: "outer", warmth: 2, waterproof: 0, windproof: 1, emoji: "🧥" },
+  winter_coat: { slot: "outer", warmth: 5, waterproof: 1, windproof: 2, emoji: "🧥" },
+  down_parka: { slot: "outer", warmth: 6, waterproof: 1, windproof: 2, emoji: "🧥" },
+  shorts: { slot: "legs", warmth: 0, waterproof: 0, windproof: 0, emoji: "🩳" },
+  pants: { slot: "legs", warmth: 1, waterproof: 0, windproof: 0, emoji: "👖" },
+  rain_pants: { slot: "legs", warmth: 1, waterproof: 2, windproof: 2, emoji: "👖" },
+  snow_pants: { slot: "legs", warmth: 3, waterproof: 2, windproof: 2, emoji: "👖" },
+  gloves: { slot: "hands", warmth: 1, waterproof: 0, windproof: 1, emoji: "🧤" },
+  mittens: { slot: "hands", warmth: 2, waterproof: 1, windproof: 1, emoji: "🧤" },
+  beanie: { slot: "head", warmth: 1, waterproof: 0, windproof: 0, emoji: "🧢" },
+  sun_hat: { slot: "head", warmth: 0, waterproof: 0, windproof: 0, sun: true, emoji: "👒" },
+  scarf: { slot: "neck", warmth: 1, waterproof: 0, windproof: 1, emoji: "🧣" },
+  sneakers: { slot: "feet", warmth: 0, waterproof: 0, windproof: 0, emoji: "👟" },
+  rain_boots: { slot: "feet", warmth: 0, waterproof: 2, windproof: 0, emoji: "👢" },
+  snow_boots: { slot: "feet", warmth: 2, waterproof: 2, windproof: 1, emoji: "👢" },
+  umbrella: { slot: "carry", warmth: 0, waterproof: 2, windproof: 0, emoji: "☂️" },
+  sunglasses: { slot: "carry", warmth: 0, waterproof: 0, windproof: 0, sun: true, emoji: "🕶️" }
+};
+
+// Combined torso warmth (base + mid + outer) wanted for each temperature category
+const TORSO_WARMTH_TARGET = {
+  "extreme cold": 9,
+  "very cold": 7,
+  "cold": 5,
+  "cool": 3,
+  "mild": 1,
+  "warm": 0,
+  "hot": 0,
+  "very hot": 0
+};
+
+// Leg warmth wanted for each temperature category (shorts are fine at 0)
+const LEG_WARMTH_TARGET = {
+  "extreme cold": 3,
+  "very cold": 3,
+  "cold": 1,
+  "cool": 1,
+  "mild": 1,
+  "warm": 0,
+  "hot": 0,
+  "very hot": 0
+};
+
+// Wind speed (mph) at which a windproof outer layer is wanted in cool weather or colder
+const WINDPROOF_WIND_SPEED = 15;
+
+// Largest wardrobe accepted per request
+const MAX_WARDROBE_ITEMS = 60;
+
+/**
+ * @typedef {Object} WardrobeItem
+ * @property {string} name - The user's own name for the item (e.g. "red rain shell")
+ * @property {string} type - One of ITEM_TYPES
+ * @property {string} slot - Where it's worn (see ITEM_TYPES)
+ * @property {number} warmth - Warmth rating 0-6
+ * @property {number} waterproof - Waterproof rating 0-2
+ * @property {number} windproof - Windproof rating 0-2
+ * @property {boolean} sun - Whether it protects from the sun
+ * @property {string} emoji - Emoji for the APL card
+ */
+
+/**
+ * Parses the `wardrobe` query parameter: a JSON array of { name, type } objects,
+ * optionally with warmth/waterproof/windproof ratings overriding the type's defaults.
+ * Items with an unknown type are dropped.
+ *
+ * @function parseWardrobe
+ * @param {string|undefined} param - The raw query parameter
+ * @returns {Array<WardrobeItem>} The usable items (empty if none or unparseable)
+ */
+export function parseWardrobe(param) {
+  if (!param) {
+    return [];
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(param);
+  } catch (err) {
+    console.warn("Ignoring unparseable wardrobe parameter:", err.message);
+    return [];
+  }
+  if (!Array.isArray(raw)) {
+    return [];
+  }
+
+  return raw.slice(0, MAX_WARDROBE_ITEMS).map((entry) => {
+    const type = String(entry?.type || "").toLowerCase();
+    const defaults = ITEM_TYPES[type];
+    if (!defaults) {
+      console.warn(`Ignoring wardrobe item with unknown type "${entry?.type}"`);
+      return null;
+    }
+    const rating = (key) => (Number.isFinite(Number(entry[key])) ? Number(entry[key]) : defaults[key]);
+    return {
+      name: String(entry.name || type.replace(/_/g, " ")).slice(0, 40),
+      type,
+      slot: defaults.slot,
+      warmth: rating("warmth"),
+      waterproof: rating("waterproof"),
+      windproof: rating("windproof"),
+      sun: Boolean(defaults.sun),
+      emoji: defaults.emoji
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * @typedef {Object} Outfit
+ * @property {Array<WardrobeItem>} items - Owned items to wear or carry, torso layers first
+ * @property {Array<{need: string, item: string, emoji: string}>} gaps - Needs the wardrobe can't cover
+ *   ("warmth", "hands", "head", "feet" or "rain"), with a generic item for the APL card
+ * @property {number} torsoWarmth - Combined warmth of the chosen torso layers
+ * @property {number} torsoWarmthTarget - Warmth wanted for the category
+ */
+
+/**
+ * Picks the best combination of owned items for the conditions.
+ * Torso layers are chosen by trying every base/mid/outer combination and scoring how close
+ * their combined warmth is to the category's target, with penalties for missing rain or wind
+ * protection. Legs, hands, head, neck, feet and carried items are then picked per slot.
+ *
+ * @function selectOutfit
+ * @param {Array<WardrobeItem>} wardrobe - The user's items
+ * @param {Object} conditions - { category, precip, windSpeed, uvIndex, isDaytime, weatherDesc }
+ * @param {Object} needs - Thresholds deciding what's needed: { significantPrecip, minimalPrecip, uvModerate, uvHigh, coldCategories, dislikesShorts }
+ * @returns {Outfit} The chosen outfit
+ */
+export function selectOutfit(wardrobe, conditions, needs) {
+  const { category, precip, windSpeed, uvIndex, isDaytime, weatherDesc } = conditions;
+  const bySlot = (slot) => wardrobe.filter((item) => item.slot === slot);
+
+  const isCold = needs.coldCategories.includes(category);
+  const isSnowy = weatherDesc.includes("Snow");
+  const wantsRainProtection = precip > needs.minimalPrecip;
+  const wantsWindproof = windSpeed >= WINDPROOF_WIND_SPEED
+      && (isCold || category === "cool");
+  const torsoTarget = TORSO_WARMTH_TARGET[category] ?? 0;
+
+  // Torso: every base (or none) x mid (or none) x outer (or none)
+  const options = (slot) => [null, ...bySlot(slot)];
+  let best = { layers: [], score: Infinity };
+  for (const base of options("base")) {
+    for (const mid of options("mid")) {
+      for (const outer of options("outer")) {
+        const layers = [base, mid, outer].filter(Boolean);
+        const score = scoreTorso(layers, torsoTarget, wantsRainProtection, wantsWindproof);
+        if (score < best.score) {
+          best = { layers, score };
+        }
+      }
+    }
+  }
+
+  const items = [...best.layers];
+  const gaps = [];
+  const torsoWarmth = best.layers.reduce((sum, item) => sum + item.warmth, 0);
+
+  if (torsoWarmth < torsoTarget - 1) {
+    gaps.push({ need: "warmth", item: "Warm Layer", emoji: "🧥" });
+  }
+
+  // Legs: shorts when it's warm enough (unless the user avoids them), else the closest warmth
+  const legTarget = LEG_WARMTH_TARGET[category] ?? 1;
+  const legs = bySlot("legs").filter((item) => legTarget > 0 || !needs.dislikesShorts || item.type !== "shorts");
+  const wantsWaterproofLegs = precip > needs.significantPrecip || isSnowy;
+  const pickedLegs = pickClosest(legs, legTarget, wantsWaterproofLegs);
+  if (pickedLegs) {
+    items.push(pickedLegs);
+  }
+
+  // Hands, head and neck only in the cold; sun hat when the UV is high
+  if (isCold) {
+    const hands = pickWarmest(bySlot("hands"));
+    if (hands) items.push(hands);
+    else gaps.push({ need: "hands", item: "Gloves", emoji: "🧤" });
+
+    const head = pickWarmest(bySlot("head").filter((item) => item.warmth > 0));
+    if (head) items.push(head);
+    else gaps.push({ need: "head", item: "Warm Hat", emoji: "🧢" });
+
+    if (category === "very cold" || category === "extreme cold") {
+      const neck = pickWarmest(bySlot("neck"));
+      if (neck) items.push(neck);
+    }
+  } else if (isDaytime && uvIndex >= needs.uvHigh) {
+    const sunHat = bySlot("head").find((item) => item.sun);
+    if (sunHat) items.push(sunHat);
+  }
+
+  // Feet only when the ground is wet or snowy
+  if (isSnowy || precip > needs.significantPrecip) {
+    const feet = bySlot("feet")
+        .filter((item) => item.waterproof > 0)
+        .sort((a, b) => (isSnowy ? b.warmth - a.warmth : b.waterproof - a.waterproof))[0];
+    if (feet) items.push(feet);
+    else if (isSnowy) gaps.push({ need: "feet", item: "Snow Boots", emoji: "👢" });
+  }
+
+  // Carried items: umbrella if no worn layer keeps the rain off, sunglasses for UV
+  const torsoWaterproof = best.layers.some((item) => item.waterproof >= 2);
+  if (wantsRainProtection && !torsoWaterproof) {
+    const umbrella = bySlot("carry").find((item) => item.waterproof > 0);
+    if (umbrella) items.push(umbrella);
+    else gaps.push({ need: "rain", item: "Rain Jacket", emoji: "🧥" });
+  }
+  if (isDaytime && uvIndex >= needs.uvModerate) {
+    const sunglasses = bySlot("carry").find((item) => item.sun);
+    if (sunglasses) items.push(sunglasses);
+  }
+
+  return { items, gaps, torsoWarmth, torsoWarmthTarget: torsoTarget };
+}
+
+/**
+ * Scores a set of torso layers (lower is better).
+ *
+ * @function scoreTorso
+ * @param {Array<WardrobeItem>} layers - The layers
+ * @param {number} target - Wanted combined warmth
+ * @param {boolean} wantsRainProtection - Whether it's raining or snowing
+ * @param {boolean} wantsWindproof - Whether it's windy enough to want a windproof layer
+ * @returns {number} The score
+ */
+function scoreTorso(layers, target, wantsRainProtection, wantsWindproof) {
+  const warmth = layers.reduce((sum, item) => sum + item.warmth, 0);
+  const gap = target - warmth;
+
+  // Being too cold is worse than being a little too warm
+  let score = gap > 0 ? gap * 2 : -gap * 1.5;
+  if (!layers.some((item) => item.slot === "base")) score += 3;
+  if (wantsRainProtection && !layers.some((item) => item.waterproof >= 2)) score += 2;
+  if (wantsWindproof && !layers.some((item) => item.windproof >= 2)) score += 2;
+  score += layers.length * 0.25;
+  return score;
+}
+
+/**
+ * Picks the item whose warmth is closest to a target, preferring waterproof items if asked.
+ *
+ * @function pickClosest
+ * @param {Array<WardrobeItem>} items - Candidates
+ * @param {number} target - Wanted warmth
+ * @param {boolean} preferWaterproof - Whether waterproof items win ties and small gaps
+ * @returns {WardrobeItem|null} The best candidate
+ */
+function pickClosest(items, target, preferWaterproof) {
+  const score = (item) => Math.abs(item.warmth - target)
+      - (preferWaterproof && item.waterproof > 0 ? 1.5 : 0);
+  return items.slice().sort((a, b) => score(a) - score(b))[0] || null;
+}
+
+/**
+ * Picks the warmest item.
+ *
+ * @function pickWarmest
+ * @param {Array<WardrobeItem>} items - Candidates
+ * @returns {WardrobeItem|null} The warmest candidate
+ */
+function pickWarmest(items) {
+  return items.slice().sort((a, b) => b.warmth - a.warmth)[0] || null;
+}
+
+/**
+ * Describes an outfit for speech, e.g.
+ * "From your wardrobe: your long-sleeve shirt, fleece, and rain shell, with your jeans. Also bring your umbrella."
+ *
+ * @function describeOutfit
+ * @param {Outfit} outfit - The outfit from selectOutfit
+ * @param {Object} messages - Messages of the user's locale (see messages.mjs)
+ * @returns {string} The spoken description (empty if nothing was picked)
+ */
+export function describeOutfit(outfit, messages) {
+  const worn = outfit.items.filter((item) => item.slot !== "carry");
+  const carried = outfit.items.filter((item) => item.slot === "carry");
+  const names = (items) => messages.list(items.map((item) => item.name));
+  const sentences = [];
+
+  const torso = worn.filter((item) => ["base", "mid", "outer"].includes(item.slot));
+  const rest = worn.filter((item) => !["base", "mid", "outer"].includes(item.slot));
+  if (torso.length && rest.length) {
+    sentences.push(messages.t("wardrobe.wearWith", { torso: names(torso), rest: names(rest) }));
+  } else if (torso.length || rest.length) {
+    sentences.push(messages.t("wardrobe.wear", { items: names(torso.length ? torso : rest) }));
+  }
+  if (carried.length) {
+    sentences.push(messages.t("wardrobe.carry", { items: names(carried) }));
+  }
+  if (outfit.gaps.length) {
+    const phrases = outfit.gaps.map((gap) => messages.t(`wardrobe.gapPhrases.${gap.need}`));
+    sentences.push(messages.t("wardrobe.gaps", { items: messages.list(phrases, "disjunction") }));
+  }
+  return sentences.join(" ");
+}